@@ -0,0 +1,14 @@
+// IANA time zone of the institute; slot times are wall-clock times there
+const timezone = process.env.TIMEZONE || 'Asia/Kolkata';
+
+try {
+  new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+} catch {
+  throw new Error(`Unknown TIMEZONE "${timezone}"; use an IANA name such as Europe/Berlin`);
+}
+
+const calendarConfig = {
+  timezone
+};
+
+export default calendarConfig;
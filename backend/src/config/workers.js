@@ -0,0 +1,14 @@
+import os from 'os';
+
+const cpuCount = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+
+const workerConfig = {
+  // Upper bound on schedule generations running at the same time
+  maxConcurrentGenerations: parseInt(process.env.GENERATION_CONCURRENCY, 10) ||
+    Math.max(1, cpuCount - 1),
+
+  // Extra threads each GA run may use for fitness evaluation (0 = in-thread)
+  evaluationWorkers: parseInt(process.env.GA_EVALUATION_WORKERS, 10) || 0
+};
+
+export default workerConfig;
@@ -0,0 +1,141 @@
+import Constraint from '../models/Constraint.js';
+import Course from '../models/Course.js';
+import Faculty from '../models/Faculty.js';
+import Room from '../models/Room.js';
+import { departmentScopeFilter, isScoped } from '../services/constraintScope.js';
+
+const SCOPE_MODELS = {
+  courses: Course,
+  faculty: Faculty,
+  rooms: Room
+};
+
+/**
+ * List constraints. Filters: type, category, isActive, and department
+ * (constraints that apply to it, including unscoped ones)
+ */
+export const getAllConstraints = async (req, res) => {
+  try {
+    const { type, category, isActive, department } = req.query;
+    const filter = department ? departmentScopeFilter(department) : {};
+
+    if (type) filter.type = type;
+    if (category) filter.category = category;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const constraints = await Constraint.find(filter).sort('type name');
+    res.json({ success: true, data: constraints });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const getConstraintById = async (req, res) => {
+  try {
+    const constraint = await Constraint.findById(req.params.id)
+      .populate('scope.courses', 'courseCode courseName')
+      .populate('scope.faculty', 'facultyId name')
+      .populate('scope.rooms', 'roomNumber');
+    if (!constraint) {
+      return res.status(404).json({ success: false, message: 'Constraint not found' });
+    }
+    res.json({ success: true, data: constraint });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const createConstraint = async (req, res) => {
+  try {
+    const missing = await findMissingScopeRefs(req.body.scope);
+    if (missing) {
+      return res.status(400).json({ success: false, message: missing });
+    }
+
+    const constraint = new Constraint(req.body);
+    await constraint.save();
+    res.status(201).json({ success: true, data: constraint });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+export const updateConstraint = async (req, res) => {
+  try {
+    const missing = await findMissingScopeRefs(req.body.scope);
+    if (missing) {
+      return res.status(400).json({ success: false, message: missing });
+    }
+
+    // Loaded and saved so custom rules are validated like on create
+    const constraint = await Constraint.findById(req.params.id);
+    if (!constraint) {
+      return res.status(404).json({ success: false, message: 'Constraint not found' });
+    }
+
+    constraint.set(req.body);
+    await constraint.save();
+    res.json({ success: true, data: constraint });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+export const deleteConstraint = async (req, res) => {
+  try {
+    const constraint = await Constraint.findByIdAndDelete(req.params.id);
+    if (!constraint) {
+      return res.status(404).json({ success: false, message: 'Constraint not found' });
+    }
+    res.json({ success: true, message: 'Constraint deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Restore the default constraints. Unscoped constraints with a default
+ * name are replaced; scoped and custom constraints are kept.
+ */
+export const resetDefaultConstraints = async (req, res) => {
+  try {
+    const defaultConstraints = Constraint.getDefaultConstraints();
+    const existing = await Constraint.find({ name: { $in: defaultConstraints.map(c => c.name) } });
+    const replaced = existing.filter(constraint => !isScoped(constraint));
+
+    await Constraint.deleteMany({ _id: { $in: replaced.map(c => c._id) } });
+    await Constraint.insertMany(defaultConstraints);
+
+    res.json({
+      success: true,
+      message: 'Constraints initialized successfully',
+      count: defaultConstraints.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error initializing constraints',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Message naming scope ids that do not exist, or null
+ */
+async function findMissingScopeRefs(scope) {
+  if (!scope) return null;
+
+  for (const [list, Model] of Object.entries(SCOPE_MODELS)) {
+    const ids = [...new Set((scope[list] || []).map(String))];
+    if (ids.length === 0) continue;
+
+    const found = await Model.find({ _id: { $in: ids } }).select('_id');
+    if (found.length < ids.length) {
+      const foundIds = new Set(found.map(doc => String(doc._id)));
+      return `Unknown ${list} in scope: ${ids.filter(id => !foundIds.has(id)).join(', ')}`;
+    }
+  }
+
+  return null;
+}
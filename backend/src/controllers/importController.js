@@ -0,0 +1,108 @@
+import {
+  parseUpload,
+  validateImport,
+  commitImport,
+  getImportLabel
+} from '../services/bulkImporter.js';
+
+/**
+ * Import faculty from CSV/xlsx. Multipart fields: `file`, optional
+ * `mapping` (JSON of header -> field path), `department` and `dryRun`
+ */
+export const importFaculty = async (req, res) => {
+  await runImport(req, res, 'faculty');
+};
+
+/**
+ * Import courses from CSV/xlsx; same fields as importFaculty
+ */
+export const importCourses = async (req, res) => {
+  await runImport(req, res, 'courses');
+};
+
+/**
+ * Import rooms from CSV/xlsx; same fields as importFaculty
+ */
+export const importRooms = async (req, res) => {
+  await runImport(req, res, 'rooms');
+};
+
+/**
+ * Validate every row; on a dry run report the result, otherwise save all
+ * rows in one transaction, or none if any row has errors
+ */
+async function runImport(req, res, entity) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a .csv or .xlsx file in the "file" field'
+      });
+    }
+
+    let mapping = {};
+    if (req.body?.mapping) {
+      try {
+        mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+      } catch {
+        return res.status(400).json({
+          success: false,
+          message: 'mapping must be a JSON object of column header -> field path'
+        });
+      }
+    }
+
+    const dryRun = [req.query.dryRun, req.body?.dryRun].includes('true');
+    const defaults = req.body?.department ? { department: req.body.department } : {};
+
+    const rows = await parseUpload(req.file);
+    const { records, rows: results, errors, ignoredColumns } = await validateImport(entity, rows, { mapping, defaults });
+
+    const summary = {
+      entity,
+      dryRun,
+      totalRows: results.length,
+      toCreate: results.filter(r => r.action === 'create').length,
+      toUpdate: results.filter(r => r.action === 'update').length,
+      errors,
+      ignoredColumns,
+      rows: results
+    };
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        message: errors.length > 0
+          ? `${errors.length} error(s) found; nothing would be imported`
+          : `All ${results.length} rows are valid`,
+        data: summary
+      });
+    }
+
+    if (errors.length > 0) {
+      return res.status(422).json({
+        success: false,
+        message: `${errors.length} error(s) found; nothing was imported`,
+        data: summary
+      });
+    }
+
+    await commitImport(records);
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${results.length} ${getImportLabel(entity)}`,
+      data: summary
+    });
+
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`Error importing ${entity}:`, error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `Error importing ${entity}`,
+      error: error.message
+    });
+  }
+}
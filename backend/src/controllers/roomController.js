@@ -0,0 +1,270 @@
+import Room from '../models/Room.js';
+import Course from '../models/Course.js';
+import Schedule from '../models/Schedule.js';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+// Facility names accepted by the `facilities` filter
+const FACILITY_FIELDS = {
+  projector: 'facilities.hasProjector',
+  ac: 'facilities.hasAC',
+  computers: 'facilities.hasComputers',
+  whiteboard: 'facilities.hasWhiteboard',
+  smartboard: 'facilities.hasSmartBoard',
+  sound: 'facilities.hasSoundSystem'
+};
+
+export const createRoom = async (req, res) => {
+  try {
+    const room = new Room(req.body);
+    await room.save();
+    res.status(201).json({ success: true, data: room });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * List rooms. Filters: building, type, labType, minCapacity,
+ * facilities (comma separated, e.g. `projector,ac`) and isActive
+ */
+export const getAllRooms = async (req, res) => {
+  try {
+    const filter = buildRoomFilter(req.query);
+    if (filter.error) {
+      return res.status(400).json({ success: false, message: filter.error });
+    }
+
+    const rooms = await Room.find(filter.query).sort('building roomNumber');
+    res.json({ success: true, data: rooms });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const getRoomById = async (req, res) => {
+  try {
+    const room = await Room.findById(req.params.id);
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    res.json({ success: true, data: room });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+export const updateRoom = async (req, res) => {
+  try {
+    const room = await Room.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    res.json({ success: true, data: room });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Delete a room unless a published schedule still books it
+ */
+export const deleteRoom = async (req, res) => {
+  try {
+    const inUse = await Schedule.exists({ status: 'published', 'entries.room': req.params.id });
+    if (inUse) {
+      return res.status(409).json({
+        success: false,
+        message: 'Room is booked by a published schedule; deactivate it instead (isActive: false)'
+      });
+    }
+
+    const room = await Room.findByIdAndDelete(req.params.id);
+    if (!room) {
+      return res.status(404).json({ success: false, message: 'Room not found' });
+    }
+    res.json({ success: true, message: 'Room deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Rooms open and not booked by a published schedule on `day` between
+ * `start` and `end` (HH:MM). Same filters as getAllRooms. Each
+ * department's current published schedule counts, within `academicYear`
+ * and `semester` when given (see findPublishedBookings).
+ */
+export const getAvailableRooms = async (req, res) => {
+  try {
+    const { day, start, end } = req.query;
+
+    if (!DAYS.includes(day) || !TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '') || start >= end) {
+      return res.status(400).json({
+        success: false,
+        message: `day (${DAYS.join(', ')}), start and end (HH:MM, start before end) are required`
+      });
+    }
+
+    const filter = buildRoomFilter({ isActive: 'true', ...req.query });
+    if (filter.error) {
+      return res.status(400).json({ success: false, message: filter.error });
+    }
+
+    const [rooms, bookings] = await Promise.all([
+      Room.find(filter.query).sort('building roomNumber'),
+      findPublishedBookings(req.query)
+    ]);
+
+    const available = rooms.filter(room =>
+      isOpenAt(room, day, start, end) &&
+      !(bookings.get(room._id.toString()) || []).some(booking =>
+        booking.day === day && booking.startTime < end && booking.endTime > start
+      )
+    );
+
+    res.json({ success: true, count: available.length, data: available });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Rooms suitable for a course's theory or lab sessions, optionally for one
+ * `section`, with their published bookings. Given `day`, `start` and
+ * `end`, only rooms free at that time are returned.
+ */
+export const getSuitableRooms = async (req, res) => {
+  try {
+    const { courseId, sessionType, section, day, start, end } = req.query;
+
+    if (!courseId || !['theory', 'lab'].includes(sessionType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'courseId and sessionType (theory or lab) are required'
+      });
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      return res.status(404).json({ success: false, message: 'Course not found' });
+    }
+
+    const sections = section
+      ? course.sections.filter(s => s.sectionName === section)
+      : course.sections;
+    if (sections.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: section ? `Course has no section ${section}` : 'Course has no sections'
+      });
+    }
+
+    const [rooms, bookings] = await Promise.all([
+      Room.find({ isActive: true }).sort('capacity roomNumber'),
+      findPublishedBookings(req.query)
+    ]);
+
+    // isSuitableFor sizes the room for the largest of the given sections
+    const target = { ...course.toObject(), sections };
+    const atTime = day && start && end;
+
+    const suitable = rooms
+      .filter(room => room.isSuitableFor(target, sessionType))
+      .map(room => ({ room, bookings: bookings.get(room._id.toString()) || [] }))
+      .filter(({ room, bookings: booked }) => !atTime || (
+        isOpenAt(room, day, start, end) &&
+        !booked.some(b => b.day === day && b.startTime < end && b.endTime > start)
+      ))
+      .map(({ room, bookings: booked }) => ({
+        ...room.toObject(),
+        bookedSlots: booked.length,
+        bookings: booked
+      }));
+
+    res.json({ success: true, count: suitable.length, data: suitable });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+};
+
+/**
+ * Mongo query from list filters
+ */
+function buildRoomFilter({ building, type, labType, minCapacity, facilities, isActive }) {
+  const query = {};
+
+  if (building) query.building = building;
+  if (type) query.type = type;
+  if (labType) query.labType = labType;
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+
+  if (minCapacity !== undefined) {
+    const capacity = Number(minCapacity);
+    if (!Number.isFinite(capacity)) return { error: 'minCapacity must be a number' };
+    query.capacity = { $gte: capacity };
+  }
+
+  if (facilities) {
+    for (const name of String(facilities).split(',').map(f => f.trim().toLowerCase()).filter(Boolean)) {
+      if (!FACILITY_FIELDS[name]) {
+        return { error: `Unknown facility ${name}; use ${Object.keys(FACILITY_FIELDS).join(', ')}` };
+      }
+      query[FACILITY_FIELDS[name]] = true;
+    }
+  }
+
+  return { query };
+}
+
+/**
+ * Rooms without any availability windows are open whenever the institute
+ * is; otherwise the room's own windows decide
+ */
+function isOpenAt(room, day, start, end) {
+  const windows = room.availability || {};
+  const hasWindows = DAYS.some(d => windows[d.toLowerCase()]?.length > 0);
+  return !hasWindows || room.isAvailableAt(day, start, end);
+}
+
+/**
+ * Bookings per room id in the current published schedule of each
+ * department: the one published last, within `academicYear` and
+ * `semester` when given. Earlier terms stay published until archived, so
+ * their schedules would otherwise keep rooms booked.
+ */
+async function findPublishedBookings({ academicYear, semester }) {
+  const query = { status: 'published' };
+  if (academicYear) query.academicYear = academicYear;
+  if (semester) query.semester = semester;
+
+  const published = await Schedule.find(query).sort('-publishedAt -updatedAt').select('department');
+  const currentIds = new Map();
+  for (const schedule of published) {
+    if (!currentIds.has(schedule.department)) currentIds.set(schedule.department, schedule._id);
+  }
+
+  const schedules = await Schedule.find({ _id: { $in: [...currentIds.values()] } })
+    .select('name department entries');
+  const bookings = new Map();
+
+  for (const schedule of schedules) {
+    for (const entry of schedule.entries) {
+      const roomId = entry.room.toString();
+      if (!bookings.has(roomId)) bookings.set(roomId, []);
+      bookings.get(roomId).push({
+        scheduleId: schedule._id,
+        department: schedule.department,
+        day: entry.day,
+        startTime: entry.timeSlot.startTime,
+        endTime: entry.timeSlot.endTime,
+        courseCode: entry.courseCode,
+        section: entry.section,
+        sessionType: entry.sessionType
+      });
+    }
+  }
+
+  return bookings;
+}
@@ -3,12 +3,45 @@ import Course from '../models/Course.js';
 import Faculty from '../models/Faculty.js';
 import Room from '../models/Room.js';
 import TimeSlot from '../models/TimeSlot.js';
+import SlotGrid from '../models/SlotGrid.js';
 import Constraint from '../models/Constraint.js';
-import GeneticAlgorithm from '../services/genericAlgorithm.js';
 import ConstraintChecker from '../services/constraintChecker.js';
+import { departmentScopeFilter, appliesToRun } from '../services/constraintScope.js';
+import FeasibilityAnalyzer from '../services/feasibilityAnalyzer.js';
+import jobManager from '../services/jobManager.js';
+import {
+  runScheduleGeneration,
+  runDiagnosis,
+  assignEntryKeys,
+  calculateWorkloadDistribution,
+  calculateRoomUtilization
+} from '../services/scheduleGenerator.js';
+import { moveEntry, swapEntries, addEntry, removeEntry } from '../services/scheduleEditor.js';
+import { entryToGene } from '../services/courseRequirements.js';
+import FitnessCalculator from '../services/fitnessCalculator.js';
+import { createVersion, nextVersionNumber, makeCurrent, findVersions } from '../services/scheduleVersions.js';
+import { diffSchedules } from '../services/scheduleDiff.js';
+import { transitionSchedule } from '../services/publishingWorkflow.js';
+import { buildCalendar, filterEntries } from '../services/icalendar.js';
+import { buildTimetableGrid, renderTimetableHtml } from '../services/timetableGrid.js';
+import { writeTimetablePdf } from '../services/timetablePdf.js';
+import { entriesToCsv, writeScheduleWorkbook } from '../services/spreadsheetExport.js';
+import AlternativeFinder from '../services/alternativeFinder.js';
+import ScheduleComparator from '../services/scheduleComparator.js';
+import { normalizeSeed, generateSeed, getPrngNames, DEFAULT_PRNG } from '../services/random.js';
+
+// Upper bound on the search budget a client can ask a diagnosis for
+const MAX_DIAGNOSIS_NODES = 2000000;
+
+// Job state reported for a schedule whose job is no longer in memory
+const JOB_STATE_BY_STATUS = {
+  generating: 'running',
+  cancelled: 'cancelled',
+  failed: 'failed'
+};
 
 /**
- * Generate a new timetable schedule
+ * Start generating a new timetable schedule in the background
  */
 export const generateSchedule = async (req, res) => {
   try {
@@ -17,6 +50,8 @@ export const generateSchedule = async (req, res) => {
       academicYear,
       semester,
       department,
+      semesterStartDate,
+      semesterEndDate,
       optimizationConfig
     } = req.body;
 
@@ -24,56 +59,25 @@ export const generateSchedule = async (req, res) => {
 
     console.log(`Starting schedule generation for ${department} - ${academicYear} ${semester}`);
 
-    // Fetch all required data
-    const courses = await Course.find({ 
-      department, 
-      isActive: true 
-    }).populate('sections.assignedFaculty.theory sections.assignedFaculty.lab');
-
-    const faculty = await Faculty.find({ 
-      department, 
-      isActive: true 
-    });
-
-    const rooms = await Room.find({ 
-      isActive: true 
-    });
-
-    const timeSlots = await TimeSlot.find({ 
-      isActive: true 
-    }).sort('day slotNumber');
-
-    const constraints = await Constraint.find({ 
-      isActive: true 
-    });
-
-    if (courses.length === 0) {
+    const randomConfig = resolveRandomConfig(optimizationConfig);
+    if (!randomConfig) {
       return res.status(400).json({
         success: false,
-        message: 'No courses found for the specified department'
+        message: `Unknown PRNG "${optimizationConfig.prng}". Available: ${getPrngNames().join(', ')}`
       });
     }
 
-    if (faculty.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No faculty found for the specified department'
-      });
-    }
+    const data = await loadGenerationData(department);
 
-    if (rooms.length === 0) {
+    const missingData = findMissingGenerationData(data);
+    if (missingData) {
       return res.status(400).json({
         success: false,
-        message: 'No rooms found'
+        message: missingData
       });
     }
 
-    if (timeSlots.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No time slots configured. Please initialize time slots first.'
-      });
-    }
+    const { seed, prng } = randomConfig;
 
     // Create draft schedule
     const schedule = new Schedule({
@@ -81,8 +85,11 @@ export const generateSchedule = async (req, res) => {
       academicYear,
       semester,
       department,
+      semesterStartDate,
+      semesterEndDate,
+      slotGrid: data.slotGrid,
       status: 'generating',
-      optimizationConfig: optimizationConfig || {},
+      optimizationConfig: { ...optimizationConfig, seed, prng },
       createdBy: userId,
       entries: [],
       conflicts: [],
@@ -96,113 +103,183 @@ export const generateSchedule = async (req, res) => {
 
     await schedule.save();
 
-    // Setup WebSocket or SSE for progress updates
-    const progressCallback = async (progress) => {
-      console.log(`Generation ${progress.generation}/${progress.maxGenerations}: ` +
-                  `Fitness ${progress.bestFitness.toFixed(2)}, ` +
-                  `Hard Violations: ${progress.hardViolations}`);
-      
-      // Update schedule with progress
-      schedule.metrics.generationNumber = progress.generation;
-      schedule.metrics.fitnessScore = progress.bestFitness;
-      await schedule.save();
-    };
+    const job = await startGenerationJob(schedule, data, { ...optimizationConfig, seed, prng });
+
+    res.status(202).json({
+      success: true,
+      message: 'Schedule generation started',
+      data: {
+        jobId: job.id,
+        scheduleId: schedule._id,
+        seed,
+        state: job.state,
+        statusUrl: `/api/schedules/jobs/${job.id}`,
+        uncheckedConstraints: describeUncheckedConstraints(data.constraints)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error generating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Regenerate a schedule around its pinned entries. The result is saved as a
+ * new schedule pointing back to the source through `parentScheduleId`.
+ */
+export const regenerateSchedule = async (req, res) => {
+  try {
+    const source = await Schedule.findById(req.params.id);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (source.status === 'generating') {
+      return res.status(409).json({
+        success: false,
+        message: 'Schedule is still being generated'
+      });
+    }
 
-    // Initialize Genetic Algorithm
-    const ga = new GeneticAlgorithm({
-      populationSize: optimizationConfig?.populationSize || 100,
-      maxGenerations: optimizationConfig?.maxGenerations || 1000,
-      mutationRate: optimizationConfig?.mutationRate || 0.1,
-      crossoverRate: optimizationConfig?.crossoverRate || 0.8
-    });
-
-    ga.initialize({
-      courses: courses.map(c => c.toObject()),
-      faculty: faculty.map(f => f.toObject()),
-      rooms: rooms.map(r => r.toObject()),
-      timeSlots: timeSlots.map(t => t.toObject()),
-      constraints: constraints.map(c => c.toObject())
-    });
-
-    // Run optimization
-    const result = await ga.optimize(progressCallback);
-
-    // Convert genes to schedule entries
-    const entries = result.schedule.genes.map(gene => ({
-      day: gene.timeSlot.day,
-      timeSlot: {
-        slotNumber: gene.timeSlot.slotNumber,
-        startTime: gene.timeSlot.startTime,
-        endTime: gene.timeSlot.endTime
-      },
-      course: gene.courseId,
-      courseCode: gene.courseCode,
-      courseName: gene.courseName,
-      sessionType: gene.sessionType,
-      section: gene.section,
-      faculty: gene.facultyId,
-      facultyName: gene.facultyName,
-      room: gene.roomId,
-      roomNumber: gene.roomNumber,
-      duration: gene.duration,
-      consecutiveSlots: gene.consecutiveSlots
-    }));
-
-    schedule.entries = entries;
-    schedule.status = 'completed';
-    schedule.metrics = {
-      fitnessScore: result.schedule.fitness,
-      generationNumber: result.generations.length,
-      hardConstraintViolations: result.schedule.hardViolations,
-      softConstraintViolations: result.schedule.softViolations,
-      computationTime: result.computationTime
+    // Reuse the source settings, but draw a new seed unless one is given
+    const optimizationConfig = {
+      ...source.toObject().optimizationConfig,
+      seed: null,
+      ...req.body.optimizationConfig
     };
 
-    // Detect conflicts
-    const detectedConflicts = schedule.detectConflicts();
-    schedule.conflicts = detectedConflicts;
+    const randomConfig = resolveRandomConfig(optimizationConfig);
+    if (!randomConfig) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown PRNG "${optimizationConfig.prng}". Available: ${getPrngNames().join(', ')}`
+      });
+    }
+
+    // Pinned entries refer to the source's slots, so stay on its grid
+    const data = await loadGenerationData(source.department, { schedule: source });
+
+    const missingData = findMissingGenerationData(data);
+    if (missingData) {
+      return res.status(400).json({
+        success: false,
+        message: missingData
+      });
+    }
 
-    // Calculate workload distribution
-    const workloadDist = calculateWorkloadDistribution(entries, faculty);
-    schedule.workloadDistribution = workloadDist;
+    const { seed, prng } = randomConfig;
+    const pinnedEntries = assignEntryKeys(source.entries)
+      .filter(entry => entry.pinned)
+      .map(entry => entry.toObject());
 
-    // Calculate room utilization
-    const roomUtil = calculateRoomUtilization(entries, rooms, timeSlots);
-    schedule.roomUtilization = roomUtil;
+    // Saved as the next version; it becomes current once generation succeeds
+    const schedule = new Schedule({
+      name: req.body.name || source.name,
+      academicYear: source.academicYear,
+      semester: source.semester,
+      department: source.department,
+      slotGrid: data.slotGrid,
+      status: 'generating',
+      lineageId: source.lineageId || source._id,
+      version: await nextVersionNumber(source),
+      parentScheduleId: source._id,
+      isCurrent: false,
+      changeType: 'regenerated',
+      changeSummary: `Regenerated from version ${source.version} with ${pinnedEntries.length} pinned entries`,
+      optimizationConfig: { ...optimizationConfig, seed, prng },
+      createdBy: req.auth?.userId || 'system',
+      entries: [],
+      conflicts: []
+    });
 
     await schedule.save();
 
-    res.status(201).json({
+    const job = await startGenerationJob(schedule, data, { ...optimizationConfig, seed, prng }, pinnedEntries);
+
+    res.status(202).json({
       success: true,
-      message: 'Schedule generated successfully',
+      message: `Schedule regeneration started with ${pinnedEntries.length} pinned entries`,
       data: {
+        jobId: job.id,
         scheduleId: schedule._id,
-        metrics: schedule.metrics,
-        conflicts: schedule.conflicts.length,
-        workloadDistribution: schedule.workloadDistribution,
-        generationHistory: result.generations.slice(-10)  // Last 10 generations
+        parentScheduleId: source._id,
+        version: schedule.version,
+        seed,
+        state: job.state,
+        statusUrl: `/api/schedules/jobs/${job.id}`,
+        uncheckedConstraints: describeUncheckedConstraints(data.constraints)
       }
     });
 
   } catch (error) {
-    console.error('Error generating schedule:', error);
+    console.error('Error regenerating schedule:', error);
     res.status(500).json({
       success: false,
-      message: 'Error generating schedule',
+      message: 'Error regenerating schedule',
       error: error.message
     });
   }
 };
 
 /**
- * Get schedule by ID
+ * Pin entries so regeneration keeps their day, slot, room and faculty.
+ * Body: `{ entryKeys }` or `{ courseCode, section?, sessionType? }`
  */
-export const getSchedule = async (req, res) => {
+export const pinEntries = async (req, res) => {
+  await setEntriesPinned(req, res, true);
+};
+
+/**
+ * Release pinned entries; same body as pinEntries
+ */
+export const unpinEntries = async (req, res) => {
+  await setEntriesPinned(req, res, false);
+};
+
+/**
+ * Move an entry to another day/slot, room or faculty.
+ * Body: `{ entryKey, day?, slotNumber?, room?, faculty? }`
+ */
+export const moveScheduleEntry = async (req, res) => {
+  await applyEntryEdit(req, res, moveEntry, 'Entry moved');
+};
+
+/**
+ * Swap the days and slots of two entries. Body: `{ entryKeys: [a, b] }`
+ */
+export const swapScheduleEntries = async (req, res) => {
+  await applyEntryEdit(req, res, swapEntries, 'Entries swapped');
+};
+
+/**
+ * Add a session. Body: `{ courseCode, section, sessionType, day, slotNumber, room, faculty }`
+ */
+export const addScheduleEntry = async (req, res) => {
+  await applyEntryEdit(req, res, addEntry, 'Entry added');
+};
+
+/**
+ * Remove an entry. Body: `{ entryKey }`
+ */
+export const removeScheduleEntry = async (req, res) => {
+  await applyEntryEdit(req, res, removeEntry, 'Entry removed');
+};
+
+/**
+ * Rank the feasible moves and swaps for one entry by soft constraint penalty
+ */
+export const getEntryAlternatives = async (req, res) => {
   try {
-    const schedule = await Schedule.findById(req.params.id)
-      .populate('entries.course')
-      .populate('entries.faculty')
-      .populate('entries.room');
+    const schedule = await Schedule.findById(req.params.id);
 
     if (!schedule) {
       return res.status(404).json({
@@ -211,88 +288,125 @@ export const getSchedule = async (req, res) => {
       });
     }
 
+    const data = toPlainData(await loadGenerationData(schedule.department, { schedule }));
+
+    const entries = assignEntryKeys(schedule.entries).map(entry => entry.toObject());
+    const result = new AlternativeFinder().find(entries, req.params.entryKey, data, {
+      limit: parseInt(req.query.limit) || 20,
+      includeSwaps: req.query.swaps !== 'false'
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: `Entry ${req.params.entryKey} not found`
+      });
+    }
+
     res.json({
       success: true,
-      data: schedule
+      data: result
     });
 
   } catch (error) {
-    console.error('Error fetching schedule:', error);
+    console.error('Error finding alternatives:', error);
     res.status(500).json({
       success: false,
-      message: 'Error fetching schedule',
+      message: 'Error finding alternatives',
       error: error.message
     });
   }
 };
 
 /**
- * List all schedules
+ * Check generation input for blockers without running the GA
  */
-export const listSchedules = async (req, res) => {
+export const preflightSchedule = async (req, res) => {
   try {
-    const { department, academicYear, semester, status } = req.query;
-    
-    const filter = {};
-    if (department) filter.department = department;
-    if (academicYear) filter.academicYear = academicYear;
-    if (semester) filter.semester = semester;
-    if (status) filter.status = status;
+    const { department } = req.body;
 
-    const schedules = await Schedule.find(filter)
-      .sort('-createdAt')
-      .select('name academicYear semester department status metrics createdAt');
+    if (!department) {
+      return res.status(400).json({
+        success: false,
+        message: 'department is required'
+      });
+    }
+
+    const data = await loadGenerationData(department);
+    const report = new FeasibilityAnalyzer().analyze(toPlainData(data));
 
     res.json({
       success: true,
-      data: schedules
+      message: report.feasible
+        ? 'No blockers found'
+        : `Found ${report.blockers.length} blocker(s)`,
+      data: report
     });
-
   } catch (error) {
-    console.error('Error listing schedules:', error);
+    console.error('Error running pre-flight analysis:', error);
     res.status(500).json({
       success: false,
-      message: 'Error listing schedules',
+      message: 'Error running pre-flight analysis',
       error: error.message
     });
   }
 };
 
 /**
- * Delete schedule
+ * Get the state of a schedule generation job
  */
-export const deleteSchedule = async (req, res) => {
+export const getJobStatus = async (req, res) => {
   try {
-    const schedule = await Schedule.findByIdAndDelete(req.params.id);
+    const job = jobManager.getJob(req.params.jobId);
+
+    if (job) {
+      return res.json({
+        success: true,
+        data: jobManager.serialize(job)
+      });
+    }
+
+    // Finished jobs are dropped from memory, fall back to the schedule
+    const schedule = await Schedule.findOne({ jobId: req.params.jobId })
+      .select('status metrics generationError');
 
     if (!schedule) {
       return res.status(404).json({
         success: false,
-        message: 'Schedule not found'
+        message: 'Job not found'
       });
     }
 
     res.json({
       success: true,
-      message: 'Schedule deleted successfully'
+      data: {
+        id: req.params.jobId,
+        scheduleId: schedule._id,
+        state: JOB_STATE_BY_STATUS[schedule.status] || 'succeeded',
+        generation: schedule.metrics.generationNumber,
+        bestFitness: schedule.metrics.fitnessScore,
+        hardViolations: schedule.metrics.hardConstraintViolations,
+        errors: schedule.generationError ? [schedule.generationError] : []
+      }
     });
 
   } catch (error) {
-    console.error('Error deleting schedule:', error);
+    console.error('Error fetching job status:', error);
     res.status(500).json({
       success: false,
-      message: 'Error deleting schedule',
+      message: 'Error fetching job status',
       error: error.message
     });
   }
 };
 
 /**
- * Validate schedule against constraints
+ * Stream generation progress for a schedule as Server-Sent Events
  */
-export const validateSchedule = async (req, res) => {
+export const streamProgress = async (req, res) => {
   try {
-    const schedule = await Schedule.findById(req.params.id);
+    const schedule = await Schedule.findById(req.params.id)
+      .select('status metrics generationError');
 
     if (!schedule) {
       return res.status(404).json({
@@ -301,190 +415,1298 @@ export const validateSchedule = async (req, res) => {
       });
     }
 
-    const courses = await Course.find({ department: schedule.department });
-    const faculty = await Faculty.find({ department: schedule.department });
-    const rooms = await Room.find();
-    const constraints = await Constraint.find({ isActive: true });
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
 
-    const checker = new ConstraintChecker();
-    const violations = checker.validateSchedule(
-      schedule,
-      courses,
-      faculty,
-      rooms,
-      constraints
-    );
+    const scheduleId = schedule._id.toString();
+    const job = jobManager.findByScheduleId(scheduleId);
 
-    const summary = checker.getSummary(violations);
+    // Nothing left to follow, report the final state and close
+    if (!job || ['succeeded', 'failed', 'cancelled'].includes(job.state)) {
+      sendFinalEvent(res, job, schedule);
+      return res.end();
+    }
 
-    res.json({
-      success: true,
-      data: {
-        violations,
-        summary
+    sendEvent(res, 'state', jobManager.serialize(job));
+
+    const onProgress = (progressJob, progress) => {
+      if (progressJob.scheduleId !== scheduleId) return;
+
+      sendEvent(res, 'progress', {
+        generation: progress.generation,
+        maxGenerations: progress.maxGenerations,
+        progress: progress.progress,
+        bestFitness: progress.bestFitness,
+        avgFitness: progress.avgFitness,
+        hardViolations: progress.hardViolations,
+        eta: progressJob.eta
+      });
+    };
+
+    const onStateChange = (changedJob) => {
+      if (changedJob.scheduleId !== scheduleId) return;
+      sendEvent(res, 'state', jobManager.serialize(changedJob));
+    };
+
+    const onFinished = async (finishedJob) => {
+      if (finishedJob.scheduleId !== scheduleId) return;
+
+      cleanup();
+      // A rejection here would go unhandled: the emitter ignores the promise
+      try {
+        const finalSchedule = await Schedule.findById(scheduleId)
+          .select('status metrics generationError');
+        if (!finalSchedule) {
+          throw new Error('Schedule no longer exists');
+        }
+        sendFinalEvent(res, finishedJob, finalSchedule);
+      } catch (error) {
+        console.error('Error sending final progress event:', error);
+        sendEvent(res, 'error', { message: error.message });
+      } finally {
+        res.end();
       }
-    });
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      jobManager.off('progress', onProgress);
+      jobManager.off('paused', onStateChange);
+      jobManager.off('resumed', onStateChange);
+      jobManager.off('finished', onFinished);
+    };
+
+    jobManager.on('progress', onProgress);
+    jobManager.on('paused', onStateChange);
+    jobManager.on('resumed', onStateChange);
+    jobManager.on('finished', onFinished);
+    req.on('close', cleanup);
 
   } catch (error) {
-    console.error('Error validating schedule:', error);
+    console.error('Error streaming progress:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
     res.status(500).json({
       success: false,
-      message: 'Error validating schedule',
+      message: 'Error streaming progress',
       error: error.message
     });
   }
 };
 
 /**
- * Publish schedule
+ * Cancel a queued or running generation. A running GA stops after the
+ * current generation and its best schedule so far is kept.
  */
-export const publishSchedule = async (req, res) => {
+export const cancelGeneration = async (req, res) => {
   try {
-    const schedule = await Schedule.findById(req.params.id);
+    const job = jobManager.findByScheduleId(req.params.id);
 
-    if (!schedule) {
-      return res.status(404).json({
+    if (!job || !jobManager.cancel(job.id)) {
+      return res.status(409).json({
         success: false,
-        message: 'Schedule not found'
+        message: 'No active generation to cancel for this schedule'
       });
     }
 
-    schedule.status = 'published';
-    schedule.publishedAt = new Date();
-    await schedule.save();
+    // A queued job never ran, so nothing else will update its schedule
+    if (job.state === 'cancelled') {
+      await Schedule.findByIdAndUpdate(req.params.id, { status: 'cancelled' });
+    }
 
     res.json({
       success: true,
-      message: 'Schedule published successfully',
-      data: schedule
+      message: 'Schedule generation cancelled',
+      data: jobManager.serialize(job)
     });
 
   } catch (error) {
-    console.error('Error publishing schedule:', error);
+    console.error('Error cancelling generation:', error);
     res.status(500).json({
       success: false,
-      message: 'Error publishing schedule',
+      message: 'Error cancelling generation',
       error: error.message
     });
   }
 };
 
 /**
- * Compare two schedules
+ * Pause a running generation between generations
  */
-export const compareSchedules = async (req, res) => {
+export const pauseGeneration = async (req, res) => {
   try {
-    const { scheduleId1, scheduleId2 } = req.query;
-
-    const schedule1 = await Schedule.findById(scheduleId1);
-    const schedule2 = await Schedule.findById(scheduleId2);
+    const job = jobManager.findByScheduleId(req.params.id);
 
-    if (!schedule1 || !schedule2) {
-      return res.status(404).json({
+    if (!job || !jobManager.pause(job.id)) {
+      return res.status(409).json({
         success: false,
-        message: 'One or both schedules not found'
+        message: 'No running generation to pause for this schedule'
       });
     }
 
-    const comparison = {
-      schedule1: {
-        id: schedule1._id,
-        name: schedule1.name,
-        fitness: schedule1.metrics.fitnessScore,
-        hardViolations: schedule1.metrics.hardConstraintViolations,
-        softViolations: schedule1.metrics.softConstraintViolations,
-        conflicts: schedule1.conflicts.length
-      },
-      schedule2: {
-        id: schedule2._id,
-        name: schedule2.name,
-        fitness: schedule2.metrics.fitnessScore,
-        hardViolations: schedule2.metrics.hardConstraintViolations,
-        softViolations: schedule2.metrics.softConstraintViolations,
-        conflicts: schedule2.conflicts.length
-      },
-      differences: {
-        fitness: schedule1.metrics.fitnessScore - schedule2.metrics.fitnessScore,
-        hardViolations: schedule1.metrics.hardConstraintViolations - schedule2.metrics.hardConstraintViolations,
-        softViolations: schedule1.metrics.softConstraintViolations - schedule2.metrics.softConstraintViolations
-      },
-      recommendation: schedule1.metrics.fitnessScore > schedule2.metrics.fitnessScore ? 'schedule1' : 'schedule2'
-    };
-
     res.json({
       success: true,
-      data: comparison
+      message: 'Schedule generation paused',
+      data: jobManager.serialize(job)
     });
 
   } catch (error) {
-    console.error('Error comparing schedules:', error);
+    console.error('Error pausing generation:', error);
     res.status(500).json({
       success: false,
-      message: 'Error comparing schedules',
+      message: 'Error pausing generation',
       error: error.message
     });
   }
 };
 
-// Helper functions
-function calculateWorkloadDistribution(entries, faculty) {
-  const workload = new Map();
-  
-  for (const entry of entries) {
-    const facultyId = entry.faculty.toString();
-    const current = workload.get(facultyId) || { hours: 0, theory: 0, lab: 0 };
-    
-    current.hours += entry.duration || 1;
-    if (entry.sessionType === 'theory') {
-      current.theory += 1;
-    } else {
-      current.lab += 1;
+/**
+ * Resume a paused generation
+ */
+export const resumeGeneration = async (req, res) => {
+  try {
+    const job = jobManager.findByScheduleId(req.params.id);
+
+    if (!job || !jobManager.resume(job.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'No paused generation to resume for this schedule'
+      });
     }
-    
-    workload.set(facultyId, current);
-  }
 
-  const distribution = [];
-  for (const facultyMember of faculty) {
-    const assigned = workload.get(facultyMember._id.toString()) || { hours: 0, theory: 0, lab: 0 };
-    const maxHours = facultyMember.workload?.maxHoursPerWeek || 18;
-    
-    distribution.push({
-      facultyId: facultyMember._id,
-      facultyName: facultyMember.name,
-      assignedHours: assigned.hours,
-      maxHours,
-      theorySessions: assigned.theory,
-      labSessions: assigned.lab,
-      utilizationPercentage: Math.round((assigned.hours / maxHours) * 100)
+    res.json({
+      success: true,
+      message: 'Schedule generation resumed',
+      data: jobManager.serialize(job)
+    });
+
+  } catch (error) {
+    console.error('Error resuming generation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resuming generation',
+      error: error.message
     });
   }
+};
 
-  return distribution;
-}
+/**
+ * Get schedule by ID
+ */
+export const getSchedule = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id)
+      .populate('entries.course')
+      .populate('entries.faculty')
+      .populate('entries.room');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
 
-function calculateRoomUtilization(entries, rooms, timeSlots) {
-  const roomUsage = new Map();
-  const totalSlots = timeSlots.filter(t => t.slotType !== 'lunch').length;
+    res.json({
+      success: true,
+      data: schedule
+    });
 
-  for (const entry of entries) {
-    const roomId = entry.room.toString();
-    const current = roomUsage.get(roomId) || 0;
-    roomUsage.set(roomId, current + 1);
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching schedule',
+      error: error.message
+    });
   }
+};
 
-  const utilization = [];
-  for (const room of rooms) {
-    const booked = roomUsage.get(room._id.toString()) || 0;
+/**
+ * List all schedules
+ */
+export const listSchedules = async (req, res) => {
+  try {
+    const { department, academicYear, semester, status, includeVersions } = req.query;
     
-    utilization.push({
-      roomId: room._id,
-      roomNumber: room.roomNumber,
-      hoursBooked: booked,
-      totalAvailableHours: totalSlots,
-      utilizationPercentage: Math.round((booked / totalSlots) * 100)
+    const filter = {};
+    if (department) filter.department = department;
+    if (academicYear) filter.academicYear = academicYear;
+    if (semester) filter.semester = semester;
+    if (status) filter.status = status;
+    // Older versions are listed through /:id/versions
+    if (includeVersions !== 'true') filter.isCurrent = { $ne: false };
+
+    const schedules = await Schedule.find(filter)
+      .sort('-createdAt')
+      .select('name academicYear semester department status metrics version isCurrent createdAt');
+
+    res.json({
+      success: true,
+      data: schedules
+    });
+
+  } catch (error) {
+    console.error('Error listing schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing schedules',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a schedule version that no other version depends on
+ */
+export const deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    const reason = await findDeleteBlocker(schedule);
+    if (reason) {
+      return res.status(409).json({
+        success: false,
+        message: `Schedule cannot be deleted: ${reason}`
+      });
+    }
+
+    await schedule.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List every version of the schedule's lineage
+ */
+export const listVersions = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    const versions = await findVersions(schedule);
+
+    res.json({
+      success: true,
+      data: versions
+    });
+
+  } catch (error) {
+    console.error('Error listing schedule versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error listing schedule versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Entry-level diff from schedule :id to schedule :otherId
+ */
+export const diffVersions = async (req, res) => {
+  try {
+    const [from, to] = await Promise.all([
+      Schedule.findById(req.params.id),
+      Schedule.findById(req.params.otherId)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or both schedules not found'
+      });
+    }
+
+    const diff = diffSchedules(
+      from.entries.map(entry => entry.toObject()),
+      to.entries.map(entry => entry.toObject())
+    );
+
+    res.json({
+      success: true,
+      data: {
+        from: { id: from._id, version: from.version },
+        to: { id: to._id, version: to.version },
+        ...diff
+      }
+    });
+
+  } catch (error) {
+    console.error('Error comparing schedule versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing schedule versions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Make an older version the current one again
+ */
+export const rollbackSchedule = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (['generating', 'failed'].includes(schedule.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot roll back to a ${schedule.status} version`
+      });
+    }
+
+    await makeCurrent(schedule);
+
+    res.json({
+      success: true,
+      message: `Version ${schedule.version} is now current`,
+      data: {
+        scheduleId: schedule._id,
+        version: schedule.version
+      }
+    });
+
+  } catch (error) {
+    console.error('Error rolling back schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rolling back schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Validate schedule against constraints
+ */
+export const validateSchedule = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    // Same data and constraints a generation run on this schedule would use
+    const data = toPlainData(await loadGenerationData(schedule.department, { schedule }));
+
+    const checker = new ConstraintChecker();
+    const violations = checker.validateSchedule(
+      schedule,
+      data.courses,
+      data.faculty,
+      data.rooms,
+      data.constraints,
+      data.timeSlots
+    );
+
+    const summary = checker.getSummary(violations);
+
+    res.json({
+      success: true,
+      data: {
+        violations,
+        summary,
+        uncheckedConstraints: describeUncheckedConstraints(data.constraints)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error validating schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error validating schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Explain remaining hard violations with minimal conflicting sets of
+ * sessions and constraints; the result is stored on the schedule
+ */
+export const diagnoseSchedule = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (schedule.status === 'generating') {
+      return res.status(409).json({
+        success: false,
+        message: 'Schedule is still being generated'
+      });
+    }
+
+    const maxNodes = Number(req.body?.maxNodes);
+    const data = await loadGenerationData(schedule.department, { schedule });
+
+    schedule.diagnosis = await runDiagnosis({
+      ...toPlainData(data),
+      entries: schedule.entries.map(e => e.toObject())
+    }, {
+      maxTotalNodes: maxNodes > 0 ? Math.min(Math.floor(maxNodes), MAX_DIAGNOSIS_NODES) : undefined
+    });
+    await schedule.save();
+
+    res.json({
+      success: true,
+      data: schedule.diagnosis
+    });
+
+  } catch (error) {
+    console.error('Error diagnosing schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error diagnosing schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send a draft or completed schedule for review. Body: `{ note? }`
+ */
+export const submitSchedule = async (req, res) => {
+  await changeScheduleStatus(req, res, 'submit', 'Schedule submitted for review');
+};
+
+/**
+ * Approve a schedule under review. Body: `{ note? }`
+ */
+export const approveSchedule = async (req, res) => {
+  await changeScheduleStatus(req, res, 'approve', 'Schedule approved');
+};
+
+/**
+ * Send a schedule under review or approved back to draft. Body: `{ note? }`
+ */
+export const rejectSchedule = async (req, res) => {
+  await changeScheduleStatus(req, res, 'reject', 'Schedule returned to draft');
+};
+
+/**
+ * Publish an approved schedule, archiving the one published before it.
+ * Republishing a lineage saves the publication as a new version.
+ * Body: `{ note?, overrideReason? }`; the reason is required while
+ * unresolved critical conflicts remain
+ */
+export const publishSchedule = async (req, res) => {
+  await changeScheduleStatus(req, res, 'publish', 'Schedule published successfully');
+};
+
+/**
+ * Archive a published schedule. Body: `{ note? }`
+ */
+export const archiveSchedule = async (req, res) => {
+  await changeScheduleStatus(req, res, 'archive', 'Schedule archived');
+};
+
+/**
+ * Set the first and last teaching days of the semester.
+ * Body: `{ semesterStartDate, semesterEndDate }`
+ */
+export const updateSemesterDates = async (req, res) => {
+  try {
+    const startDate = new Date(req.body.semesterStartDate);
+    const endDate = new Date(req.body.semesterEndDate);
+
+    if (isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'semesterStartDate and semesterEndDate must be dates, the end on or after the start'
+      });
+    }
+
+    const schedule = await Schedule.findByIdAndUpdate(
+      req.params.id,
+      { semesterStartDate: startDate, semesterEndDate: endDate },
+      { new: true }
+    ).select('name semesterStartDate semesterEndDate');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Semester dates updated',
+      data: schedule
+    });
+
+  } catch (error) {
+    console.error('Error updating semester dates:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating semester dates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a published schedule as iCalendar, optionally only the entries
+ * of one `faculty`, `room` or `section` (query parameters)
+ */
+export const exportCalendar = async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (schedule.status !== 'published') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only published schedules can be exported to a calendar'
+      });
+    }
+
+    await sendCalendar(res, schedule, {
+      faculty: req.query.faculty,
+      room: req.query.room,
+      section: req.query.section
+    }, 'attachment');
+
+  } catch (error) {
+    console.error('Error exporting calendar:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting calendar',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Subscription feed for one faculty member, room or section. The URL stays
+ * the same across versions and always serves the schedule currently
+ * published for the department and term:
+ * /api/schedules/calendar/:department/:academicYear/:semester/:kind/:value.ics
+ */
+export const calendarFeed = async (req, res) => {
+  try {
+    const { department, academicYear, semester, kind, value } = req.params;
+
+    if (!['faculty', 'room', 'section'].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Calendar feeds are available per faculty, room or section'
+      });
+    }
+
+    const schedule = await Schedule.findOne({
+      department,
+      academicYear,
+      semester,
+      status: 'published'
+    }).sort('-publishedAt');
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: `No published schedule for ${department} ${semester} ${academicYear}`
+      });
+    }
+
+    await sendCalendar(res, schedule, { [kind]: value }, 'inline');
+
+  } catch (error) {
+    console.error('Error serving calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error serving calendar feed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Printable day x slot timetable as HTML or PDF (`:format`) for one
+ * `section`, `faculty` or `room` (query parameters); without any of them,
+ * one page per section of the department
+ */
+export const exportTimetable = async (req, res) => {
+  try {
+    const { format } = req.params;
+
+    if (!['html', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Timetables can be exported as html or pdf'
+      });
+    }
+
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (schedule.status === 'generating') {
+      return res.status(409).json({
+        success: false,
+        message: 'Schedule is still being generated'
+      });
+    }
+
+    const timeSlots = (await TimeSlot.findForGrid(schedule.slotGrid))
+      .map(slot => slot.toObject());
+    const entries = schedule.entries.map(entry => entry.toObject());
+    const title = `${schedule.name} (${schedule.department} ${schedule.semester} ${schedule.academicYear})`;
+    const { room, section } = req.query;
+    const member = req.query.faculty && await findFaculty(req.query.faculty, schedule.department);
+
+    if (req.query.faculty && !member) {
+      return res.status(404).json({
+        success: false,
+        message: `Faculty ${req.query.faculty} not found`
+      });
+    }
+
+    let grids;
+    if (member || room || section) {
+      const view = member ? 'faculty' : room ? 'room' : 'section';
+      const viewEntries = filterEntries(entries, { faculty: member?._id, room, section });
+      const subtitle = member
+        ? `Faculty: ${member.name}`
+        : room
+          ? `Room: ${viewEntries[0]?.roomNumber || room}`
+          : `Section ${section}`;
+
+      grids = [buildTimetableGrid(viewEntries, timeSlots, { title, subtitle, view })];
+    } else {
+      const sections = [...new Set(entries.map(entry => entry.section))].sort();
+      grids = sections.map(name => buildTimetableGrid(
+        filterEntries(entries, { section: name }),
+        timeSlots,
+        { title, subtitle: `Section ${name}`, view: 'section' }
+      ));
+    }
+
+    if (format === 'html') {
+      return res.type('html').send(renderTimetableHtml(grids, { title }));
+    }
+
+    const filename = `${schedule.name}${section ? `-${section}` : ''}`.replace(/[^\w.-]+/g, '_');
+    res.set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+    res.type('application/pdf');
+    writeTimetablePdf(grids, res, { title });
+
+  } catch (error) {
+    console.error('Error exporting timetable:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting timetable',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the entries table as CSV, or as an xlsx workbook that also has
+ * per-section grids, workload, room utilization and conflicts
+ * (`format=csv|xlsx`, default csv)
+ */
+export const exportSchedule = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!['csv', 'xlsx'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Schedules can be exported as csv or xlsx'
+      });
+    }
+
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    assignEntryKeys(schedule.entries);
+    const plain = schedule.toObject();
+    const filename = `${schedule.name}-v${schedule.version}`.replace(/[^\w.-]+/g, '_');
+
+    if (format === 'csv') {
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.type('text/csv; charset=utf-8').send(entriesToCsv(plain.entries));
+    }
+
+    const timeSlots = (await TimeSlot.findForGrid(schedule.slotGrid))
+      .map(slot => slot.toObject());
+
+    res.set('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    await writeScheduleWorkbook(plain, timeSlots, res);
+    res.end();
+
+  } catch (error) {
+    console.error('Error exporting schedule:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting schedule',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Compare two schedules entry by entry: moved sessions, hours changed per
+ * faculty member and section, per-constraint penalties and workload/room
+ * utilization. `format=grid` answers with side-by-side timetables as text.
+ */
+export const compareSchedules = async (req, res) => {
+  try {
+    const options = { ...req.query, ...req.body };
+    const { scheduleId1, scheduleId2, format } = options;
+
+    if (!scheduleId1 || !scheduleId2) {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduleId1 and scheduleId2 are required'
+      });
+    }
+
+    const [schedule1, schedule2] = await Promise.all([
+      Schedule.findById(scheduleId1),
+      Schedule.findById(scheduleId2)
+    ]);
+
+    if (!schedule1 || !schedule2) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or both schedules not found'
+      });
+    }
+
+    const first = schedule1.toObject();
+    const second = schedule2.toObject();
+
+    const data1 = toPlainData(await loadGenerationData(schedule1.department, { schedule: schedule1 }));
+    const data2 = schedule2.department === schedule1.department && sameGrid(schedule1, schedule2)
+      ? data1
+      : toPlainData(await loadGenerationData(schedule2.department, { schedule: schedule2 }));
+
+    const comparator = new ScheduleComparator();
+
+    if (format === 'grid') {
+      const grid = comparator.renderGrid(first, second, data1.timeSlots, data2.timeSlots, {
+        section: options.section,
+        faculty: options.faculty,
+        room: options.room
+      });
+      return res.type('text/plain').send(grid);
+    }
+
+    res.json({
+      success: true,
+      data: comparator.compare(first, second, data1, data2)
+    });
+
+  } catch (error) {
+    console.error('Error comparing schedules:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error comparing schedules',
+      error: error.message
+    });
+  }
+};
+
+// Helper functions
+
+/**
+ * Plain objects of loaded generation data, for the calculators
+ */
+function toPlainData(data) {
+  return {
+    courses: data.courses.map(c => c.toObject()),
+    faculty: data.faculty.map(f => f.toObject()),
+    rooms: data.rooms.map(r => r.toObject()),
+    timeSlots: data.timeSlots.map(t => t.toObject()),
+    // Parameter maps would serialize to {} on their way to the GA workers
+    constraints: data.constraints.map(c => c.toObject({ flattenMaps: true }))
+  };
+}
+
+/**
+ * Fix the seed and PRNG up front so the run can be reproduced later.
+ * Returns null for an unknown PRNG.
+ */
+function resolveRandomConfig(optimizationConfig) {
+  const prng = optimizationConfig?.prng || DEFAULT_PRNG;
+  if (!getPrngNames().includes(prng)) return null;
+
+  const seed = optimizationConfig?.seed !== undefined && optimizationConfig?.seed !== null
+    ? normalizeSeed(optimizationConfig.seed)
+    : generateSeed();
+
+  return { seed, prng };
+}
+
+/**
+ * Message for generation input that cannot produce any timetable, or null
+ */
+function findMissingGenerationData({ courses, faculty, rooms, timeSlots, constraints }) {
+  if (courses.length === 0) return 'No courses found for the specified department';
+  if (faculty.length === 0) return 'No faculty found for the specified department';
+  if (rooms.length === 0) return 'No rooms found';
+  if (timeSlots.length === 0) return 'No time slots configured. Please initialize time slots first.';
+  if (constraints.length === 0) return 'No active constraints to optimize for. Please initialize constraints first.';
+  if (!constraints.some(c => c.code)) {
+    return `None of the active constraints can be evaluated: ${describeUncheckedConstraints(constraints).message}`;
+  }
+  return null;
+}
+
+/**
+ * Constraints without an evaluator code are not checked; say which, so
+ * they are not silently ignored. Returns null when every one has a code.
+ */
+function describeUncheckedConstraints(constraints) {
+  const unchecked = constraints.filter(c => !c.code);
+  if (unchecked.length === 0) return null;
+
+  return {
+    message: `${unchecked.map(c => c.name).join(', ')} ha${unchecked.length === 1 ? 's' : 've'} no code ` +
+      'and will not be checked. Set a code through the constraints API.',
+    constraints: unchecked.map(c => ({ _id: c._id, name: c.name }))
+  };
+}
+
+/**
+ * Run the GA for a saved schedule outside of the request; progress is
+ * tracked on the returned job
+ */
+async function startGenerationJob(schedule, data, optimizationConfig, pinnedEntries = []) {
+  const job = jobManager.enqueue(schedule._id, (job, reportProgress, control) =>
+    runScheduleGeneration(schedule._id, {
+      ...toPlainData(data),
+      pinnedEntries,
+      optimizationConfig
+    }, reportProgress, control)
+  );
+
+  schedule.jobId = job.id;
+  await schedule.save();
+
+  return job;
+}
+
+/**
+ * Apply a manual edit, then re-run conflict detection and the constraint
+ * checker and report how the fitness changed
+ */
+async function applyEntryEdit(req, res, edit, message) {
+  try {
+    let schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    if (!['draft', 'completed', 'cancelled', 'failed'].includes(schedule.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${schedule.status} schedule cannot be edited`
+      });
+    }
+
+    if (schedule.isCurrent === false) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only the current version can be edited; roll back to this version first'
+      });
+    }
+
+    const data = toPlainData(await loadGenerationData(schedule.department, { schedule }));
+    const source = schedule;
+    assignEntryKeys(source.entries);
+
+    // The edit is saved as a new version; the source version stays as it was
+    schedule = await createVersion(source, {
+      changeType: 'edited',
+      createdBy: req.auth?.userId
+    });
+
+    const fitnessCalculator = new FitnessCalculator();
+    const score = () => fitnessCalculator.calculate(
+      { genes: schedule.entries.map(entry => entryToGene(entry)) },
+      data.courses,
+      data.faculty,
+      data.rooms,
+      data.constraints,
+      data.timeSlots
+    );
+
+    const before = score();
+    const changed = edit(schedule, req.body, data).map(entry => entry.toObject?.() ?? entry);
+    const after = score();
+
+    const conflicts = schedule.detectConflicts(data);
+
+    const checker = new ConstraintChecker();
+    const violations = checker.validateSchedule(
+      schedule,
+      data.courses,
+      data.faculty,
+      data.rooms,
+      data.constraints,
+      data.timeSlots
+    );
+
+    schedule.generationMethod = 'hybrid';
+    schedule.changeSummary = `${message}: ${changed.map(entry => entry.entryKey).join(', ')}`;
+    schedule.metrics.fitnessScore = after.fitness;
+    schedule.metrics.softConstraintViolations = after.softViolations;
+    schedule.workloadDistribution = calculateWorkloadDistribution(schedule.entries, data.faculty);
+    schedule.roomUtilization = calculateRoomUtilization(schedule.entries, data.rooms, data.timeSlots);
+
+    await schedule.save();
+    await makeCurrent(schedule);
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        scheduleId: schedule._id,
+        version: schedule.version,
+        parentScheduleId: source._id,
+        entries: changed,
+        conflicts,
+        violations: checker.getSummary(violations),
+        fitness: {
+          before: before.fitness,
+          after: after.fitness,
+          delta: after.fitness - before.fitness,
+          hardViolations: after.hardViolations,
+          softViolations: after.softViolations
+        }
+      }
+    });
+
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Error editing schedule entries:', error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error editing schedule entries',
+      error: error.message
+    });
+  }
+}
+
+async function setEntriesPinned(req, res, pinned) {
+  try {
+    const { entryKeys, courseCode, section, sessionType } = req.body;
+
+    if (!Array.isArray(entryKeys) && !courseCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide entryKeys or a courseCode (with optional section and sessionType)'
+      });
+    }
+
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    const matches = assignEntryKeys(schedule.entries).filter(entry =>
+      Array.isArray(entryKeys)
+        ? entryKeys.includes(entry.entryKey)
+        : entry.courseCode === courseCode &&
+          (!section || entry.section === section) &&
+          (!sessionType || entry.sessionType === sessionType)
+    );
+
+    if (matches.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No matching entries found'
+      });
+    }
+
+    matches.forEach(entry => { entry.pinned = pinned; });
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: `${matches.length} entries ${pinned ? 'pinned' : 'unpinned'}`,
+      data: {
+        entryKeys: matches.map(entry => entry.entryKey),
+        pinnedCount: schedule.entries.filter(entry => entry.pinned).length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating pinned entries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating pinned entries',
+      error: error.message
+    });
+  }
+}
+
+
+/**
+ * Apply a review/publishing workflow action to the schedule
+ */
+async function changeScheduleStatus(req, res, action, message) {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule not found'
+      });
+    }
+
+    const { archived } = await transitionSchedule(schedule, action, {
+      userId: req.auth?.userId,
+      role: req.auth?.role,
+      note: String(req.body?.note ?? ''),
+      overrideReason: String(req.body?.overrideReason ?? '')
+    });
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        schedule,
+        archived
+      }
+    });
+
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error(`Error during schedule ${action}:`, error);
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : `Error during schedule ${action}`,
+      error: error.message,
+      ...(error.details && { data: error.details })
+    });
+  }
+}
+
+/**
+ * Faculty member named by a `faculty` filter: their _id, or their faculty
+ * code (e.g. F001) within `department`. Null when neither matches.
+ */
+async function findFaculty(value, department) {
+  const filter = /^[0-9a-f]{24}$/i.test(value)
+    ? { _id: value }
+    : { facultyId: value, department };
+  return Faculty.findOne(filter).select('name');
+}
+
+/**
+ * Answer with the iCalendar text of a schedule's entries matching `filters`
+ */
+async function sendCalendar(res, schedule, filters, disposition) {
+  if (!schedule.semesterStartDate || !schedule.semesterEndDate) {
+    return res.status(400).json({
+      success: false,
+      message: 'Set the semester start and end dates before exporting a calendar'
+    });
+  }
+
+  const member = filters.faculty && await findFaculty(filters.faculty, schedule.department);
+  if (filters.faculty && !member) {
+    return res.status(404).json({
+      success: false,
+      message: `Faculty ${filters.faculty} not found`
+    });
+  }
+
+  const entries = filterEntries(
+    assignEntryKeys(schedule.entries).map(entry => entry.toObject()),
+    { ...filters, faculty: member?._id }
+  );
+
+  const name = [
+    schedule.name,
+    member?.name,
+    filters.room && `Room ${entries[0]?.roomNumber || filters.room}`,
+    filters.section && `Section ${filters.section}`
+  ].filter(Boolean).join(' - ');
+
+  const calendar = buildCalendar(entries, {
+    name,
+    term: `${schedule.department}-${schedule.academicYear}-${schedule.semester}`,
+    startDate: schedule.semesterStartDate,
+    endDate: schedule.semesterEndDate,
+    sequence: schedule.version,
+    stamp: schedule.publishedAt || new Date()
+  });
+
+  const filename = name.replace(/[^\w.-]+/g, '_');
+  res.set('Content-Disposition', `${disposition}; filename="${filename}.ics"`);
+  res.type('text/calendar; charset=utf-8').send(calendar);
+}
+
+/**
+ * Fetch generation input, in a stable order so seeded runs repeat exactly.
+ * Time slots come from the slot grid `schedule` was generated on, or from
+ * the active grid for a new schedule. Only constraints scoped to the
+ * department and to courses, faculty, sections or rooms of the run apply.
+ */
+async function loadGenerationData(department, { schedule } = {}) {
+  const slotGrid = schedule ? schedule.slotGrid || null : await SlotGrid.findActiveId();
+
+  const [courses, faculty, rooms, timeSlots, constraints] = await Promise.all([
+    Course.find({ department, isActive: true })
+      .sort('courseCode')
+      .populate('sections.assignedFaculty.theory sections.assignedFaculty.lab'),
+    Faculty.find({ department, isActive: true }).sort('facultyId'),
+    Room.find({ isActive: true }).sort('roomNumber'),
+    TimeSlot.findForGrid(slotGrid),
+    Constraint.find(departmentScopeFilter(department)).sort('name')
+  ]);
+
+  return {
+    courses,
+    faculty,
+    rooms,
+    timeSlots,
+    constraints: constraints.filter(constraint => appliesToRun(constraint, { courses, faculty, rooms })),
+    slotGrid
+  };
+}
+
+/**
+ * Why a version may not be deleted, or null. Version history stays
+ * intact: published and archived versions, versions other versions were
+ * made from, and the current version of a lineage with history are kept.
+ */
+async function findDeleteBlocker(schedule) {
+  if (['published', 'archived'].includes(schedule.status)) {
+    return `it is ${schedule.status}`;
+  }
+  if (schedule.status === 'generating') {
+    return 'it is still being generated';
+  }
+  if (await Schedule.exists({ parentScheduleId: schedule._id })) {
+    return 'later versions were made from it';
+  }
+  if (schedule.isCurrent !== false &&
+      await Schedule.exists({ lineageId: schedule.lineageId || schedule._id, _id: { $ne: schedule._id } })) {
+    return 'it is the current version; roll back to another version first';
+  }
+  return null;
+}
+
+function sameGrid(schedule1, schedule2) {
+  return String(schedule1.slotGrid || null) === String(schedule2.slotGrid || null);
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendFinalEvent(res, job, schedule) {
+  if (job?.state === 'failed' || schedule.status === 'failed') {
+    return sendEvent(res, 'failed', {
+      status: schedule.status,
+      errors: job?.errors.length ? job.errors : [schedule.generationError]
+    });
+  }
+
+  if (!job && schedule.status === 'generating') {
+    return sendEvent(res, 'failed', {
+      status: schedule.status,
+      errors: ['Generation job is no longer running']
+    });
+  }
+
+  if (job?.state === 'cancelled' || schedule.status === 'cancelled') {
+    return sendEvent(res, 'cancelled', {
+      status: schedule.status,
+      metrics: schedule.metrics
     });
   }
 
-  return utilization;
+  sendEvent(res, 'complete', {
+    status: schedule.status,
+    metrics: schedule.metrics,
+    conflicts: job?.result?.conflicts
+  });
 }
@@ -0,0 +1,359 @@
+import TimeSlot from '../models/TimeSlot.js';
+import DayTemplate from '../models/DayTemplate.js';
+import SlotGrid from '../models/SlotGrid.js';
+import Schedule from '../models/Schedule.js';
+import {
+  SlotGridError,
+  saveTimeSlot,
+  assignDayTemplate,
+  applyTemplateChange,
+  activateGrid,
+  resetStandardSlots
+} from '../services/slotGrids.js';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SLOT_FIELDS = ['slotNumber', 'day', 'startTime', 'endTime', 'slotType', 'isActive'];
+
+// ---- Time slots ----
+
+/**
+ * List time slots of the active grid, or of `grid` (a grid id, or `none`
+ * for slots outside any grid). Optional `day` filter.
+ */
+export const getAllTimeSlots = async (req, res) => {
+  try {
+    const { day, grid } = req.query;
+    const filter = {
+      grid: grid === 'none' ? null : grid || await SlotGrid.findActiveId()
+    };
+    if (day) filter.day = day;
+
+    const timeslots = await TimeSlot.find(filter).sort('day slotNumber');
+    res.json({ success: true, data: timeslots });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+export const getTimeSlotById = async (req, res) => {
+  try {
+    const slot = await TimeSlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ success: false, message: 'Time slot not found' });
+    }
+    res.json({ success: true, data: slot });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Create a slot; `grid` picks the grid it belongs to (default: none)
+ */
+export const createTimeSlot = async (req, res) => {
+  try {
+    const { grid } = req.body;
+    if (grid && !await SlotGrid.exists({ _id: grid })) {
+      return res.status(404).json({ success: false, message: 'Slot grid not found' });
+    }
+
+    const slot = new TimeSlot({ ...pick(req.body, SLOT_FIELDS), grid: grid || null });
+    const clashes = await saveTimeSlot(slot, { force: isForced(req) });
+    res.status(201).json({ success: true, data: slot, clashes });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Edit a slot. Entries of schedules on its grid that would move or break
+ * make this fail with 409 unless `force` is set.
+ */
+export const updateTimeSlot = async (req, res) => {
+  try {
+    const slot = await TimeSlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ success: false, message: 'Time slot not found' });
+    }
+
+    const previousDay = slot.day;
+    slot.set(pick(req.body, SLOT_FIELDS));
+    const clashes = await saveTimeSlot(slot, { previousDay, force: isForced(req) });
+    res.json({ success: true, data: slot, clashes });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+export const deleteTimeSlot = async (req, res) => {
+  try {
+    const slot = await TimeSlot.findById(req.params.id);
+    if (!slot) {
+      return res.status(404).json({ success: false, message: 'Time slot not found' });
+    }
+
+    const clashes = await saveTimeSlot(slot, { remove: true, force: isForced(req) });
+    res.json({ success: true, message: 'Time slot deleted successfully', clashes });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// ---- Day templates ----
+
+export const getAllDayTemplates = async (req, res) => {
+  try {
+    const templates = await DayTemplate.find().sort('name');
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+export const getDayTemplateById = async (req, res) => {
+  try {
+    const template = await DayTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Day template not found' });
+    }
+    res.json({ success: true, data: template });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+export const createDayTemplate = async (req, res) => {
+  try {
+    const template = new DayTemplate(pick(req.body, ['name', 'description', 'slots']));
+    await template.save();
+    res.status(201).json({ success: true, data: template });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Edit a template and rebuild the slots of every grid day using it
+ */
+export const updateDayTemplate = async (req, res) => {
+  try {
+    const template = await DayTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Day template not found' });
+    }
+
+    template.set(pick(req.body, ['name', 'description', 'slots']));
+    await template.validate();
+
+    const clashes = await applyTemplateChange(template, { force: isForced(req) });
+    await template.save();
+    res.json({ success: true, data: template, clashes });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+export const deleteDayTemplate = async (req, res) => {
+  try {
+    const grids = await SlotGrid.find({ 'days.template': req.params.id }).select('name');
+    if (grids.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Day template is used by slot grid(s) ${grids.map(g => g.name).join(', ')}`
+      });
+    }
+
+    const template = await DayTemplate.findByIdAndDelete(req.params.id);
+    if (!template) {
+      return res.status(404).json({ success: false, message: 'Day template not found' });
+    }
+    res.json({ success: true, message: 'Day template deleted successfully' });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+// ---- Slot grids ----
+
+export const getAllSlotGrids = async (req, res) => {
+  try {
+    const grids = await SlotGrid.find().sort('name').populate('days.template', 'name');
+    res.json({ success: true, data: grids });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+export const getSlotGridById = async (req, res) => {
+  try {
+    const grid = await SlotGrid.findById(req.params.id).populate('days.template');
+    if (!grid) {
+      return res.status(404).json({ success: false, message: 'Slot grid not found' });
+    }
+    res.json({ success: true, data: grid });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Create a grid, optionally with `days: [{ day, templateId }]`
+ */
+export const createSlotGrid = async (req, res) => {
+  try {
+    const days = req.body.days || [];
+    const templates = [];
+
+    for (const { day, templateId } of days) {
+      if (!DAYS.includes(day)) {
+        return res.status(400).json({ success: false, message: `Unknown day ${day}` });
+      }
+      const template = await DayTemplate.findById(templateId);
+      if (!template) {
+        return res.status(404).json({ success: false, message: `Day template ${templateId} not found` });
+      }
+      templates.push({ day, template });
+    }
+
+    const grid = new SlotGrid(pick(req.body, ['name', 'description']));
+    await grid.save();
+
+    // A new grid has no schedules yet, so nothing can clash
+    for (const { day, template } of templates) {
+      await assignDayTemplate(grid, day, template);
+    }
+
+    res.status(201).json({ success: true, data: grid });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Rename or describe a grid; days change through assignDay
+ */
+export const updateSlotGrid = async (req, res) => {
+  try {
+    const grid = await SlotGrid.findByIdAndUpdate(
+      req.params.id,
+      pick(req.body, ['name', 'description']),
+      { new: true, runValidators: true }
+    );
+    if (!grid) {
+      return res.status(404).json({ success: false, message: 'Slot grid not found' });
+    }
+    res.json({ success: true, data: grid });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Delete a grid and its slots, unless it is active or schedules use it
+ */
+export const deleteSlotGrid = async (req, res) => {
+  try {
+    const grid = await SlotGrid.findById(req.params.id);
+    if (!grid) {
+      return res.status(404).json({ success: false, message: 'Slot grid not found' });
+    }
+
+    if (grid.isActive) {
+      return res.status(409).json({ success: false, message: 'Activate another slot grid before deleting this one' });
+    }
+
+    if (await Schedule.exists({ slotGrid: grid._id })) {
+      return res.status(409).json({ success: false, message: 'Schedules were generated on this slot grid' });
+    }
+
+    await TimeSlot.deleteMany({ grid: grid._id });
+    await grid.deleteOne();
+    res.json({ success: true, message: 'Slot grid deleted successfully' });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Assign a day template to a day (`{ templateId, force }`), or drop the day
+ * from the grid with `templateId: null`
+ */
+export const assignDay = async (req, res) => {
+  try {
+    const { day } = req.params;
+    if (!DAYS.includes(day)) {
+      return res.status(400).json({ success: false, message: `day must be one of ${DAYS.join(', ')}` });
+    }
+
+    const grid = await SlotGrid.findById(req.params.id);
+    if (!grid) {
+      return res.status(404).json({ success: false, message: 'Slot grid not found' });
+    }
+
+    let template = null;
+    if (req.body.templateId) {
+      template = await DayTemplate.findById(req.body.templateId);
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Day template not found' });
+      }
+    }
+
+    const clashes = await assignDayTemplate(grid, day, template, { force: isForced(req) });
+    res.json({ success: true, data: grid, clashes });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Make a grid the one new schedules are generated on
+ */
+export const activateSlotGrid = async (req, res) => {
+  try {
+    const grid = await SlotGrid.findById(req.params.id);
+    if (!grid) {
+      return res.status(404).json({ success: false, message: 'Slot grid not found' });
+    }
+
+    await activateGrid(grid);
+    res.json({ success: true, data: grid });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+/**
+ * Replace the slots outside any grid with the standard layout. Entries of
+ * schedules on those slots that would move or break make this fail with
+ * 409 unless `force` is set.
+ */
+export const initStandardSlots = async (req, res) => {
+  try {
+    const clashes = await resetStandardSlots({ force: isForced(req) });
+    res.json({ success: true, message: 'Time slots initialized successfully', clashes });
+  } catch (error) {
+    sendError(res, error);
+  }
+};
+
+function pick(body, fields) {
+  return Object.fromEntries(fields.filter(field => body?.[field] !== undefined).map(field => [field, body[field]]));
+}
+
+function isForced(req) {
+  return req.body?.force === true || req.query.force === 'true';
+}
+
+/**
+ * Slot grid errors carry their status; bad input is a 400
+ */
+function sendError(res, error) {
+  const badInput = ['ValidationError', 'CastError'].includes(error.name) || error.code === 11000;
+  const statusCode = error instanceof SlotGridError ? error.statusCode : badInput ? 400 : 500;
+
+  res.status(statusCode).json({
+    success: false,
+    error: error.message,
+    ...(error.details && { data: error.details })
+  });
+}
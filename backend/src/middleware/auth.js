@@ -7,7 +7,7 @@ const requireAuth = async (req, res, next) => {
   try {
     // In development mode, allowing requests without auth for testing
     if (process.env.NODE_ENV === 'development' && !req.headers.authorization) {
-      req.auth = { userId: 'dev-user' };
+      req.auth = { userId: 'dev-user', role: 'admin' };
       return next();
     }
 
@@ -32,7 +32,8 @@ const requireAuth = async (req, res, next) => {
 
     // Attach user info to request
     req.auth = {
-      userId: verified.sub
+      userId: verified.sub,
+      role: getRole(verified)
     };
 
     next();
@@ -57,7 +58,8 @@ const optionalAuth = async (req, res, next) => {
       const verified = await clerkClient.verifyToken(token);
       if (verified) {
         req.auth = {
-          userId: verified.sub
+          userId: verified.sub,
+          role: getRole(verified)
         };
       }
     }
@@ -69,6 +71,15 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Workflow role (coordinator, reviewer or admin) from the session token.
+ * The Clerk session token template should expose the user's public
+ * metadata role as a `role` claim; users without one are viewers.
+ */
+function getRole(claims) {
+  return claims.role || claims.metadata?.role || 'viewer';
+}
+
 export {
   requireAuth,
   optionalAuth
@@ -0,0 +1,30 @@
+import multer from 'multer';
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+/**
+ * Accept one spreadsheet upload in the `file` field, kept in memory
+ */
+const uploadSpreadsheet = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `File is larger than ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`
+          : 'Invalid file upload',
+        error: error.message
+      });
+    }
+    next();
+  });
+};
+
+export {
+  uploadSpreadsheet
+};
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { getConstraintCodes, validateRule } from '../services/constraints/index.js';
 
 const constraintSchema = new mongoose.Schema({
   name: {
@@ -6,6 +7,13 @@ const constraintSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Evaluator that checks the constraint (see services/constraints);
+  // constraints without one are descriptive only
+  code: {
+    type: String,
+    enum: getConstraintCodes(),
+    default: null
+  },
   type: {
     type: String,
     enum: ['hard', 'soft'],
@@ -49,6 +57,31 @@ const constraintSchema = new mongoose.Schema({
     type: Map,
     of: mongoose.Schema.Types.Mixed,
     default: {}
+  },
+  // Where the constraint applies. Empty lists do not restrict; an entry is
+  // in scope when every non-empty list contains its course, faculty,
+  // section or room (see services/constraintScope.js)
+  scope: {
+    department: {
+      type: String,
+      default: null  // null: every department
+    },
+    courses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Course'
+    }],
+    faculty: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Faculty'
+    }],
+    sections: [{
+      type: String,
+      trim: true  // Section names, e.g. "A"
+    }],
+    rooms: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    }]
   }
 }, {
   timestamps: true
@@ -56,6 +89,17 @@ const constraintSchema = new mongoose.Schema({
 
 // Index for querying
 constraintSchema.index({ type: 1, category: 1 });
+constraintSchema.index({ 'scope.department': 1, isActive: 1 });
+
+// Custom rules are checked when saved; the evaluator skips invalid ones
+constraintSchema.pre('validate', function() {
+  if (this.code !== 'custom_rule') return;
+
+  const problems = validateRule(this.parameters?.get('rule'));
+  if (problems.length > 0) {
+    this.invalidate('parameters', `Invalid rule: ${problems.join('; ')}`);
+  }
+});
 
 // Static method to get default institutional constraints
 constraintSchema.statics.getDefaultConstraints = function() {
@@ -63,6 +107,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     // HARD CONSTRAINTS (Must be satisfied)
     {
       name: 'No Faculty Double Booking',
+      code: 'faculty_double_booking',
       type: 'hard',
       category: 'faculty_workload',
       description: 'A faculty member cannot be assigned to multiple classes at the same time',
@@ -72,6 +117,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'No Room Double Booking',
+      code: 'room_double_booking',
       type: 'hard',
       category: 'room_allocation',
       description: 'A room cannot be assigned to multiple classes at the same time',
@@ -81,6 +127,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'No Student Section Conflict',
+      code: 'section_conflict',
       type: 'hard',
       category: 'student_section',
       description: 'Students of a section cannot have multiple classes at the same time',
@@ -90,6 +137,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Lab Session Continuity',
+      code: 'lab_continuity',
       type: 'hard',
       category: 'lab_continuity',
       description: 'Lab sessions must be scheduled in consecutive time slots without breaks',
@@ -99,6 +147,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Room Capacity Check',
+      code: 'room_capacity',
       type: 'hard',
       category: 'room_allocation',
       description: 'Room capacity must be sufficient for the section strength',
@@ -108,6 +157,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Faculty Qualification Match',
+      code: 'faculty_qualification',
       type: 'hard',
       category: 'faculty_workload',
       description: 'Faculty must be qualified to teach the assigned course',
@@ -115,8 +165,19 @@ constraintSchema.statics.getDefaultConstraints = function() {
       weight: 90,
       isActive: true
     },
+    {
+      name: 'Faculty Pre-Assignment',
+      code: 'faculty_assignment',
+      type: 'hard',
+      category: 'faculty_workload',
+      description: 'Sections with an assigned theory or lab faculty must be taught by that faculty',
+      priority: 9,
+      weight: 90,
+      isActive: true
+    },
     {
       name: 'Faculty Availability',
+      code: 'faculty_availability',
       type: 'hard',
       category: 'time_slot',
       description: 'Classes must be scheduled during faculty available hours',
@@ -126,6 +187,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Elective Group No Overlap',
+      code: 'elective_overlap',
       type: 'hard',
       category: 'elective_grouping',
       description: 'Electives in the same group must not be scheduled at the same time',
@@ -137,30 +199,27 @@ constraintSchema.statics.getDefaultConstraints = function() {
     // SOFT CONSTRAINTS (Preferably satisfied)
     {
       name: 'Faculty Max Hours Per Week',
+      code: 'faculty_max_hours',
       type: 'soft',
       category: 'faculty_workload',
       description: 'Faculty teaching hours should not exceed maximum weekly limit',
       priority: 8,
       weight: 70,
-      isActive: true,
-      parameters: {
-        maxHours: 18
-      }
+      isActive: true
     },
     {
       name: 'Faculty Min Hours Per Week',
+      code: 'faculty_min_hours',
       type: 'soft',
       category: 'faculty_workload',
       description: 'Faculty should be assigned minimum teaching hours',
       priority: 7,
       weight: 60,
-      isActive: true,
-      parameters: {
-        minHours: 12
-      }
+      isActive: true
     },
     {
       name: 'Workload Balance',
+      code: 'workload_balance',
       type: 'soft',
       category: 'faculty_workload',
       description: 'Teaching load should be balanced across faculty members',
@@ -170,6 +229,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Minimize Student Gaps',
+      code: 'student_gaps',
       type: 'soft',
       category: 'student_section',
       description: 'Minimize idle time between classes for students',
@@ -177,8 +237,19 @@ constraintSchema.statics.getDefaultConstraints = function() {
       weight: 50,
       isActive: true
     },
+    {
+      name: 'Minimize Faculty Gaps',
+      code: 'faculty_gaps',
+      type: 'soft',
+      category: 'faculty_workload',
+      description: 'Minimize idle time between classes for faculty',
+      priority: 5,
+      weight: 40,
+      isActive: true
+    },
     {
       name: 'Faculty Preferred Time Slots',
+      code: 'faculty_preferred_slots',
       type: 'soft',
       category: 'preference',
       description: 'Try to assign classes during faculty preferred time slots',
@@ -188,6 +259,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Avoid Faculty Consecutive Hours',
+      code: 'consecutive_hours',
       type: 'soft',
       category: 'faculty_workload',
       description: 'Faculty should not teach more than 3 consecutive hours',
@@ -200,6 +272,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Balanced Daily Distribution',
+      code: 'daily_distribution',
       type: 'soft',
       category: 'time_slot',
       description: 'Classes should be distributed evenly across days of the week',
@@ -209,6 +282,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Course Preferred Days',
+      code: 'course_preferred_days',
       type: 'soft',
       category: 'preference',
       description: 'Schedule courses on their preferred days when possible',
@@ -218,6 +292,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Room Utilization Optimization',
+      code: 'room_utilization',
       type: 'soft',
       category: 'room_allocation',
       description: 'Optimize room usage to avoid under-utilization',
@@ -227,6 +302,7 @@ constraintSchema.statics.getDefaultConstraints = function() {
     },
     {
       name: 'Lab Type Match',
+      code: 'lab_type_match',
       type: 'soft',
       category: 'room_allocation',
       description: 'Assign labs to rooms with appropriate equipment',
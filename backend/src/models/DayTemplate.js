@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+/**
+ * Named layout of one teaching day (e.g. "Half-day Saturday"), assigned to
+ * days of a SlotGrid
+ */
+const dayTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  slots: [{
+    slotNumber: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN  // "09:00"
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN
+    },
+    slotType: {
+      type: String,
+      enum: ['regular', 'break', 'lunch', 'extended'],
+      default: 'regular'
+    },
+    _id: false
+  }]
+}, {
+  timestamps: true
+});
+
+// Slots must be numbered uniquely and follow each other without overlapping
+dayTemplateSchema.pre('validate', function() {
+  this.slots = [...this.slots].sort((a, b) => a.slotNumber - b.slotNumber);
+  const slots = this.slots;
+  const problems = [];
+
+  slots.forEach((slot, i) => {
+    if (slot.startTime >= slot.endTime) {
+      problems.push(`slot ${slot.slotNumber} ends before it starts`);
+    }
+
+    const previous = slots[i - 1];
+    if (!previous) return;
+
+    if (previous.slotNumber === slot.slotNumber) {
+      problems.push(`slot number ${slot.slotNumber} is used twice`);
+    } else if (previous.endTime > slot.startTime) {
+      problems.push(`slot ${slot.slotNumber} starts before slot ${previous.slotNumber} ends`);
+    }
+  });
+
+  if (problems.length > 0) {
+    this.invalidate('slots', `Invalid slots: ${problems.join('; ')}`);
+  }
+});
+
+export default mongoose.model('DayTemplate', dayTemplateSchema);
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { entryToGene } from '../services/courseRequirements.js';
+import { evaluateConstraints, getConstraintCodes } from '../services/constraints/index.js';
 
 const scheduleEntrySchema = new mongoose.Schema({
   day: {
@@ -7,7 +9,8 @@ const scheduleEntrySchema = new mongoose.Schema({
     required: true
   },
   timeSlot: {
-    slotNumber: Number,
+    slotNumber: Number,     // first slot of the session
+    slotNumbers: [Number],  // every slot occupied, for multi-slot labs
     startTime: String,
     endTime: String
   },
@@ -47,6 +50,14 @@ const scheduleEntrySchema = new mongoose.Schema({
   consecutiveSlots: {
     type: Number,
     default: 1  // for multi-hour sessions
+  },
+  // Identity of the session: courseCode:section:sessionType:sessionIndex
+  entryKey: String,
+  sessionIndex: Number,
+  // Pinned entries keep their day, slot, room and faculty on regeneration
+  pinned: {
+    type: Boolean,
+    default: false
   }
 }, { _id: false });
 
@@ -64,10 +75,25 @@ const scheduleSchema = new mongoose.Schema({
     enum: ['Odd', 'Even'],
     required: true
   },
+  // First and last teaching days; bound the recurring calendar events
+  semesterStartDate: {
+    type: Date,
+    default: null
+  },
+  semesterEndDate: {
+    type: Date,
+    default: null
+  },
   department: {
     type: String,
     required: true
   },
+  // Slot grid the entries' slot numbers refer to; null for ungridded slots
+  slotGrid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SlotGrid',
+    default: null
+  },
   generationMethod: {
     type: String,
     enum: ['genetic_algorithm', 'manual', 'hybrid'],
@@ -75,9 +101,19 @@ const scheduleSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'generating', 'completed', 'published', 'archived'],
+    enum: ['draft', 'generating', 'completed', 'cancelled', 'failed', 'under_review', 'approved', 'published', 'archived'],
     default: 'draft'
   },
+  
+  // Background generation job
+  jobId: {
+    type: String,
+    default: null
+  },
+  generationError: {
+    type: String,
+    default: null
+  },
   entries: [scheduleEntrySchema],
   
   // Algorithm metrics
@@ -106,18 +142,20 @@ const scheduleSchema = new mongoose.Schema({
   
   // Conflict tracking
   conflicts: [{
+    // Code of the violated constraint; older schedules hold the legacy types
     type: {
       type: String,
       enum: [
-        'faculty_double_booking',
-        'room_double_booking',
+        ...getConstraintCodes(),
         'student_section_conflict',
         'workload_exceeded',
         'room_capacity_exceeded',
         'unavailable_time_slot',
-        'lab_continuity_broken'
+        'lab_continuity_broken',
+        'faculty_assignment_override'
       ]
     },
+    constraint: String,  // name of the violated constraint
     severity: {
       type: String,
       enum: ['critical', 'high', 'medium', 'low'],
@@ -137,6 +175,37 @@ const scheduleSchema = new mongoose.Schema({
     },
     resolutionNote: String
   }],
+
+  // Why hard violations remain: minimal sets of sessions and hard
+  // constraints that cannot all be satisfied (see infeasibilityDiagnoser)
+  diagnosis: {
+    status: {
+      type: String,
+      enum: ['not_run', 'feasible', 'infeasible', 'unknown'],
+      default: 'not_run'
+    },
+    exhaustive: Boolean,  // false when the search budget ran out
+    searchNodes: Number,
+    diagnosedAt: Date,
+    conflictSets: [{
+      message: String,
+      entities: [{
+        courseCode: String,
+        section: String,
+        sessionType: String,
+        sessionIndex: Number
+      }],
+      constraints: [{
+        type: { type: String },
+        name: String
+      }],
+      resources: {
+        rooms: [String],
+        faculty: [String],
+        days: [String]
+      }
+    }]
+  },
   
   // Workload distribution
   workloadDistribution: [{
@@ -185,10 +254,27 @@ const scheduleSchema = new mongoose.Schema({
     populationSize: {
       type: Number,
       default: 100
+    },
+    // PRNG seed and algorithm; rerunning with both on the same data
+    // reproduces the timetable
+    seed: {
+      type: Number,
+      default: null
+    },
+    prng: {
+      type: String,
+      default: 'mulberry32'
     }
   },
   
-  // Versions for comparison
+  // Versions for comparison. Edits, regenerations and republishing save a
+  // new version; all versions of a timetable share the lineageId (the id of
+  // the first one) and exactly one of them is current.
+  lineageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+    default: null
+  },
   version: {
     type: Number,
     default: 1
@@ -198,6 +284,19 @@ const scheduleSchema = new mongoose.Schema({
     ref: 'Schedule',
     default: null
   },
+  isCurrent: {
+    type: Boolean,
+    default: true
+  },
+  changeType: {
+    type: String,
+    enum: ['generated', 'regenerated', 'edited', 'republished'],
+    default: 'generated'
+  },
+  changeSummary: {
+    type: String,
+    default: ''
+  },
   
   notes: {
     type: String,
@@ -212,7 +311,40 @@ const scheduleSchema = new mongoose.Schema({
   publishedAt: {
     type: Date,
     default: null
-  }
+  },
+  publishedBy: {
+    type: String,  // Clerk user ID
+    default: null
+  },
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Set when published despite unresolved critical conflicts
+  publishOverride: {
+    reason: String,
+    conflictCount: Number,
+    by: String,
+    at: Date
+  },
+
+  // Review and publishing transitions (see publishingWorkflow), oldest first
+  workflowHistory: [{
+    action: {
+      type: String,
+      enum: ['submit', 'approve', 'reject', 'publish', 'archive']
+    },
+    from: String,
+    to: String,
+    by: String,
+    role: String,
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -221,6 +353,15 @@ const scheduleSchema = new mongoose.Schema({
 scheduleSchema.index({ academicYear: 1, semester: 1, department: 1 });
 scheduleSchema.index({ status: 1 });
 scheduleSchema.index({ createdBy: 1 });
+scheduleSchema.index({ jobId: 1 });
+scheduleSchema.index({ lineageId: 1, version: 1 });
+
+// A new schedule starts its own lineage
+scheduleSchema.pre('save', function() {
+  if (!this.lineageId) {
+    this.lineageId = this._id;
+  }
+});
 
 // Method to calculate overall fitness
 scheduleSchema.methods.calculateFitness = function() {
@@ -249,73 +390,28 @@ scheduleSchema.methods.calculateFitness = function() {
   return this.metrics.fitnessScore;
 };
 
-// Method to detect conflicts
-scheduleSchema.methods.detectConflicts = function() {
-  const conflicts = [];
-  const facultySchedule = new Map();
-  const roomSchedule = new Map();
-  const sectionSchedule = new Map();
+// Method to detect conflicts: every violation of an active hard constraint
+// (see services/constraints) is a critical conflict. `data` holds the
+// courses, faculty, rooms, timeSlots and constraints of the schedule's run.
+scheduleSchema.methods.detectConflicts = function({ constraints = [], ...data } = {}) {
+  const results = evaluateConstraints(
+    this.entries.map(entry => entryToGene(entry)),
+    data,
+    constraints.filter(constraint => constraint.type === 'hard')
+  );
 
-  for (const entry of this.entries) {
-    const timeKey = `${entry.day}-${entry.timeSlot.slotNumber}`;
-    
-    // Check faculty conflicts
-    const facultyKey = entry.faculty.toString();
-    if (!facultySchedule.has(facultyKey)) {
-      facultySchedule.set(facultyKey, new Set());
-    }
-    if (facultySchedule.get(facultyKey).has(timeKey)) {
-      conflicts.push({
-        type: 'faculty_double_booking',
-        severity: 'critical',
-        description: `Faculty ${entry.facultyName} has multiple classes at ${entry.day} slot ${entry.timeSlot.slotNumber}`,
-        affectedEntities: {
-          faculty: entry.facultyName,
-          timeSlot: timeKey
-        }
-      });
-    }
-    facultySchedule.get(facultyKey).add(timeKey);
-    
-    // Check room conflicts
-    const roomKey = entry.room.toString();
-    if (!roomSchedule.has(roomKey)) {
-      roomSchedule.set(roomKey, new Set());
-    }
-    if (roomSchedule.get(roomKey).has(timeKey)) {
-      conflicts.push({
-        type: 'room_double_booking',
-        severity: 'critical',
-        description: `Room ${entry.roomNumber} is double-booked at ${entry.day} slot ${entry.timeSlot.slotNumber}`,
-        affectedEntities: {
-          room: entry.roomNumber,
-          timeSlot: timeKey
-        }
-      });
-    }
-    roomSchedule.get(roomKey).add(timeKey);
-    
-    // Check section conflicts (students can't be in two places)
-    const sectionKey = `${entry.section}`;
-    if (!sectionSchedule.has(sectionKey)) {
-      sectionSchedule.set(sectionKey, new Set());
-    }
-    if (sectionSchedule.get(sectionKey).has(timeKey)) {
-      conflicts.push({
-        type: 'student_section_conflict',
-        severity: 'critical',
-        description: `Section ${entry.section} has overlapping classes at ${entry.day} slot ${entry.timeSlot.slotNumber}`,
-        affectedEntities: {
-          section: entry.section,
-          timeSlot: timeKey
-        }
-      });
-    }
-    sectionSchedule.get(sectionKey).add(timeKey);
-  }
+  const conflicts = results.flatMap(({ constraint, violations }) =>
+    violations.map(violation => ({
+      type: constraint.code,
+      constraint: constraint.name,
+      severity: 'critical',
+      description: violation.description,
+      affectedEntities: violation.affectedEntities
+    }))
+  );
 
   this.conflicts = conflicts;
-  this.metrics.hardConstraintViolations = conflicts.filter(c => c.severity === 'critical').length;
+  this.metrics.hardConstraintViolations = results.reduce((sum, result) => sum + result.count, 0);
   return conflicts;
 };
 
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * A named set of time slots for the week, built from one DayTemplate per
+ * day. Exactly one grid is active; new schedules are generated on it.
+ */
+const slotGridSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  days: [{
+    day: {
+      type: String,
+      enum: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+      required: true
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DayTemplate',
+      required: true
+    },
+    _id: false
+  }],
+  isActive: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Id of the active grid, or null while slots are not organised in grids
+slotGridSchema.statics.findActiveId = async function() {
+  const grid = await this.findOne({ isActive: true }).select('_id');
+  return grid?._id || null;
+};
+
+export default mongoose.model('SlotGrid', slotGridSchema);
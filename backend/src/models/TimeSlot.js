@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import SlotGrid from './SlotGrid.js';
+import { findConsecutiveGroups } from '../services/timeSlotUtils.js';
 
 const timeSlotSchema = new mongoose.Schema({
   slotNumber: {
@@ -30,16 +32,24 @@ const timeSlotSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // SlotGrid the slot belongs to; null for slots created before grids
+  grid: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SlotGrid',
+    default: null
   }
 }, {
   timestamps: true
 });
 
-// Compound index to ensure unique slot per day
-timeSlotSchema.index({ day: 1, slotNumber: 1 }, { unique: true });
+// Compound index to ensure unique slot per day within a grid
+timeSlotSchema.index({ grid: 1, day: 1, slotNumber: 1 }, { unique: true });
 
-// Static method to generate standard college time slots
-timeSlotSchema.statics.generateStandardSlots = async function() {
+// Static method listing the standard college time slots, outside any grid.
+// They are written through slotGrids.resetStandardSlots, which checks the
+// schedules on them first.
+timeSlotSchema.statics.getStandardSlots = function() {
   const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   
   // Standard Amrita timetable structure
@@ -75,16 +85,7 @@ timeSlotSchema.statics.generateStandardSlots = async function() {
     }
   }
 
-  try {
-    // Clear existing slots and insert new ones
-    await this.deleteMany({});
-    await this.insertMany(slots);
-    console.log('Standard time slots generated successfully');
-    return slots;
-  } catch (error) {
-    console.error('Error generating time slots:', error);
-    throw error;
-  }
+  return slots;
 };
 
 // Method to check if two time slots overlap
@@ -102,47 +103,32 @@ timeSlotSchema.methods.overlapsWith = function(otherSlot) {
   return (thisStart < otherEnd && thisEnd > otherStart);
 };
 
+// Static method to get the active slots of a grid (null: ungridded slots)
+timeSlotSchema.statics.findForGrid = function(gridId) {
+  return this.find({ grid: gridId || null, isActive: true }).sort('day slotNumber');
+};
+
+// Static method to get the slots of the active grid, falling back to the
+// ungridded slots while no grid is active
+timeSlotSchema.statics.findActive = async function() {
+  return this.findForGrid(await SlotGrid.findActiveId());
+};
+
 // Static method to get slots for a specific day
-timeSlotSchema.statics.getSlotsForDay = async function(day) {
-  return await this.find({ day, isActive: true }).sort('slotNumber');
+timeSlotSchema.statics.getSlotsForDay = async function(day, gridId = null) {
+  return await this.find({ day, grid: gridId, isActive: true }).sort('slotNumber');
 };
 
 // Static method to find available consecutive slots (for labs)
-timeSlotSchema.statics.findConsecutiveSlots = async function(day, numberOfSlots) {
+timeSlotSchema.statics.findConsecutiveSlots = async function(day, numberOfSlots, gridId = null) {
   const allSlots = await this.find({ 
     day, 
+    grid: gridId,
     isActive: true,
-    slotType: { $ne: 'lunch' }  // Exclude lunch slots
+    slotType: { $nin: ['lunch', 'break'] }  // Only teaching slots
   }).sort('slotNumber');
 
-  const consecutiveGroups = [];
-  let currentGroup = [];
-
-  for (let i = 0; i < allSlots.length; i++) {
-    if (currentGroup.length === 0) {
-      currentGroup.push(allSlots[i]);
-    } else {
-      const lastSlot = currentGroup[currentGroup.length - 1];
-      const currentSlot = allSlots[i];
-      
-      // Check if slots are consecutive (slot number differs by 1)
-      if (currentSlot.slotNumber - lastSlot.slotNumber === 1) {
-        currentGroup.push(currentSlot);
-      } else {
-        if (currentGroup.length >= numberOfSlots) {
-          consecutiveGroups.push([...currentGroup]);
-        }
-        currentGroup = [currentSlot];
-      }
-    }
-  }
-
-  // Check last group
-  if (currentGroup.length >= numberOfSlots) {
-    consecutiveGroups.push(currentGroup);
-  }
-
-  return consecutiveGroups;
+  return findConsecutiveGroups(allSlots, numberOfSlots);
 };
 
 export default mongoose.model('TimeSlot', timeSlotSchema);
\ No newline at end of file
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  createConstraint,
+  getAllConstraints,
+  getConstraintById,
+  updateConstraint,
+  deleteConstraint
+} from '../controllers/constraintController.js';
+
+const router = express.Router();
+
+router.post('/', createConstraint);
+router.get('/', getAllConstraints);
+router.get('/:id', getConstraintById);
+router.put('/:id', updateConstraint);
+router.delete('/:id', deleteConstraint);
+
+export default router;
@@ -6,10 +6,13 @@ import {
   updateCourse,
   deleteCourse
 } from '../controllers/courseController.js';
+import { importCourses } from '../controllers/importController.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
 
 const router = express.Router();
 
 router.post('/', createCourse);
+router.post('/import', uploadSpreadsheet, importCourses);
 router.get('/', getAllCourses);
 router.get('/:id', getCourseById);
 router.put('/:id', updateCourse);
@@ -6,10 +6,13 @@ import {
   updateFaculty,
   deleteFaculty
 } from '../controllers/facultyController.js';
+import { importFaculty } from '../controllers/importController.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
 
 const router = express.Router();
 
 router.post('/', createFaculty);
+router.post('/import', uploadSpreadsheet, importFaculty);
 router.get('/', getAllFaculty);
 router.get('/:id', getFacultyById);
 router.put('/:id', updateFaculty);
@@ -0,0 +1,25 @@
+import express from 'express';
+import {
+  createRoom,
+  getAllRooms,
+  getAvailableRooms,
+  getSuitableRooms,
+  getRoomById,
+  updateRoom,
+  deleteRoom
+} from '../controllers/roomController.js';
+import { importRooms } from '../controllers/importController.js';
+import { uploadSpreadsheet } from '../middleware/upload.js';
+
+const router = express.Router();
+
+router.post('/', createRoom);
+router.post('/import', uploadSpreadsheet, importRooms);
+router.get('/', getAllRooms);
+router.get('/available', getAvailableRooms);
+router.get('/suitable', getSuitableRooms);
+router.get('/:id', getRoomById);
+router.put('/:id', updateRoom);
+router.delete('/:id', deleteRoom);
+
+export default router;
@@ -1,22 +1,78 @@
 import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
 import {
   generateSchedule,
+  preflightSchedule,
+  regenerateSchedule,
+  pinEntries,
+  unpinEntries,
+  moveScheduleEntry,
+  swapScheduleEntries,
+  addScheduleEntry,
+  removeScheduleEntry,
+  getEntryAlternatives,
+  getJobStatus,
+  streamProgress,
+  cancelGeneration,
+  pauseGeneration,
+  resumeGeneration,
   getSchedule,
   listSchedules,
   deleteSchedule,
+  listVersions,
+  diffVersions,
+  rollbackSchedule,
   validateSchedule,
+  diagnoseSchedule,
+  submitSchedule,
+  approveSchedule,
+  rejectSchedule,
   publishSchedule,
+  archiveSchedule,
+  updateSemesterDates,
+  exportCalendar,
+  calendarFeed,
+  exportTimetable,
+  exportSchedule,
   compareSchedules
 } from '../controllers/scheduleController.js';
 
 const router = express.Router();
 
 router.post('/', generateSchedule);
+router.post('/preflight', preflightSchedule);
+router.get('/jobs/:jobId', getJobStatus);
+router.get('/compare', compareSchedules);
+router.get('/calendar/:department/:academicYear/:semester/:kind/:value.ics', calendarFeed);
 router.get('/:id', getSchedule);
+router.get('/:id/progress', streamProgress);
+router.post('/:id/cancel', cancelGeneration);
+router.post('/:id/pause', pauseGeneration);
+router.post('/:id/resume', resumeGeneration);
+router.post('/:id/regenerate', regenerateSchedule);
+router.post('/:id/pin', pinEntries);
+router.post('/:id/unpin', unpinEntries);
+router.patch('/:id/entries/move', moveScheduleEntry);
+router.patch('/:id/entries/swap', swapScheduleEntries);
+router.patch('/:id/entries/add', addScheduleEntry);
+router.patch('/:id/entries/remove', removeScheduleEntry);
+router.get('/:id/entries/:entryKey/alternatives', getEntryAlternatives);
 router.get('/', listSchedules);
 router.delete('/:id', deleteSchedule);
+router.get('/:id/versions', listVersions);
+router.get('/:id/diff/:otherId', diffVersions);
+router.post('/:id/rollback', rollbackSchedule);
 router.post('/:id/validate', validateSchedule);
-router.post('/:id/publish', publishSchedule);
+router.post('/:id/diagnose', diagnoseSchedule);
+router.patch('/:id/semester-dates', updateSemesterDates);
+router.get('/:id/calendar.ics', exportCalendar);
+router.get('/:id/timetable.:format', exportTimetable);
+router.get('/:id/export', exportSchedule);
+router.post('/:id/submit', requireAuth, submitSchedule);
+router.post('/:id/approve', requireAuth, approveSchedule);
+router.post('/:id/reject', requireAuth, rejectSchedule);
+router.post('/:id/publish', requireAuth, publishSchedule);
+router.post('/:id/archive', requireAuth, archiveSchedule);
 router.post('/compare', compareSchedules);
 
 export default router;
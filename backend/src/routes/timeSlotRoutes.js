@@ -0,0 +1,44 @@
+import express from 'express';
+import {
+  getAllTimeSlots,
+  getTimeSlotById,
+  createTimeSlot,
+  updateTimeSlot,
+  deleteTimeSlot,
+  getAllDayTemplates,
+  getDayTemplateById,
+  createDayTemplate,
+  updateDayTemplate,
+  deleteDayTemplate,
+  getAllSlotGrids,
+  getSlotGridById,
+  createSlotGrid,
+  updateSlotGrid,
+  deleteSlotGrid,
+  assignDay,
+  activateSlotGrid
+} from '../controllers/timeSlotController.js';
+
+const router = express.Router();
+
+router.get('/templates', getAllDayTemplates);
+router.post('/templates', createDayTemplate);
+router.get('/templates/:id', getDayTemplateById);
+router.put('/templates/:id', updateDayTemplate);
+router.delete('/templates/:id', deleteDayTemplate);
+
+router.get('/grids', getAllSlotGrids);
+router.post('/grids', createSlotGrid);
+router.get('/grids/:id', getSlotGridById);
+router.put('/grids/:id', updateSlotGrid);
+router.delete('/grids/:id', deleteSlotGrid);
+router.put('/grids/:id/days/:day', assignDay);
+router.post('/grids/:id/activate', activateSlotGrid);
+
+router.post('/', createTimeSlot);
+router.get('/', getAllTimeSlots);
+router.get('/:id', getTimeSlotById);
+router.put('/:id', updateTimeSlot);
+router.delete('/:id', deleteTimeSlot);
+
+export default router;
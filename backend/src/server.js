@@ -2,17 +2,18 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import connectDB from './config/database.js';
+import { runMigrations } from './services/migrations.js';
 import errorHandler from './middleware/errorHandler.js';
 
 // Import routes
 import scheduleRoutes from './routes/scheduleRoutes.js';
 import facultyRoutes from './routes/facultyRoutes.js';
 import courseRoutes from './routes/courseRoutes.js';
-
-// Import models for initialization
-import TimeSlot from './models/TimeSlot.js';
-import Constraint from './models/Constraint.js';
-import Room from './models/Room.js';
+import roomRoutes from './routes/roomRoutes.js';
+import timeSlotRoutes from './routes/timeSlotRoutes.js';
+import constraintRoutes from './routes/constraintRoutes.js';
+import { resetDefaultConstraints } from './controllers/constraintController.js';
+import { initStandardSlots } from './controllers/timeSlotController.js';
 
 const app = express();
 
@@ -39,88 +40,15 @@ app.get('/health', (req, res) => {
 app.use('/api/schedules', scheduleRoutes);
 app.use('/api/faculty', facultyRoutes);
 app.use('/api/courses', courseRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/timeslots', timeSlotRoutes);
+app.use('/api/constraints', constraintRoutes);
 
-// Initialize time slots endpoint
-app.post('/api/init/timeslots', async (req, res) => {
-  try {
-    await TimeSlot.generateStandardSlots();
-    res.json({
-      success: true,
-      message: 'Time slots initialized successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error initializing time slots',
-      error: error.message
-    });
-  }
-});
+// Initialize time slots endpoint (`force` overrides schedule clashes)
+app.post('/api/init/timeslots', initStandardSlots);
 
 // Initialize constraints endpoint
-app.post('/api/init/constraints', async (req, res) => {
-  try {
-    const defaultConstraints = Constraint.getDefaultConstraints();
-    
-    // Clear existing and insert defaults
-    await Constraint.deleteMany({});
-    await Constraint.insertMany(defaultConstraints);
-    
-    res.json({
-      success: true,
-      message: 'Constraints initialized successfully',
-      count: defaultConstraints.length
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error initializing constraints',
-      error: error.message
-    });
-  }
-});
-
-// Room routes (simple CRUD)
-app.get('/api/rooms', async (req, res) => {
-  try {
-    const rooms = await Room.find();
-    res.json({ success: true, data: rooms });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-app.post('/api/rooms', async (req, res) => {
-  try {
-    const room = new Room(req.body);
-    await room.save();
-    res.status(201).json({ success: true, data: room });
-  } catch (error) {
-    res.status(400).json({ success: false, error: error.message });
-  }
-});
-
-// TimeSlot routes
-app.get('/api/timeslots', async (req, res) => {
-  try {
-    const { day } = req.query;
-    const filter = day ? { day } : {};
-    const timeslots = await TimeSlot.find(filter).sort('slotNumber');
-    res.json({ success: true, data: timeslots });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
-
-// Constraint routes
-app.get('/api/constraints', async (req, res) => {
-  try {
-    const constraints = await Constraint.find();
-    res.json({ success: true, data: constraints });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+app.post('/api/init/constraints', resetDefaultConstraints);
 
 // 404 handler
 app.use((req, res) => {
@@ -137,6 +65,7 @@ app.use(errorHandler);
 const PORT = process.env.PORT || 5000;
 
 connectDB()
+  .then(runMigrations)
   .then(() => {
     app.listen(PORT, () => {
       console.log(`\n Server running on port ${PORT}`);
@@ -146,7 +75,7 @@ connectDB()
     });
   })
   .catch((error) => {
-    console.error('Failed to connect to database:', error);
+    console.error('Failed to prepare database:', error);
     process.exit(1);
   });
 
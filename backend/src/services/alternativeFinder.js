@@ -0,0 +1,233 @@
+import FitnessCalculator from './fitnessCalculator.js';
+import { buildSlotBlocks, blockToTimeSlot, getOccupiedSlots, findBlockIssue } from './timeSlotUtils.js';
+import { isRoomSuitable, entryToGene } from './courseRequirements.js';
+
+/**
+ * Finds other places a schedule entry could go.
+ *
+ * A placement is feasible when the entry's faculty, section and room are
+ * free for every slot it occupies, the faculty is available, and lab blocks
+ * stay contiguous. Feasible moves and two-way swaps are ranked by the soft
+ * constraint penalty the FitnessCalculator gives the resulting schedule.
+ */
+class AlternativeFinder {
+  constructor(weights = {}) {
+    this.fitnessCalculator = new FitnessCalculator(weights);
+  }
+
+  /**
+   * Rank alternatives for the entry with `entryKey`. Entries are plain
+   * objects carrying entryKeys; data holds plain courses, faculty, rooms,
+   * timeSlots and constraints.
+   */
+  find(entries, entryKey, data, { limit = 20, includeSwaps = true } = {}) {
+    this.data = data;
+    this.facultyMap = new Map(data.faculty.map(f => [f._id.toString(), f]));
+
+    const index = entries.findIndex(e => e.entryKey === entryKey);
+    if (index === -1) return null;
+
+    const entry = entries[index];
+    const genes = entries.map(e => entryToGene(e));
+    const currentPenalty = this.softPenalty(genes);
+
+    const moves = this.findMoves(genes, index, currentPenalty);
+    const swaps = includeSwaps ? this.findSwaps(genes, index, currentPenalty) : [];
+
+    const alternatives = [...moves, ...swaps]
+      .sort((a, b) => a.softPenalty - b.softPenalty || a.type.localeCompare(b.type));
+
+    return {
+      entryKey,
+      current: {
+        day: entry.day,
+        slotNumbers: getOccupiedSlots(entry.timeSlot),
+        roomNumber: entry.roomNumber,
+        softPenalty: currentPenalty
+      },
+      totalMoves: moves.length,
+      totalSwaps: swaps.length,
+      alternatives: alternatives.slice(0, limit)
+    };
+  }
+
+  /**
+   * Every free (day, slot block, room) for the entry, faculty unchanged
+   */
+  findMoves(genes, index, currentPenalty) {
+    const gene = genes[index];
+    const course = this.data.courses.find(c => c.courseCode === gene.courseCode);
+    const section = course?.sections.find(s => s.sectionName === gene.section);
+    if (!course || !section) return [];
+
+    const others = genes.filter((g, i) => i !== index);
+    const occupancy = this.buildOccupancy(others);
+    const rooms = this.data.rooms.filter(r => isRoomSuitable(r, course, gene.sessionType, section));
+    const moves = [];
+
+    for (const block of buildSlotBlocks(this.data.timeSlots, gene.consecutiveSlots || 1)) {
+      const timeSlot = blockToTimeSlot(block);
+      if (!this.isAvailable(gene.facultyId, timeSlot)) continue;
+
+      for (const room of rooms) {
+        const candidate = { ...gene, timeSlot, roomId: room._id, roomNumber: room.roomNumber };
+
+        if (this.isCurrentPlacement(gene, candidate)) continue;
+        if (!this.isFree(candidate, occupancy)) continue;
+
+        const softPenalty = this.softPenalty(this.replace(genes, [[index, candidate]]));
+        moves.push({
+          type: 'move',
+          day: timeSlot.day,
+          slotNumber: timeSlot.slotNumber,
+          slotNumbers: timeSlot.slotNumbers,
+          startTime: timeSlot.startTime,
+          endTime: timeSlot.endTime,
+          room: room._id,
+          roomNumber: room.roomNumber,
+          softPenalty,
+          penaltyDelta: softPenalty - currentPenalty
+        });
+      }
+    }
+
+    return moves;
+  }
+
+  /**
+   * Exchanges of day and slots with another (unpinned) entry; rooms stay
+   * with their entries, so both rooms must be free at the other's time
+   */
+  findSwaps(genes, index, currentPenalty) {
+    const gene = genes[index];
+    const swaps = [];
+
+    genes.forEach((other, otherIndex) => {
+      if (otherIndex === index || other.pinned) return;
+      if (other.timeSlot.day === gene.timeSlot.day &&
+          other.timeSlot.slotNumber === gene.timeSlot.slotNumber) return;
+
+      const moved = this.moveTo(gene, other.timeSlot.day, other.timeSlot.slotNumber);
+      const otherMoved = this.moveTo(other, gene.timeSlot.day, gene.timeSlot.slotNumber);
+      if (!moved || !otherMoved) return;
+
+      if (!this.isAvailable(moved.facultyId, moved.timeSlot) ||
+          !this.isAvailable(otherMoved.facultyId, otherMoved.timeSlot)) return;
+
+      const occupancy = this.buildOccupancy(genes.filter((g, i) => i !== index && i !== otherIndex));
+      if (!this.isFree(moved, occupancy)) return;
+      this.occupy(moved, occupancy);
+      if (!this.isFree(otherMoved, occupancy)) return;
+
+      const softPenalty = this.softPenalty(this.replace(genes, [[index, moved], [otherIndex, otherMoved]]));
+      swaps.push({
+        type: 'swap',
+        withEntryKey: other.entryKey,
+        withCourseCode: other.courseCode,
+        withSection: other.section,
+        day: moved.timeSlot.day,
+        slotNumber: moved.timeSlot.slotNumber,
+        slotNumbers: moved.timeSlot.slotNumbers,
+        startTime: moved.timeSlot.startTime,
+        endTime: moved.timeSlot.endTime,
+        room: gene.roomId,
+        roomNumber: gene.roomNumber,
+        softPenalty,
+        penaltyDelta: softPenalty - currentPenalty
+      });
+    });
+
+    return swaps;
+  }
+
+  /**
+   * Gene placed at a day/slot with its own length, or null if the block
+   * would not be valid there
+   */
+  moveTo(gene, day, slotNumber) {
+    const length = gene.consecutiveSlots || 1;
+    const slotNumbers = Array.from({ length }, (_, i) => slotNumber + i);
+    if (findBlockIssue(day, slotNumbers, length, this.data.timeSlots)) return null;
+
+    const slots = slotNumbers.map(n =>
+      this.data.timeSlots.find(t => t.day === day && t.slotNumber === n)
+    );
+
+    return {
+      ...gene,
+      timeSlot: {
+        day,
+        slotNumber,
+        slotNumbers,
+        startTime: slots[0].startTime,
+        endTime: slots[slots.length - 1].endTime
+      }
+    };
+  }
+
+  buildOccupancy(genes) {
+    const occupancy = new Set();
+    genes.forEach(gene => this.occupy(gene, occupancy));
+    return occupancy;
+  }
+
+  occupy(gene, occupancy) {
+    for (const key of this.occupancyKeys(gene)) occupancy.add(key);
+  }
+
+  isFree(gene, occupancy) {
+    return this.occupancyKeys(gene).every(key => !occupancy.has(key));
+  }
+
+  occupancyKeys(gene) {
+    return getOccupiedSlots(gene.timeSlot).flatMap(slotNumber => {
+      const time = `${gene.timeSlot.day}-${slotNumber}`;
+      return [
+        `faculty:${gene.facultyId}:${time}`,
+        `room:${gene.roomId}:${time}`,
+        `section:${gene.section}:${time}`
+      ];
+    });
+  }
+
+  /**
+   * Same availability rule as the fitness calculator
+   */
+  isAvailable(facultyId, timeSlot) {
+    const facultyMember = this.facultyMap.get(facultyId.toString());
+    if (!facultyMember?.availability) return true;
+
+    const windows = facultyMember.availability[timeSlot.day.toLowerCase()] || [];
+    return windows.some(w => timeSlot.startTime >= w.startTime && timeSlot.endTime <= w.endTime);
+  }
+
+  isCurrentPlacement(gene, candidate) {
+    return gene.timeSlot.day === candidate.timeSlot.day &&
+      gene.timeSlot.slotNumber === candidate.timeSlot.slotNumber &&
+      gene.roomId.toString() === candidate.roomId.toString();
+  }
+
+  replace(genes, replacements) {
+    const copy = genes.slice();
+    for (const [index, gene] of replacements) copy[index] = gene;
+    return copy;
+  }
+
+  /**
+   * Sum of the soft constraint penalties of a set of genes
+   */
+  softPenalty(genes) {
+    const result = this.fitnessCalculator.calculate(
+      { genes },
+      this.data.courses,
+      this.data.faculty,
+      this.data.rooms,
+      this.data.constraints,
+      this.data.timeSlots
+    );
+
+    return result.details.softConstraints.reduce((sum, c) => sum + c.penalty, 0);
+  }
+}
+
+export default AlternativeFinder;
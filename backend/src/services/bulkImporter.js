@@ -0,0 +1,449 @@
+import path from 'path';
+import mongoose from 'mongoose';
+import ExcelJS from 'exceljs';
+import Faculty from '../models/Faculty.js';
+import Course from '../models/Course.js';
+import Room from '../models/Room.js';
+
+/**
+ * Bulk import of faculty, courses and rooms from CSV or xlsx.
+ *
+ * Each column names a field path of the model (e.g. `workload.maxHoursPerWeek`),
+ * either directly in the header row or through a `{ header: path }` mapping.
+ * Plain fields are cast by Mongoose; nested lists use compact cell formats:
+ *
+ *   availability.<day>                 09:00-13:00; 14:00-17:00
+ *   preferences.preferredTimeSlots     Monday 09:00-11:00; Friday 14:00-16:00
+ *   subjects (faculty)                 CS101; CS102           (course codes)
+ *   sections (courses)                 A:60; B:55:F001:F002   (name:strength[:theory faculty[:lab faculty]])
+ *   prerequisites (courses)            CS101; MA101           (course codes)
+ *   facilities (rooms)                 projector; ac; computers; smartboard; sound; whiteboard
+ *   lists of values                    Monday; Wednesday
+ *
+ * Rows whose key (facultyId, courseCode or roomNumber) already exists
+ * update that record; other rows create one.
+ */
+
+export class ImportError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+  }
+}
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const LIST_SEPARATOR = /\s*;\s*/;
+
+const FACILITY_FLAGS = {
+  projector: 'hasProjector',
+  ac: 'hasAC',
+  computers: 'hasComputers',
+  whiteboard: 'hasWhiteboard',
+  smartboard: 'hasSmartBoard',
+  sound: 'hasSoundSystem'
+};
+
+const availabilityFields = withWindowFlag => Object.fromEntries(DAYS.map(day => [
+  `availability.${day}`,
+  value => parseWindows(value).map(window => withWindowFlag ? { ...window, isAvailable: true } : window)
+]));
+
+const IMPORTERS = {
+  faculty: {
+    model: Faculty,
+    key: 'facultyId',
+    unique: ['facultyId', 'email'],
+    label: 'faculty',
+    fields: {
+      ...availabilityFields(false),
+      'preferences.preferredTimeSlots': parseDaySlots,
+      'preferences.avoidTimeSlots': parseDaySlots,
+      subjects: (value, refs) => [...new Set(parseList(value).map(code => code.toUpperCase()))].map(code => {
+        const course = refs.coursesByCode.get(code);
+        if (!course) throw new Error(`Course ${code} not found`);
+        return { courseId: course._id, courseName: course.courseName, canTeach: true };
+      })
+    }
+  },
+  courses: {
+    model: Course,
+    key: 'courseCode',
+    unique: ['courseCode'],
+    label: 'courses',
+    fields: {
+      sections: parseSections,
+      prerequisites: (value, refs) => parseList(value).map(code => {
+        const course = refs.coursesByCode.get(code.toUpperCase());
+        if (!course) throw new Error(`Prerequisite course ${code} not found`);
+        return course._id;
+      })
+    }
+  },
+  rooms: {
+    model: Room,
+    key: 'roomNumber',
+    unique: ['roomNumber'],
+    label: 'rooms',
+    fields: {
+      ...availabilityFields(true),
+      facilities: value => {
+        const flags = parseList(value).map(flag => flag.toLowerCase());
+        const unknown = flags.filter(flag => !FACILITY_FLAGS[flag]);
+        if (unknown.length > 0) {
+          throw new Error(`Unknown facilities ${unknown.join(', ')}; use ${Object.keys(FACILITY_FLAGS).join(', ')}`);
+        }
+        return Object.fromEntries(
+          Object.entries(FACILITY_FLAGS).map(([flag, field]) => [field, flags.includes(flag)])
+        );
+      }
+    }
+  }
+};
+
+export const IMPORT_ENTITIES = Object.keys(IMPORTERS);
+
+export function getImportLabel(entity) {
+  return IMPORTERS[entity]?.label || entity;
+}
+
+/**
+ * Rows of an uploaded CSV or xlsx file as `{ header: text }` objects
+ */
+export async function parseUpload(file) {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+
+  if (extension === '.csv') {
+    return rowsFromTable(parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, '')));
+  }
+
+  if (extension === '.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) throw new ImportError('The workbook has no sheets');
+
+    const table = [];
+    sheet.eachRow({ includeEmpty: false }, row => {
+      const values = [];
+      for (let c = 1; c <= sheet.columnCount; c++) values.push(row.getCell(c).text);
+      table.push(values);
+    });
+    return rowsFromTable(table);
+  }
+
+  throw new ImportError('Upload a .csv or .xlsx file');
+}
+
+/**
+ * Build and validate a record per row without saving anything.
+ * `defaults` fill fields (e.g. department) that a row leaves empty.
+ * Resolves to `{ records, rows, errors, ignoredColumns }`; `records` are
+ * unsaved documents, `rows` say whether each row creates or updates.
+ */
+export async function validateImport(entity, rows, { mapping = {}, defaults = {} } = {}) {
+  const importer = IMPORTERS[entity];
+  if (!importer) {
+    throw new ImportError(`Unknown import entity ${entity}; use ${IMPORT_ENTITIES.join(', ')}`, 404);
+  }
+
+  if (rows.length === 0) {
+    throw new ImportError('The file has no data rows');
+  }
+
+  const { model } = importer;
+  const headers = Object.keys(rows[0]);
+  const columns = [];
+  const ignoredColumns = [];
+
+  for (const header of headers) {
+    const target = mapping[header] || header.trim();
+    if (importer.fields[target] || isPlainPath(model.schema, target)) {
+      columns.push({ header, target });
+    } else {
+      ignoredColumns.push(header);
+    }
+  }
+
+  if (!columns.some(column => column.target === importer.key)) {
+    throw new ImportError(`A ${importer.key} column is required`);
+  }
+
+  const refs = await loadReferences();
+  const keys = rows.map(row => cellOf(row, columns, importer.key)).filter(Boolean);
+  const existing = new Map(
+    (await model.find({ [importer.key]: { $in: keys.map(k => normalizeKey(importer, k)) } }))
+      .map(doc => [String(doc[importer.key]), doc])
+  );
+
+  const errors = [];
+  const records = [];
+  const results = [];
+  const seen = new Map(importer.unique.map(field => [field, new Map()]));
+
+  for (const [index, row] of rows.entries()) {
+    const rowNumber = index + 2;  // the header is row 1
+    const rowErrors = [];
+    const values = new Map(Object.entries(defaults).filter(([field]) => isPlainPath(model.schema, field)));
+
+    for (const { header, target } of columns) {
+      const text = String(row[header] ?? '').trim();
+      if (text === '') continue;
+
+      const parse = importer.fields[target];
+      try {
+        const value = parse ? parse(text, refs) : parsePlain(model.schema, target, text);
+        // Flags such as facilities set their own sub-paths
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+          for (const [field, flag] of Object.entries(value)) values.set(`${target}.${field}`, flag);
+        } else {
+          values.set(target, value);
+        }
+      } catch (error) {
+        rowErrors.push({ row: rowNumber, field: target, message: error.message });
+      }
+    }
+
+    const key = values.get(importer.key) ? normalizeKey(importer, values.get(importer.key)) : null;
+    const current = key ? existing.get(key) : null;
+    const record = current || new model();
+    // Path by path, so an update keeps the nested fields the file leaves out
+    for (const [field, value] of values) record.set(field, value);
+
+    try {
+      await record.validate();
+    } catch (error) {
+      for (const [field, detail] of Object.entries(error.errors || {})) {
+        rowErrors.push({ row: rowNumber, field, message: detail.message });
+      }
+      if (!error.errors) rowErrors.push({ row: rowNumber, message: error.message });
+    }
+
+    for (const field of importer.unique) {
+      const value = record.get(field);
+      if (!value) continue;
+
+      const firstRow = seen.get(field).get(String(value));
+      if (firstRow) {
+        rowErrors.push({ row: rowNumber, field, message: `Duplicate ${field} ${value} (also on row ${firstRow})` });
+      } else {
+        seen.get(field).set(String(value), rowNumber);
+      }
+    }
+
+    errors.push(...rowErrors);
+    records.push(record);
+    results.push({ row: rowNumber, key, action: current ? 'update' : 'create', valid: rowErrors.length === 0 });
+  }
+
+  errors.push(...await findUniqueClashes(importer, records, results));
+
+  return { records, rows: results, errors, ignoredColumns };
+}
+
+/**
+ * Save all records in one transaction: either every row is imported or none
+ */
+export async function commitImport(records) {
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      for (const record of records) {
+        await record.save({ session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Unique fields other than the key (e.g. a faculty email) already used by
+ * a different record in the database
+ */
+async function findUniqueClashes(importer, records, results) {
+  const errors = [];
+
+  for (const field of importer.unique.filter(f => f !== importer.key)) {
+    const values = records.map(record => record.get(field)).filter(Boolean);
+    const taken = await importer.model.find({ [field]: { $in: values } }).select(`${field} ${importer.key}`);
+
+    for (const doc of taken) {
+      const index = records.findIndex(record => record.get(field) === doc.get(field));
+      if (records[index]._id.equals(doc._id)) continue;
+
+      errors.push({
+        row: results[index].row,
+        field,
+        message: `${field} ${doc.get(field)} already belongs to ${importer.key} ${doc.get(importer.key)}`
+      });
+      results[index].valid = false;
+    }
+  }
+
+  return errors;
+}
+
+async function loadReferences() {
+  const [courses, faculty] = await Promise.all([
+    Course.find().select('courseCode courseName'),
+    Faculty.find().select('facultyId name')
+  ]);
+
+  return {
+    coursesByCode: new Map(courses.map(course => [course.courseCode, course])),
+    facultyById: new Map(faculty.map(member => [member.facultyId, member]))
+  };
+}
+
+function normalizeKey(importer, value) {
+  const text = String(value).trim();
+  return importer.key === 'courseCode' ? text.toUpperCase() : text;
+}
+
+function cellOf(row, columns, target) {
+  const column = columns.find(c => c.target === target);
+  return column ? String(row[column.header] ?? '').trim() : '';
+}
+
+/**
+ * Paths Mongoose can cast from a single cell: primitives and lists of them
+ */
+function isPlainPath(schema, target) {
+  if (['_id', '__v', 'createdAt', 'updatedAt'].includes(target)) return false;
+
+  const schemaType = schema.path(target);
+  if (!schemaType) return false;
+  if (schemaType.instance === 'Array') {
+    return ['String', 'Number', 'Boolean'].includes(schemaType.embeddedSchemaType?.instance);
+  }
+  return ['String', 'Number', 'Boolean', 'Date'].includes(schemaType.instance);
+}
+
+function parsePlain(schema, target, text) {
+  return schema.path(target).instance === 'Array' ? parseList(text) : text;
+}
+
+function parseList(text) {
+  return text.split(LIST_SEPARATOR).filter(Boolean);
+}
+
+/**
+ * "09:00-13:00; 14:00-17:00"
+ */
+function parseWindows(text) {
+  return parseList(text).map(window => {
+    const match = window.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+    if (!match) throw new Error(`"${window}" is not a time window like 09:00-13:00`);
+
+    const [startTime, endTime] = [normalizeTime(match[1]), normalizeTime(match[2])];
+    if (startTime >= endTime) throw new Error(`Window ${window} ends before it starts`);
+    return { startTime, endTime };
+  });
+}
+
+/**
+ * "Monday 09:00-11:00; Friday 14:00-16:00"
+ */
+function parseDaySlots(text) {
+  return parseList(text).map(slot => {
+    const [day, ...rest] = slot.split(/\s+/);
+    const dayName = DAYS.find(d => d === day.toLowerCase());
+    if (!dayName) throw new Error(`"${day}" is not a weekday`);
+
+    const [window] = parseWindows(rest.join(''));
+    return { day: dayName[0].toUpperCase() + dayName.slice(1), ...window };
+  });
+}
+
+/**
+ * "A:60; B:55:F001:F002" - section name, strength and optional theory and
+ * lab faculty (by facultyId)
+ */
+function parseSections(text, refs) {
+  return parseList(text).map(section => {
+    const [sectionName, strength, theory, lab] = section.split(':').map(part => part.trim());
+    if (!sectionName || !Number(strength)) {
+      throw new Error(`"${section}" is not a section like A:60`);
+    }
+
+    const facultyRef = facultyId => {
+      if (!facultyId) return undefined;
+      const member = refs.facultyById.get(facultyId);
+      if (!member) throw new Error(`Faculty ${facultyId} not found`);
+      return member._id;
+    };
+
+    return {
+      sectionName,
+      strength: Number(strength),
+      assignedFaculty: { theory: facultyRef(theory), lab: facultyRef(lab) }
+    };
+  });
+}
+
+function normalizeTime(time) {
+  const [hours, minutes] = time.split(':');
+  return `${hours.padStart(2, '0')}:${minutes}`;
+}
+
+/**
+ * Header row plus data rows as objects; blank lines are skipped
+ */
+function rowsFromTable(table) {
+  const [headers = [], ...data] = table;
+  const names = headers.map(header => String(header).trim());
+
+  return data
+    .filter(values => values.some(value => String(value ?? '').trim() !== ''))
+    .map(values => Object.fromEntries(names.map((name, i) => [name, values[i] ?? ''])));
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+ */
+function parseCsv(text) {
+  const table = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      table.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    table.push(row);
+  }
+
+  return table;
+}
@@ -0,0 +1,53 @@
+import ExcelJS from 'exceljs';
+import { parseUpload, ImportError } from './bulkImporter.js';
+
+const csvFile = (text, originalname = 'faculty.csv') => ({ originalname, buffer: Buffer.from(text, 'utf8') });
+
+describe('parseUpload', () => {
+  test('reads CSV rows keyed by the trimmed header', async () => {
+    const rows = await parseUpload(csvFile(' facultyId ,name,department\nF001,Asha Rao,CSE\nF002,Ravi Kumar,ECE\n'));
+
+    expect(rows).toEqual([
+      { facultyId: 'F001', name: 'Asha Rao', department: 'CSE' },
+      { facultyId: 'F002', name: 'Ravi Kumar', department: 'ECE' }
+    ]);
+  });
+
+  test('handles quoted commas, escaped quotes and line breaks', async () => {
+    const rows = await parseUpload(csvFile(
+      'courseCode,courseName,sections\r\n' +
+      'CS101,"Data Structures, Part 1","A:60; B:55"\r\n' +
+      'CS102,"The ""Hard"" Course","A:40\nB:40"'
+    ));
+
+    expect(rows).toEqual([
+      { courseCode: 'CS101', courseName: 'Data Structures, Part 1', sections: 'A:60; B:55' },
+      { courseCode: 'CS102', courseName: 'The "Hard" Course', sections: 'A:40\nB:40' }
+    ]);
+  });
+
+  test('ignores a byte order mark and blank lines, and fills short rows', async () => {
+    const rows = await parseUpload(csvFile('\uFEFFroomNumber,capacity,type\n\nR101,60\n , , \nL201,40,lab\n'));
+
+    expect(rows).toEqual([
+      { roomNumber: 'R101', capacity: '60', type: '' },
+      { roomNumber: 'L201', capacity: '40', type: 'lab' }
+    ]);
+  });
+
+  test('reads the first sheet of an xlsx workbook', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Rooms');
+    sheet.addRow(['roomNumber', 'capacity']);
+    sheet.addRow(['R101', 60]);
+    const buffer = Buffer.from(await workbook.xlsx.writeBuffer());
+
+    expect(await parseUpload({ originalname: 'rooms.XLSX', buffer })).toEqual([
+      { roomNumber: 'R101', capacity: '60' }
+    ]);
+  });
+
+  test('rejects other file types', async () => {
+    await expect(parseUpload(csvFile('a,b', 'rooms.txt'))).rejects.toThrow(ImportError);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Scoping of constraints to a department, courses, faculty, sections or
+ * rooms. Works on plain objects as well as documents so the GA worker
+ * threads can use it.
+ *
+ * A scope list that is empty does not restrict; a non-empty list limits
+ * the constraint to entries whose course/faculty/section/room is in it.
+ */
+
+const ENTITY_LISTS = ['courses', 'faculty', 'sections', 'rooms'];
+
+/**
+ * Mongo filter for active constraints that apply to a department
+ */
+export function departmentScopeFilter(department) {
+  return {
+    isActive: true,
+    'scope.department': { $in: [null, department] }
+  };
+}
+
+/**
+ * Whether a constraint concerns anything in a generation run: each of its
+ * non-empty scope lists must name at least one course, faculty member,
+ * section or room of the run
+ */
+export function appliesToRun(constraint, { courses = [], faculty = [], rooms = [] }) {
+  const scope = constraint.scope || {};
+
+  const inRun = {
+    courses: new Set(courses.map(c => String(c._id))),
+    faculty: new Set(faculty.map(f => String(f._id))),
+    sections: new Set(courses.flatMap(c => (c.sections || []).map(s => s.sectionName))),
+    rooms: new Set(rooms.map(r => String(r._id)))
+  };
+
+  return ENTITY_LISTS.every(list =>
+    !scope[list]?.length || scope[list].some(value => inRun[list].has(String(value)))
+  );
+}
+
+/**
+ * Whether a gene or schedule entry falls inside a constraint's scope
+ */
+export function appliesToEntry(constraint, entry) {
+  const scope = constraint.scope || {};
+
+  const values = {
+    courses: entry.courseId ?? entry.course,
+    faculty: entry.facultyId ?? entry.faculty,
+    sections: entry.section,
+    rooms: entry.roomId ?? entry.room
+  };
+
+  return ENTITY_LISTS.every(list =>
+    !scope[list]?.length || scope[list].some(value => String(value) === String(values[list]?._id ?? values[list]))
+  );
+}
+
+/**
+ * Whether a faculty member is inside a constraint's faculty scope; used by
+ * per-faculty checks such as workload limits
+ */
+export function appliesToFaculty(constraint, facultyId) {
+  const faculty = constraint.scope?.faculty;
+  return !faculty?.length || faculty.some(id => String(id) === String(facultyId));
+}
+
+/**
+ * Whether a constraint is scoped at all (beyond every department)
+ */
+export function isScoped(constraint) {
+  const scope = constraint.scope || {};
+  return Boolean(scope.department) || ENTITY_LISTS.some(list => scope[list]?.length > 0);
+}
@@ -0,0 +1,276 @@
+import { getOccupiedSlots } from '../timeSlotUtils.js';
+
+/**
+ * Declarative constraint rules, stored as `parameters.rule` of a
+ * `custom_rule` constraint:
+ *
+ *   {
+ *     per: 'section',                       // optional grouping
+ *     left: { select: { courses: ['CS101'], sessionTypes: ['theory'] }, aggregate: 'first' },
+ *     op: '<',
+ *     right: { select: { courses: ['CS101'], sessionTypes: ['lab'] }, aggregate: 'first' }
+ *   }
+ *
+ * A term selects sessions and aggregates them; `right` may also be a
+ * number. Every group must satisfy `left op right`, otherwise the group is
+ * one violation.
+ *
+ * - select: courses (code or id), sections, faculty (id, code or name),
+ *   rooms (number or id), days, sessionTypes, and slots `{ from, to }`
+ *   (a session matches if it occupies any slot in the range). Lists match
+ *   any of their values; an omitted key matches everything.
+ * - aggregate: count (sessions), duration (hours), gaps (idle slots
+ *   between the selected sessions of a day), first / last (earliest /
+ *   latest position in the week, only comparable with each other; a group
+ *   without such a session passes).
+ * - per: course, section, faculty, room, day or sessionType, or a list of
+ *   them. Groups are the distinct values among the sessions the constraint
+ *   sees; without `per` the whole schedule is one group.
+ */
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const SELECTOR_LISTS = ['courses', 'sections', 'faculty', 'rooms', 'days', 'sessionTypes'];
+const AGGREGATES = ['count', 'duration', 'gaps', 'first', 'last'];
+const POSITION_AGGREGATES = ['first', 'last'];
+const GROUP_KEYS = ['course', 'section', 'faculty', 'room', 'day', 'sessionType'];
+
+const COMPARISONS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b
+};
+
+// Validity per rule object. Fitness scoring evaluates the same rule objects
+// for every chromosome, so each is validated once rather than every time.
+const ruleValidity = new WeakMap();
+
+const GROUP_VALUES = {
+  course: gene => gene.courseCode,
+  section: gene => gene.section,
+  faculty: gene => gene.facultyName || String(gene.facultyId),
+  room: gene => gene.roomNumber || String(gene.roomId),
+  day: gene => gene.timeSlot.day,
+  sessionType: gene => gene.sessionType
+};
+
+/**
+ * Problems with a rule, as messages; empty when the rule is valid
+ */
+export function validateRule(rule) {
+  if (!isObject(rule)) {
+    return ['rule must be an object'];
+  }
+
+  const problems = [];
+
+  if (!COMPARISONS[rule.op]) {
+    problems.push(`op must be one of ${Object.keys(COMPARISONS).join(', ')}`);
+  }
+
+  if (rule.per !== undefined) {
+    const keys = [rule.per].flat();
+    const unknown = keys.filter(key => !GROUP_KEYS.includes(key));
+    if (keys.length === 0 || unknown.length > 0) {
+      problems.push(`per must be one or more of ${GROUP_KEYS.join(', ')}`);
+    }
+  }
+
+  problems.push(...validateTerm(rule.left, 'left'));
+  if (typeof rule.right === 'number') {
+    if (!Number.isFinite(rule.right)) problems.push('right must be a finite number');
+  } else {
+    problems.push(...validateTerm(rule.right, 'right'));
+  }
+
+  const positions = [rule.left, rule.right].map(term => POSITION_AGGREGATES.includes(term?.aggregate));
+  if (problems.length === 0 && positions[0] !== positions[1]) {
+    problems.push('first and last can only be compared with first or last');
+  }
+
+  return problems;
+}
+
+/**
+ * Evaluator for `custom_rule` constraints. Invalid rules (the model rejects
+ * them on save) are skipped.
+ */
+export function customRule(genes, { faculty = [] }, { rule } = {}) {
+  if (!isValidRule(rule)) return [];
+
+  const facultyCodes = new Map(faculty.map(f => [String(f._id), f.facultyId]));
+  const keys = rule.per === undefined ? [] : [rule.per].flat();
+  const violations = [];
+
+  for (const [group, members] of groupGenes(genes, keys)) {
+    const left = aggregate(rule.left, members, facultyCodes);
+    const right = typeof rule.right === 'number' ? rule.right : aggregate(rule.right, members, facultyCodes);
+    if (left === null || right === null || COMPARISONS[rule.op](left, right)) continue;
+
+    const prefix = group.length > 0 ? `${keys.map((key, i) => `${key} ${group[i]}`).join(', ')}: ` : '';
+    const format = POSITION_AGGREGATES.includes(rule.left.aggregate) ? formatPosition : String;
+    violations.push({
+      description: `${prefix}${describeTerm(rule.left)} is ${format(left)}, expected ${rule.op} ${format(right)}`,
+      affectedEntities: affectedEntities(keys, group)
+    });
+  }
+
+  return violations;
+}
+
+function isValidRule(rule) {
+  if (!isObject(rule)) return false;
+  if (!ruleValidity.has(rule)) {
+    ruleValidity.set(rule, validateRule(rule).length === 0);
+  }
+  return ruleValidity.get(rule);
+}
+
+function validateTerm(term, name) {
+  if (!isObject(term)) {
+    return [`${name} must be a term${name === 'right' ? ' or a number' : ''}`];
+  }
+
+  const problems = [];
+
+  if (!AGGREGATES.includes(term.aggregate)) {
+    problems.push(`${name}.aggregate must be one of ${AGGREGATES.join(', ')}`);
+  }
+
+  const select = term.select === undefined ? {} : term.select;
+  if (!isObject(select)) {
+    return [...problems, `${name}.select must be an object`];
+  }
+
+  for (const key of Object.keys(select)) {
+    if (key === 'slots') continue;
+    if (!SELECTOR_LISTS.includes(key)) {
+      problems.push(`${name}.select.${key} is not a selector; use ${[...SELECTOR_LISTS, 'slots'].join(', ')}`);
+    } else if (!Array.isArray(select[key]) || select[key].some(value => typeof value !== 'string')) {
+      problems.push(`${name}.select.${key} must be a list of strings`);
+    }
+  }
+
+  const unknownDays = Array.isArray(select.days) ? select.days.filter(day => !DAYS.includes(day)) : [];
+  if (unknownDays.length > 0) {
+    problems.push(`${name}.select.days has unknown day(s) ${unknownDays.join(', ')}`);
+  }
+
+  if (select.slots !== undefined) {
+    const { from, to } = isObject(select.slots) ? select.slots : {};
+    const bounds = [from, to].filter(bound => bound !== undefined);
+    if (!isObject(select.slots) || bounds.length === 0 || !bounds.every(Number.isInteger)) {
+      problems.push(`${name}.select.slots must be { from, to } with integer slot numbers`);
+    } else if (bounds.length === 2 && from > to) {
+      problems.push(`${name}.select.slots.from must not be after to`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Genes grouped by their values of `keys`: [[values, genes]]
+ */
+function groupGenes(genes, keys) {
+  if (keys.length === 0) return [[[], genes]];
+
+  const groups = new Map();
+  for (const gene of genes) {
+    const values = keys.map(key => GROUP_VALUES[key](gene));
+    const id = values.join('\u0000');
+    if (!groups.has(id)) groups.set(id, [values, []]);
+    groups.get(id)[1].push(gene);
+  }
+
+  return Array.from(groups.values());
+}
+
+function aggregate({ select = {}, aggregate }, genes, facultyCodes) {
+  const selected = genes.filter(gene => matches(select, gene, facultyCodes));
+
+  switch (aggregate) {
+    case 'count':
+      return selected.length;
+    case 'duration':
+      return selected.reduce((sum, gene) => sum + (gene.duration ?? 1), 0);
+    case 'gaps':
+      return countGaps(selected);
+    default: {
+      if (selected.length === 0) return null;
+      // Position in the week: day index * 100 + slot number
+      const positions = selected.flatMap(gene =>
+        getOccupiedSlots(gene.timeSlot).map(slot => DAYS.indexOf(gene.timeSlot.day) * 100 + slot)
+      );
+      return aggregate === 'first' ? Math.min(...positions) : Math.max(...positions);
+    }
+  }
+}
+
+function matches(select, gene, facultyCodes) {
+  const facultyId = String(gene.facultyId);
+  const values = {
+    courses: [gene.courseCode, String(gene.courseId)],
+    sections: [gene.section],
+    faculty: [facultyId, facultyCodes.get(facultyId), gene.facultyName],
+    rooms: [gene.roomNumber, String(gene.roomId)],
+    days: [gene.timeSlot.day],
+    sessionTypes: [gene.sessionType]
+  };
+
+  const listsMatch = SELECTOR_LISTS.every(list =>
+    !select[list] || values[list].some(value => value !== undefined && select[list].includes(value))
+  );
+  if (!listsMatch || !select.slots) return listsMatch;
+
+  const { from = -Infinity, to = Infinity } = select.slots;
+  return getOccupiedSlots(gene.timeSlot).some(slot => slot >= from && slot <= to);
+}
+
+/**
+ * Idle slots between the sessions of each day, summed over the days
+ */
+function countGaps(genes) {
+  const slotsByDay = new Map();
+  for (const gene of genes) {
+    const slots = slotsByDay.get(gene.timeSlot.day) || new Set();
+    getOccupiedSlots(gene.timeSlot).forEach(slot => slots.add(slot));
+    slotsByDay.set(gene.timeSlot.day, slots);
+  }
+
+  let gaps = 0;
+  for (const slots of slotsByDay.values()) {
+    const sorted = Array.from(slots).sort((a, b) => a - b);
+    for (let i = 1; i < sorted.length; i++) {
+      gaps += sorted[i] - sorted[i - 1] - 1;
+    }
+  }
+  return gaps;
+}
+
+function describeTerm({ select = {}, aggregate }) {
+  const parts = SELECTOR_LISTS.filter(list => select[list]).map(list => `${list} ${select[list].join('/')}`);
+  if (select.slots) {
+    parts.push(`slots ${select.slots.from ?? ''}-${select.slots.to ?? ''}`);
+  }
+  return parts.length > 0 ? `${aggregate} of ${parts.join(', ')}` : aggregate;
+}
+
+function formatPosition(position) {
+  return `${DAYS[Math.floor(position / 100)]} slot ${position % 100}`;
+}
+
+function affectedEntities(keys, group) {
+  const entities = {};
+  keys.forEach((key, i) => {
+    if (key === 'day') entities.timeSlot = group[i];
+    else if (key !== 'sessionType') entities[key] = group[i];
+  });
+  return entities;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
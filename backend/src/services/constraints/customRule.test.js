@@ -0,0 +1,115 @@
+import { customRule, validateRule } from './customRule.js';
+
+const gene = (courseCode, sessionType, day, slotNumbers, overrides = {}) => ({
+  courseId: `id-${courseCode}`,
+  courseCode,
+  section: 'A',
+  sessionType,
+  facultyId: 'f1',
+  facultyName: 'Prof One',
+  roomId: 'r1',
+  roomNumber: 'R101',
+  duration: slotNumbers.length,
+  timeSlot: { day, slotNumber: slotNumbers[0], slotNumbers },
+  ...overrides
+});
+
+const theoryBeforeLab = {
+  per: ['course', 'section'],
+  left: { select: { sessionTypes: ['theory'] }, aggregate: 'first' },
+  op: '<',
+  right: { select: { sessionTypes: ['lab'] }, aggregate: 'first' }
+};
+
+describe('validateRule', () => {
+  test('accepts a well-formed rule', () => {
+    expect(validateRule(theoryBeforeLab)).toEqual([]);
+    expect(validateRule({ left: { aggregate: 'count', select: { slots: { from: 9 } } }, op: '<=', right: 2 })).toEqual([]);
+  });
+
+  test('lists every problem', () => {
+    const problems = validateRule({
+      per: 'building',
+      left: { select: { days: ['Funday'], teachers: ['F1'], slots: { from: 5, to: 2 } }, aggregate: 'sum' },
+      op: '=~',
+      right: Infinity
+    });
+
+    expect(problems).toEqual([
+      'op must be one of <, <=, ==, !=, >=, >',
+      'per must be one or more of course, section, faculty, room, day, sessionType',
+      'left.aggregate must be one of count, duration, gaps, first, last',
+      'left.select.teachers is not a selector; use courses, sections, faculty, rooms, days, sessionTypes, slots',
+      'left.select.days has unknown day(s) Funday',
+      'left.select.slots.from must not be after to',
+      'right must be a finite number'
+    ]);
+  });
+
+  test('rejects non-objects and mismatched position comparisons', () => {
+    expect(validateRule(null)).toEqual(['rule must be an object']);
+    expect(validateRule({ ...theoryBeforeLab, right: { aggregate: 'count' } }))
+      .toEqual(['first and last can only be compared with first or last']);
+    expect(validateRule({ ...theoryBeforeLab, left: { aggregate: 'count', select: { sections: 'A' } } }))
+      .toContain('left.select.sections must be a list of strings');
+  });
+});
+
+describe('customRule', () => {
+  test('compares positions in the week per group', () => {
+    const genes = [
+      gene('CS101', 'theory', 'Monday', [1]),
+      gene('CS101', 'lab', 'Tuesday', [3, 4]),
+      gene('CS102', 'theory', 'Wednesday', [2]),
+      gene('CS102', 'lab', 'Monday', [5, 6]),
+      // No lab: nothing to compare
+      gene('CS103', 'theory', 'Friday', [1])
+    ];
+
+    const violations = customRule(genes, {}, { rule: theoryBeforeLab });
+
+    expect(violations).toEqual([{
+      description: 'course CS102, section A: first of sessionTypes theory is Wednesday slot 2, expected < Monday slot 5',
+      affectedEntities: { course: 'CS102', section: 'A' }
+    }]);
+  });
+
+  test('counts, sums durations and gaps against a number', () => {
+    const genes = [
+      gene('CS101', 'theory', 'Monday', [1]),
+      gene('CS102', 'lab', 'Monday', [4, 5]),
+      gene('CS103', 'theory', 'Tuesday', [1])
+    ];
+    const rule = (aggregate, op, right) => ({ per: 'day', left: { aggregate }, op, right });
+
+    expect(customRule(genes, {}, { rule: rule('count', '<=', 1) })).toHaveLength(1);
+    expect(customRule(genes, {}, { rule: rule('duration', '<=', 2) })[0].description)
+      .toBe('day Monday: duration is 3, expected <= 2');
+    expect(customRule(genes, {}, { rule: rule('gaps', '==', 0) })[0].affectedEntities)
+      .toEqual({ timeSlot: 'Monday' });
+  });
+
+  test('selects by course, faculty code, room, day and slot range', () => {
+    const genes = [
+      gene('CS101', 'theory', 'Monday', [10]),
+      gene('CS101', 'theory', 'Tuesday', [11], { facultyId: 'f2', facultyName: 'Prof Two', roomNumber: 'R102' }),
+      gene('CS102', 'theory', 'Monday', [11])
+    ];
+    const faculty = [{ _id: 'f2', facultyId: 'F002' }];
+    const lateCount = select => customRule(genes, { faculty }, {
+      rule: { left: { select: { ...select, slots: { from: 10 } }, aggregate: 'count' }, op: '==', right: 0 }
+    });
+
+    expect(lateCount({ courses: ['CS101'] })[0].description).toMatch(/is 2, expected == 0$/);
+    expect(lateCount({ courses: ['id-CS102'] })[0].description).toMatch(/is 1, expected == 0$/);
+    expect(lateCount({ faculty: ['F002'] })[0].description).toMatch(/is 1, expected == 0$/);
+    expect(lateCount({ rooms: ['R102'], days: ['Monday'] })).toEqual([]);
+  });
+
+  test('skips invalid rules instead of failing the evaluation', () => {
+    const genes = [gene('CS101', 'theory', 'Monday', [1])];
+
+    expect(customRule(genes, {}, { rule: { left: { aggregate: 'count' }, op: '=~', right: 0 } })).toEqual([]);
+    expect(customRule(genes, {}, {})).toEqual([]);
+  });
+});
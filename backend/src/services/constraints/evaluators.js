@@ -0,0 +1,509 @@
+import { getOccupiedSlots, findBlockIssue } from '../timeSlotUtils.js';
+import { getAssignedFacultyId, getRequiredLabType } from '../courseRequirements.js';
+
+/**
+ * Built-in constraint evaluators, one per default constraint code. See
+ * registry.js for the evaluator contract.
+ */
+
+/**
+ * Two sessions sharing a faculty member, room or section in the same slot
+ */
+function doubleBookings(genes, keyOf, describe) {
+  const occupied = new Set();
+  const violations = [];
+
+  for (const gene of genes) {
+    // Every slot of a multi-slot session is occupied
+    for (const slotNumber of getOccupiedSlots(gene.timeSlot)) {
+      const timeSlot = `${gene.timeSlot.day}-${slotNumber}`;
+      const key = `${keyOf(gene)}-${timeSlot}`;
+
+      if (occupied.has(key)) {
+        violations.push(describe(gene, slotNumber, timeSlot));
+      }
+      occupied.add(key);
+    }
+  }
+
+  return violations;
+}
+
+export function facultyDoubleBooking(genes) {
+  return doubleBookings(genes, gene => gene.facultyId, (gene, slotNumber, timeSlot) => ({
+    description: `Faculty ${gene.facultyName} has multiple classes at ${gene.timeSlot.day} slot ${slotNumber}`,
+    affectedEntities: { faculty: gene.facultyName, timeSlot }
+  }));
+}
+
+export function roomDoubleBooking(genes) {
+  return doubleBookings(genes, gene => gene.roomId, (gene, slotNumber, timeSlot) => ({
+    description: `Room ${gene.roomNumber} is double-booked at ${gene.timeSlot.day} slot ${slotNumber}`,
+    affectedEntities: { room: gene.roomNumber, timeSlot }
+  }));
+}
+
+export function sectionConflict(genes) {
+  return doubleBookings(genes, gene => gene.section, (gene, slotNumber, timeSlot) => ({
+    description: `Section ${gene.section} has overlapping classes at ${gene.timeSlot.day} slot ${slotNumber}`,
+    affectedEntities: { section: gene.section, timeSlot }
+  }));
+}
+
+/**
+ * Sessions outside their faculty member's available hours
+ */
+export function facultyAvailability(genes, { faculty }) {
+  const facultyMap = byId(faculty);
+  const violations = [];
+
+  for (const gene of genes) {
+    const facultyMember = facultyMap.get(gene.facultyId.toString());
+    if (!facultyMember?.availability) continue;
+
+    const { day, startTime, endTime } = gene.timeSlot;
+    const windows = facultyMember.availability[day.toLowerCase()] || [];
+
+    if (!windows.some(w => startTime >= w.startTime && endTime <= w.endTime)) {
+      violations.push({
+        description: `${facultyMember.name} is not available for ${gene.courseCode} on ${day} ${startTime}-${endTime}`,
+        affectedEntities: {
+          faculty: facultyMember.name,
+          course: gene.courseCode,
+          section: gene.section,
+          timeSlot: `${day}-${gene.timeSlot.slotNumber}`
+        }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Sessions not taught by the faculty pre-assigned to their section
+ */
+export function facultyAssignment(genes, { courses }) {
+  const courseMap = byId(courses);
+
+  return genes
+    .filter(gene => {
+      const section = findSection(courseMap, gene);
+      const assignedId = getAssignedFacultyId(section, gene.sessionType);
+      return assignedId && assignedId !== gene.facultyId.toString();
+    })
+    .map(gene => ({
+      description: `${gene.courseCode} ${gene.sessionType} for section ${gene.section} is taught by ${gene.facultyName} instead of the pre-assigned faculty`,
+      affectedEntities: { faculty: gene.facultyName, course: gene.courseCode, section: gene.section }
+    }));
+}
+
+/**
+ * Sessions taught by faculty who do not list the course among their
+ * subjects, unless the section pre-assigns that faculty
+ */
+export function facultyQualification(genes, { courses, faculty }) {
+  const courseMap = byId(courses);
+  const facultyMap = byId(faculty);
+  const violations = [];
+
+  for (const gene of genes) {
+    const facultyMember = facultyMap.get(gene.facultyId.toString());
+    if (!facultyMember) continue;
+
+    const facultyId = gene.facultyId.toString();
+    if (getAssignedFacultyId(findSection(courseMap, gene), gene.sessionType) === facultyId) continue;
+
+    const qualified = (facultyMember.subjects || []).some(s =>
+      s.courseId?.toString() === gene.courseId.toString()
+    );
+    if (!qualified) {
+      violations.push({
+        description: `${facultyMember.name} is not qualified to teach ${gene.courseCode}`,
+        affectedEntities: { faculty: facultyMember.name, course: gene.courseCode, section: gene.section }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Multi-slot sessions that do not sit in one block of consecutive
+ * teaching slots
+ */
+export function labContinuity(genes, { timeSlots = [] }) {
+  if (timeSlots.length === 0) return [];
+
+  const violations = [];
+
+  for (const gene of genes) {
+    if (!(gene.consecutiveSlots > 1)) continue;
+
+    const { day, slotNumber } = gene.timeSlot;
+    const issue = findBlockIssue(day, getOccupiedSlots(gene.timeSlot), gene.consecutiveSlots, timeSlots);
+
+    if (issue) {
+      violations.push({
+        description: `${gene.courseCode} ${gene.sessionType} for section ${gene.section} on ${day} ${issue}`,
+        affectedEntities: { course: gene.courseCode, section: gene.section, timeSlot: `${day}-${slotNumber}` }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Sessions in rooms smaller than their section
+ */
+export function roomCapacity(genes, { courses, rooms }) {
+  const courseMap = byId(courses);
+  const roomMap = byId(rooms);
+  const violations = [];
+
+  for (const gene of genes) {
+    const room = roomMap.get(gene.roomId.toString());
+    const section = findSection(courseMap, gene);
+
+    if (room && section && room.capacity < section.strength) {
+      violations.push({
+        description: `Room ${room.roomNumber} (capacity ${room.capacity}) is too small for section ${gene.section} of ${gene.courseCode} (${section.strength} students)`,
+        affectedEntities: { room: room.roomNumber, course: gene.courseCode, section: gene.section }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Different electives of the same group sharing a slot; each elective
+ * beyond the first counts once
+ */
+export function electiveOverlap(genes, { courses }) {
+  const courseMap = byId(courses);
+  const groupSlots = new Map();
+
+  for (const gene of genes) {
+    const course = courseMap.get(gene.courseId.toString());
+    if (!course?.isElective || !course.electiveGroup) continue;
+
+    for (const slotNumber of getOccupiedSlots(gene.timeSlot)) {
+      const timeSlot = `${gene.timeSlot.day}-${slotNumber}`;
+      const key = `${course.electiveGroup}-${timeSlot}`;
+      if (!groupSlots.has(key)) {
+        groupSlots.set(key, { group: course.electiveGroup, timeSlot, courseCodes: new Set() });
+      }
+      groupSlots.get(key).courseCodes.add(gene.courseCode);
+    }
+  }
+
+  return Array.from(groupSlots.values())
+    .filter(({ courseCodes }) => courseCodes.size > 1)
+    .map(({ group, timeSlot, courseCodes }) => ({
+      amount: courseCodes.size - 1,
+      description: `Electives ${[...courseCodes].join(', ')} of group ${group} overlap at ${timeSlot}`,
+      affectedEntities: { course: [...courseCodes].join(', '), timeSlot }
+    }));
+}
+
+/**
+ * Faculty teaching more than their weekly maximum. The `maxHours`
+ * parameter overrides each faculty member's own maxHoursPerWeek.
+ */
+export function facultyMaxHours(genes, { faculty }, { maxHours } = {}) {
+  const workload = getWorkload(genes);
+
+  return faculty
+    .map(f => ({ f, assigned: workload.get(f._id.toString()) || 0, max: maxHours ?? f.workload?.maxHoursPerWeek ?? 18 }))
+    .filter(({ assigned, max }) => assigned > max)
+    .map(({ f, assigned, max }) => ({
+      description: `${f.name} teaches ${assigned}h a week, above the ${max}h maximum`,
+      affectedEntities: { faculty: f.name }
+    }));
+}
+
+/**
+ * Faculty teaching less than their weekly minimum. The `minHours`
+ * parameter overrides each faculty member's own minHoursPerWeek.
+ */
+export function facultyMinHours(genes, { faculty }, { minHours } = {}) {
+  const workload = getWorkload(genes);
+
+  return faculty
+    .map(f => ({ f, assigned: workload.get(f._id.toString()) || 0, min: minHours ?? f.workload?.minHoursPerWeek ?? 12 }))
+    .filter(({ assigned, min }) => assigned < min)
+    .map(({ f, assigned, min }) => ({
+      description: `${f.name} teaches ${assigned}h a week, below the ${min}h minimum`,
+      affectedEntities: { faculty: f.name }
+    }));
+}
+
+/**
+ * Spread of weekly hours across the faculty who teach; counts the
+ * standard deviation in whole hours
+ */
+export function workloadBalance(genes) {
+  const workloads = Array.from(getWorkload(genes).values());
+  if (workloads.length === 0) return [];
+
+  const mean = workloads.reduce((a, b) => a + b, 0) / workloads.length;
+  const variance = workloads.reduce((sum, w) => sum + Math.pow(w - mean, 2), 0) / workloads.length;
+  const imbalance = Math.floor(Math.sqrt(variance));
+
+  if (imbalance === 0) return [];
+
+  return [{
+    amount: imbalance,
+    description: `Faculty weekly hours vary with a standard deviation of ${Math.sqrt(variance).toFixed(2)}h`,
+    affectedEntities: {}
+  }];
+}
+
+/**
+ * Idle slots between a section's classes; one violation per section and
+ * day, counting the idle slots
+ */
+export function studentGaps(genes) {
+  return dailyGaps(genes, gene => gene.section, (section, day, gaps) => ({
+    description: `Section ${section} has ${gaps} idle slot(s) on ${day}`,
+    affectedEntities: { section, timeSlot: day }
+  }));
+}
+
+/**
+ * Idle slots between a faculty member's classes
+ */
+export function facultyGaps(genes) {
+  const names = new Map(genes.map(gene => [gene.facultyId.toString(), gene.facultyName]));
+
+  return dailyGaps(genes, gene => gene.facultyId.toString(), (facultyId, day, gaps) => ({
+    description: `${names.get(facultyId)} has ${gaps} idle slot(s) on ${day}`,
+    affectedEntities: { faculty: names.get(facultyId), timeSlot: day }
+  }));
+}
+
+/**
+ * Runs of teaching slots longer than the `maxConsecutive` parameter, or
+ * the faculty member's own maxConsecutiveHours when it is not set; every
+ * slot beyond the limit counts
+ */
+export function consecutiveHours(genes, { faculty }, { maxConsecutive } = {}) {
+  const facultyMap = byId(faculty);
+  const violations = [];
+
+  for (const [key, slots] of groupSlotsByDay(genes, gene => gene.facultyId.toString())) {
+    const [facultyId, day] = key;
+    const limit = maxConsecutive ?? facultyMap.get(facultyId)?.preferences?.maxConsecutiveHours ?? 3;
+    let consecutive = 1;
+    let excess = 0;
+
+    for (let i = 1; i < slots.length; i++) {
+      consecutive = slots[i] - slots[i - 1] === 1 ? consecutive + 1 : 1;
+      if (consecutive > limit) excess++;
+    }
+
+    if (excess > 0) {
+      const name = facultyMap.get(facultyId)?.name
+        || genes.find(gene => gene.facultyId.toString() === facultyId).facultyName;
+      violations.push({
+        amount: excess,
+        description: `${name} teaches more than ${limit} consecutive slots on ${day}`,
+        affectedEntities: { faculty: name, timeSlot: day }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Sessions outside their faculty's preferred time slots (when any are
+ * given) or inside slots the faculty asked to avoid
+ */
+export function facultyPreferredSlots(genes, { faculty }) {
+  const facultyMap = byId(faculty);
+  const violations = [];
+
+  for (const gene of genes) {
+    const facultyMember = facultyMap.get(gene.facultyId.toString());
+    const preferred = facultyMember?.preferences?.preferredTimeSlots || [];
+    const avoided = facultyMember?.preferences?.avoidTimeSlots || [];
+    const { day, startTime, endTime } = gene.timeSlot;
+
+    const outsidePreferred = preferred.length > 0 && !preferred.some(slot =>
+      slot.day === day && slot.startTime <= startTime && slot.endTime >= endTime
+    );
+    const inAvoided = avoided.some(slot =>
+      slot.day === day && slot.startTime < endTime && slot.endTime > startTime
+    );
+
+    if (outsidePreferred || inAvoided) {
+      violations.push({
+        description: `${gene.courseCode} on ${day} ${startTime}-${endTime} is ${inAvoided ? 'in a slot' : 'outside the slots'} ${facultyMember.name} ${inAvoided ? 'asked to avoid' : 'prefers'}`,
+        affectedEntities: { faculty: facultyMember.name, course: gene.courseCode, timeSlot: `${day}-${gene.timeSlot.slotNumber}` }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Uneven spread of a section's classes over the week: how far its busiest
+ * day exceeds its quietest teaching day by more than one session
+ */
+export function dailyDistribution(genes) {
+  const sectionDays = new Map();
+
+  for (const gene of genes) {
+    if (!sectionDays.has(gene.section)) {
+      sectionDays.set(gene.section, new Map());
+    }
+    const days = sectionDays.get(gene.section);
+    days.set(gene.timeSlot.day, (days.get(gene.timeSlot.day) || 0) + 1);
+  }
+
+  const violations = [];
+  for (const [section, days] of sectionDays) {
+    const sessions = Array.from(days.values());
+    const excess = Math.max(...sessions) - Math.min(...sessions) - 1;
+
+    if (excess > 0) {
+      violations.push({
+        amount: excess,
+        description: `Section ${section} has between ${Math.min(...sessions)} and ${Math.max(...sessions)} sessions a day`,
+        affectedEntities: { section }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Sessions on days their course does not prefer, or asks to avoid
+ */
+export function coursePreferredDays(genes, { courses }) {
+  const courseMap = byId(courses);
+
+  return genes
+    .filter(gene => {
+      const { preferredDays = [], avoidDays = [] } = courseMap.get(gene.courseId.toString())?.constraints || {};
+      const day = gene.timeSlot.day;
+      return (preferredDays.length > 0 && !preferredDays.includes(day)) || avoidDays.includes(day);
+    })
+    .map(gene => ({
+      description: `${gene.courseCode} for section ${gene.section} is on ${gene.timeSlot.day}, which the course does not prefer`,
+      affectedEntities: { course: gene.courseCode, section: gene.section, timeSlot: `${gene.timeSlot.day}-${gene.timeSlot.slotNumber}` }
+    }));
+}
+
+/**
+ * Sessions in rooms far larger than the section: capacity more than
+ * `maxCapacityRatio` (default 2) times the section strength
+ */
+export function roomUtilization(genes, { courses, rooms }, { maxCapacityRatio = 2 } = {}) {
+  const courseMap = byId(courses);
+  const roomMap = byId(rooms);
+  const violations = [];
+
+  for (const gene of genes) {
+    const room = roomMap.get(gene.roomId.toString());
+    const section = findSection(courseMap, gene);
+
+    if (room && section?.strength && room.capacity > section.strength * maxCapacityRatio) {
+      violations.push({
+        description: `Room ${room.roomNumber} (capacity ${room.capacity}) is oversized for section ${gene.section} of ${gene.courseCode} (${section.strength} students)`,
+        affectedEntities: { room: room.roomNumber, course: gene.courseCode, section: gene.section }
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Lab sessions in a lab of a different type than the course needs
+ */
+export function labTypeMatch(genes, { courses, rooms }) {
+  const courseMap = byId(courses);
+  const roomMap = byId(rooms);
+  const violations = [];
+
+  for (const gene of genes) {
+    if (gene.sessionType !== 'lab') continue;
+
+    const course = courseMap.get(gene.courseId.toString());
+    const room = roomMap.get(gene.roomId.toString());
+    const required = course && getRequiredLabType(course);
+
+    if (room && required && required !== 'general' && room.labType?.toLowerCase() !== required) {
+      violations.push({
+        description: `${gene.courseCode} lab for section ${gene.section} needs a ${required} lab but is in ${room.roomNumber}`,
+        affectedEntities: { room: room.roomNumber, course: gene.courseCode, section: gene.section }
+      });
+    }
+  }
+
+  return violations;
+}
+
+function byId(documents = []) {
+  return new Map(documents.map(doc => [doc._id.toString(), doc]));
+}
+
+function findSection(courseMap, gene) {
+  return courseMap.get(gene.courseId.toString())?.sections
+    .find(s => s.sectionName === gene.section);
+}
+
+/**
+ * Weekly teaching hours per faculty id
+ */
+function getWorkload(genes) {
+  const workload = new Map();
+
+  for (const gene of genes) {
+    const facultyId = gene.facultyId.toString();
+    workload.set(facultyId, (workload.get(facultyId) || 0) + gene.duration);
+  }
+
+  return workload;
+}
+
+/**
+ * Sorted occupied slot numbers per [owner, day]
+ */
+function groupSlotsByDay(genes, ownerOf) {
+  const groups = new Map();
+
+  for (const gene of genes) {
+    const owner = ownerOf(gene);
+    const key = `${owner}\u0000${gene.timeSlot.day}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key: [owner, gene.timeSlot.day], slots: [] });
+    }
+    groups.get(key).slots.push(...getOccupiedSlots(gene.timeSlot));
+  }
+
+  return Array.from(groups.values()).map(({ key, slots }) => [key, slots.sort((a, b) => a - b)]);
+}
+
+function dailyGaps(genes, ownerOf, describe) {
+  const violations = [];
+
+  for (const [[owner, day], slots] of groupSlotsByDay(genes, ownerOf)) {
+    let gaps = 0;
+    for (let i = 1; i < slots.length; i++) {
+      gaps += slots[i] - slots[i - 1] - 1;
+    }
+
+    if (gaps > 0) {
+      violations.push({ amount: gaps, ...describe(owner, day, gaps) });
+    }
+  }
+
+  return violations;
+}
@@ -0,0 +1,216 @@
+import * as evaluators from './evaluators.js';
+
+const at = (day, slotNumbers, startTime = '09:00', endTime = '10:00') => ({
+  day,
+  slotNumber: slotNumbers[0],
+  slotNumbers,
+  startTime,
+  endTime
+});
+
+const gene = (overrides = {}) => ({
+  courseId: 'c1',
+  courseCode: 'CS101',
+  section: 'A',
+  sessionType: 'theory',
+  facultyId: 'f1',
+  facultyName: 'Prof One',
+  roomId: 'r1',
+  roomNumber: 'R101',
+  duration: 1,
+  consecutiveSlots: 1,
+  timeSlot: at('Monday', [1]),
+  ...overrides
+});
+
+const course = (overrides = {}) => ({
+  _id: 'c1',
+  courseCode: 'CS101',
+  sections: [{ sectionName: 'A', strength: 60, assignedFaculty: {} }],
+  roomRequirements: { lab: {} },
+  constraints: {},
+  ...overrides
+});
+
+const member = (overrides = {}) => ({
+  _id: 'f1',
+  name: 'Prof One',
+  subjects: [{ courseId: 'c1' }],
+  workload: { maxHoursPerWeek: 4, minHoursPerWeek: 2 },
+  preferences: {},
+  ...overrides
+});
+
+const room = (overrides = {}) => ({ _id: 'r1', roomNumber: 'R101', capacity: 60, ...overrides });
+
+describe('double bookings', () => {
+  test('a faculty member in two places in one slot is one violation', () => {
+    const violations = evaluators.facultyDoubleBooking([
+      gene(),
+      gene({ courseCode: 'CS102', section: 'B', roomId: 'r2' }),
+      gene({ timeSlot: at('Monday', [2]) })
+    ]);
+
+    expect(violations).toHaveLength(1);
+    expect(violations[0].affectedEntities).toEqual({ faculty: 'Prof One', timeSlot: 'Monday-1' });
+  });
+
+  test('every slot of a multi-slot session counts', () => {
+    const lab = gene({ roomId: 'L1', roomNumber: 'L201', timeSlot: at('Monday', [2, 3]) });
+    const violations = evaluators.roomDoubleBooking([
+      lab,
+      gene({ facultyId: 'f2', roomId: 'L1', roomNumber: 'L201', timeSlot: at('Monday', [3]) })
+    ]);
+
+    expect(violations.map(v => v.affectedEntities.timeSlot)).toEqual(['Monday-3']);
+  });
+
+  test('a section attending two classes at once clashes', () => {
+    expect(evaluators.sectionConflict([gene(), gene({ courseCode: 'CS102', facultyId: 'f2' })])).toHaveLength(1);
+    expect(evaluators.sectionConflict([gene(), gene({ section: 'B', facultyId: 'f2' })])).toEqual([]);
+  });
+});
+
+describe('faculty', () => {
+  test('sessions outside every availability window violate availability', () => {
+    const faculty = [member({ availability: { monday: [{ startTime: '09:00', endTime: '12:00' }] } })];
+
+    expect(evaluators.facultyAvailability([gene()], { faculty })).toEqual([]);
+    expect(evaluators.facultyAvailability([gene({ timeSlot: at('Monday', [5], '13:00', '14:00') })], { faculty })).toHaveLength(1);
+    expect(evaluators.facultyAvailability([gene({ timeSlot: at('Tuesday', [1]) })], { faculty })).toHaveLength(1);
+  });
+
+  test('a pre-assigned section must be taught by its faculty', () => {
+    const courses = [course({ sections: [{ sectionName: 'A', strength: 60, assignedFaculty: { theory: 'f2' } }] })];
+
+    expect(evaluators.facultyAssignment([gene()], { courses })).toHaveLength(1);
+    expect(evaluators.facultyAssignment([gene({ facultyId: 'f2' })], { courses })).toEqual([]);
+    expect(evaluators.facultyAssignment([gene({ sessionType: 'lab' })], { courses })).toEqual([]);
+  });
+
+  test('faculty must list the course unless the section assigns them', () => {
+    const faculty = [member({ _id: 'f2', name: 'Prof Two', subjects: [] })];
+    const unassigned = [course()];
+    const assigned = [course({ sections: [{ sectionName: 'A', strength: 60, assignedFaculty: { theory: 'f2' } }] })];
+    const taughtByTwo = [gene({ facultyId: 'f2', facultyName: 'Prof Two' })];
+
+    expect(evaluators.facultyQualification(taughtByTwo, { courses: unassigned, faculty })).toHaveLength(1);
+    expect(evaluators.facultyQualification(taughtByTwo, { courses: assigned, faculty })).toEqual([]);
+  });
+
+  test('weekly hours are checked against the member limits or the parameter', () => {
+    const genes = [1, 2, 3, 4, 5].map(slot => gene({ timeSlot: at('Monday', [slot]) }));
+    const faculty = [member()];
+
+    expect(evaluators.facultyMaxHours(genes, { faculty })).toHaveLength(1);
+    expect(evaluators.facultyMaxHours(genes, { faculty }, { maxHours: 5 })).toEqual([]);
+    expect(evaluators.facultyMinHours(genes.slice(0, 1), { faculty })).toHaveLength(1);
+    expect(evaluators.facultyMinHours(genes.slice(0, 1), { faculty }, { minHours: 1 })).toEqual([]);
+  });
+
+  test('workload imbalance counts the standard deviation in whole hours', () => {
+    const genes = [
+      ...[1, 2, 3, 4, 5].map(slot => gene({ timeSlot: at('Monday', [slot]) })),
+      gene({ facultyId: 'f2' })
+    ];
+
+    expect(evaluators.workloadBalance(genes)).toEqual([expect.objectContaining({ amount: 2 })]);
+    expect(evaluators.workloadBalance([gene(), gene({ facultyId: 'f2' })])).toEqual([]);
+  });
+
+  test('slots beyond the consecutive limit each count', () => {
+    const genes = [1, 2, 3, 4, 5].map(slot => gene({ timeSlot: at('Monday', [slot]) }));
+    const faculty = [member({ preferences: { maxConsecutiveHours: 4 } })];
+
+    expect(evaluators.consecutiveHours(genes, { faculty })).toEqual([expect.objectContaining({ amount: 1 })]);
+    expect(evaluators.consecutiveHours(genes, { faculty }, { maxConsecutive: 2 })).toEqual([expect.objectContaining({ amount: 3 })]);
+  });
+
+  test('sessions outside preferred or inside avoided slots are reported', () => {
+    const faculty = [member({
+      preferences: {
+        preferredTimeSlots: [{ day: 'Monday', startTime: '09:00', endTime: '12:00' }],
+        avoidTimeSlots: [{ day: 'Monday', startTime: '11:00', endTime: '12:00' }]
+      }
+    })];
+
+    expect(evaluators.facultyPreferredSlots([gene()], { faculty })).toEqual([]);
+    expect(evaluators.facultyPreferredSlots([gene({ timeSlot: at('Tuesday', [1]) })], { faculty })).toHaveLength(1);
+    expect(evaluators.facultyPreferredSlots([gene({ timeSlot: at('Monday', [3], '11:00', '12:00') })], { faculty })).toHaveLength(1);
+  });
+});
+
+describe('gaps and distribution', () => {
+  test('idle slots between classes count per section or faculty and day', () => {
+    const genes = [
+      gene({ timeSlot: at('Monday', [1]) }),
+      gene({ timeSlot: at('Monday', [4, 5]) }),
+      gene({ timeSlot: at('Tuesday', [2]) })
+    ];
+
+    expect(evaluators.studentGaps(genes)).toEqual([
+      expect.objectContaining({ amount: 2, affectedEntities: { section: 'A', timeSlot: 'Monday' } })
+    ]);
+    expect(evaluators.facultyGaps(genes)).toEqual([
+      expect.objectContaining({ amount: 2, affectedEntities: { faculty: 'Prof One', timeSlot: 'Monday' } })
+    ]);
+  });
+
+  test('a section more than one session apart between days is uneven', () => {
+    const genes = [
+      ...[1, 2, 3, 4].map(slot => gene({ timeSlot: at('Monday', [slot]) })),
+      gene({ timeSlot: at('Tuesday', [1]) })
+    ];
+
+    expect(evaluators.dailyDistribution(genes)).toEqual([expect.objectContaining({ amount: 2 })]);
+    expect(evaluators.dailyDistribution(genes.slice(3))).toEqual([]);
+  });
+
+  test('sessions on days the course does not prefer or avoids are reported', () => {
+    const courses = [course({ constraints: { preferredDays: ['Monday', 'Tuesday'], avoidDays: ['Tuesday'] } })];
+
+    expect(evaluators.coursePreferredDays([gene()], { courses })).toEqual([]);
+    expect(evaluators.coursePreferredDays([gene({ timeSlot: at('Tuesday', [1]) })], { courses })).toHaveLength(1);
+    expect(evaluators.coursePreferredDays([gene({ timeSlot: at('Friday', [1]) })], { courses })).toHaveLength(1);
+  });
+});
+
+describe('rooms and labs', () => {
+  test('rooms must hold the section but not be far too large', () => {
+    const courses = [course()];
+
+    expect(evaluators.roomCapacity([gene()], { courses, rooms: [room({ capacity: 50 })] })).toHaveLength(1);
+    expect(evaluators.roomCapacity([gene()], { courses, rooms: [room()] })).toEqual([]);
+    expect(evaluators.roomUtilization([gene()], { courses, rooms: [room({ capacity: 130 })] })).toHaveLength(1);
+    expect(evaluators.roomUtilization([gene()], { courses, rooms: [room({ capacity: 130 })] }, { maxCapacityRatio: 3 })).toEqual([]);
+  });
+
+  test('labs go to a lab of the required type', () => {
+    const courses = [course({ roomRequirements: { lab: { specificLabType: 'Computer' } } })];
+    const lab = gene({ sessionType: 'lab', roomId: 'L1' });
+
+    expect(evaluators.labTypeMatch([lab], { courses, rooms: [room({ _id: 'L1', labType: 'electronics' })] })).toHaveLength(1);
+    expect(evaluators.labTypeMatch([lab], { courses, rooms: [room({ _id: 'L1', labType: 'computer' })] })).toEqual([]);
+  });
+
+  test('multi-slot sessions must sit in one unbroken block', () => {
+    const timeSlots = [1, 2, 3].map(slotNumber => ({
+      day: 'Monday',
+      slotNumber,
+      slotType: slotNumber === 3 ? 'lunch' : 'regular'
+    }));
+    const lab = slotNumbers => gene({ sessionType: 'lab', consecutiveSlots: 2, timeSlot: at('Monday', slotNumbers) });
+
+    expect(evaluators.labContinuity([lab([1, 2])], { timeSlots })).toEqual([]);
+    expect(evaluators.labContinuity([lab([2, 3])], { timeSlots })[0].description).toMatch(/crosses the lunch break/);
+    expect(evaluators.labContinuity([lab([2, 3])], { timeSlots: [] })).toEqual([]);
+  });
+
+  test('each extra elective of a group in a slot counts once', () => {
+    const courses = ['c1', 'c2', 'c3'].map(_id => course({ _id, isElective: true, electiveGroup: 'E1' }));
+    const genes = ['c1', 'c2', 'c3'].map((courseId, i) => gene({ courseId, courseCode: `EL${i}`, section: `S${i}` }));
+
+    expect(evaluators.electiveOverlap(genes, { courses })).toEqual([expect.objectContaining({ amount: 2 })]);
+    expect(evaluators.electiveOverlap(genes.slice(0, 1), { courses })).toEqual([]);
+  });
+});
@@ -0,0 +1,39 @@
+import { registerEvaluator } from './registry.js';
+import * as evaluators from './evaluators.js';
+import { customRule } from './customRule.js';
+
+/**
+ * Constraint evaluation entry point: registers the built-in evaluators and
+ * custom rules, and re-exports the registry.
+ */
+
+registerEvaluator('faculty_double_booking', evaluators.facultyDoubleBooking);
+registerEvaluator('room_double_booking', evaluators.roomDoubleBooking);
+registerEvaluator('section_conflict', evaluators.sectionConflict);
+registerEvaluator('faculty_availability', evaluators.facultyAvailability);
+registerEvaluator('faculty_assignment', evaluators.facultyAssignment);
+registerEvaluator('faculty_qualification', evaluators.facultyQualification);
+registerEvaluator('lab_continuity', evaluators.labContinuity);
+registerEvaluator('room_capacity', evaluators.roomCapacity);
+registerEvaluator('elective_overlap', evaluators.electiveOverlap);
+registerEvaluator('faculty_max_hours', evaluators.facultyMaxHours);
+registerEvaluator('faculty_min_hours', evaluators.facultyMinHours);
+registerEvaluator('workload_balance', evaluators.workloadBalance);
+registerEvaluator('student_gaps', evaluators.studentGaps);
+registerEvaluator('faculty_gaps', evaluators.facultyGaps);
+registerEvaluator('consecutive_hours', evaluators.consecutiveHours);
+registerEvaluator('faculty_preferred_slots', evaluators.facultyPreferredSlots);
+registerEvaluator('daily_distribution', evaluators.dailyDistribution);
+registerEvaluator('course_preferred_days', evaluators.coursePreferredDays);
+registerEvaluator('room_utilization', evaluators.roomUtilization);
+registerEvaluator('lab_type_match', evaluators.labTypeMatch);
+registerEvaluator('custom_rule', customRule);
+
+export {
+  registerEvaluator,
+  getEvaluator,
+  getConstraintCodes,
+  evaluateConstraints,
+  getParameters
+} from './registry.js';
+export { validateRule } from './customRule.js';
@@ -0,0 +1,70 @@
+import { appliesToEntry, appliesToFaculty } from '../constraintScope.js';
+
+/**
+ * Registry of constraint evaluators keyed by the stable `Constraint.code`.
+ *
+ * An evaluator is `(genes, data, parameters) => violations`, where `data`
+ * holds the courses, faculty, rooms and timeSlots of the run and each
+ * violation is `{ description, affectedEntities, amount }` (amount
+ * defaults to 1). The fitness function, the schedule checker and conflict
+ * detection all evaluate constraints through here, so a schedule scores
+ * the same way everywhere.
+ */
+
+const evaluators = new Map();
+
+export function registerEvaluator(code, evaluate) {
+  if (evaluators.has(code)) {
+    throw new Error(`Constraint evaluator ${code} is already registered`);
+  }
+  evaluators.set(code, evaluate);
+}
+
+export function getEvaluator(code) {
+  return evaluators.get(code) || null;
+}
+
+export function getConstraintCodes() {
+  return Array.from(evaluators.keys());
+}
+
+/**
+ * Evaluate every active constraint that has an evaluator against `genes`
+ * (see entryToGene for schedule entries). Each constraint only sees the
+ * genes and faculty in its scope. Returns one result per constraint:
+ * `{ constraint, violations, count }`.
+ */
+export function evaluateConstraints(genes, data, constraints) {
+  const results = [];
+
+  for (const constraint of constraints || []) {
+    const evaluate = evaluators.get(constraint.code);
+    if (!evaluate || constraint.isActive === false) continue;
+
+    const violations = evaluate(
+      genes.filter(gene => appliesToEntry(constraint, gene)),
+      {
+        ...data,
+        faculty: (data.faculty || []).filter(f => appliesToFaculty(constraint, f._id))
+      },
+      getParameters(constraint)
+    );
+
+    results.push({
+      constraint,
+      violations,
+      count: violations.reduce((sum, v) => sum + (v.amount ?? 1), 0)
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Constraint parameters as a plain object; documents hold them in a Map
+ */
+export function getParameters(constraint) {
+  const parameters = constraint.parameters;
+  if (!parameters) return {};
+  return parameters instanceof Map ? Object.fromEntries(parameters) : parameters;
+}
@@ -0,0 +1,144 @@
+import { getOccupiedSlots } from './timeSlotUtils.js';
+
+/**
+ * What a course needs in order to be scheduled: its weekly sessions, the
+ * rooms that can host them and the faculty who can teach them.
+ *
+ * Shared by the GA, the fitness/constraint checks and the pre-flight
+ * feasibility analysis so they all agree on eligibility.
+ */
+
+/**
+ * Calculate required sessions for a course
+ */
+export function getRequiredSessions(course) {
+  const sessions = [];
+
+  // Theory sessions
+  if (course.theoryHours.hoursPerWeek > 0) {
+    const numSessions = Math.ceil(
+      course.theoryHours.hoursPerWeek / course.theoryHours.sessionDuration
+    );
+    for (let i = 0; i < numSessions; i++) {
+      sessions.push({
+        type: 'theory',
+        duration: course.theoryHours.sessionDuration,
+        consecutiveSlots: 1
+      });
+    }
+  }
+
+  // Lab sessions
+  if (course.labHours.hoursPerWeek > 0) {
+    const numSessions = Math.ceil(
+      course.labHours.hoursPerWeek / course.labHours.sessionDuration
+    );
+    const slotsNeeded = Math.ceil(course.labHours.sessionDuration);
+
+    for (let i = 0; i < numSessions; i++) {
+      sessions.push({
+        type: 'lab',
+        duration: course.labHours.sessionDuration,
+        consecutiveSlots: slotsNeeded
+      });
+    }
+  }
+
+  return sessions;
+}
+
+/**
+ * Check if room type matches a course session, ignoring capacity
+ */
+export function isRoomTypeSuitable(room, course, sessionType) {
+  if (sessionType === 'lab') {
+    if (room.type !== 'lab') return false;
+
+    // Check specific lab requirements
+    const requiredType = getRequiredLabType(course);
+    if (requiredType && room.labType !== requiredType && requiredType !== 'general') {
+      return false;
+    }
+    return true;
+  }
+
+  return room.type === 'classroom' || room.type === 'seminar_hall';
+}
+
+/**
+ * Check if room is suitable for course/session
+ */
+export function isRoomSuitable(room, course, sessionType, section) {
+  if (!room.isActive) return false;
+
+  // Check capacity
+  if (room.capacity < section.strength) return false;
+
+  return isRoomTypeSuitable(room, course, sessionType);
+}
+
+/**
+ * Lab type a course's lab sessions need, lower-cased, or null for any lab
+ */
+export function getRequiredLabType(course) {
+  const specificLabType = course.roomRequirements?.lab?.specificLabType;
+  return specificLabType ? specificLabType.toLowerCase() : null;
+}
+
+/**
+ * Active faculty whose subjects include the course
+ */
+export function getQualifiedFaculty(course, faculty) {
+  return faculty.filter(f =>
+    f.subjects.some(s => s.courseId.toString() === course._id.toString()) &&
+    f.isActive
+  );
+}
+
+/**
+ * Id of the faculty fixed for a section and session type through
+ * `sections[].assignedFaculty` (populated or not), or null
+ */
+export function getAssignedFacultyId(section, sessionType) {
+  const assigned = section?.assignedFaculty?.[sessionType];
+  if (!assigned) return null;
+  return (assigned._id || assigned).toString();
+}
+
+/**
+ * Stable identity of one weekly session of a course section, shared by
+ * genes and schedule entries: `courseCode:section:sessionType:sessionIndex`
+ */
+export function getEntryKey({ courseCode, section, sessionType }, sessionIndex) {
+  return `${courseCode}:${section}:${sessionType}:${sessionIndex}`;
+}
+
+/**
+ * Gene form of a schedule entry (inverse of genesToEntries), used to hand
+ * pinned entries to the GA and to score and check saved schedules
+ */
+export function entryToGene(entry) {
+  return {
+    courseId: entry.course,
+    courseCode: entry.courseCode,
+    courseName: entry.courseName,
+    section: entry.section,
+    sessionType: entry.sessionType,
+    sessionIndex: entry.sessionIndex,
+    entryKey: entry.entryKey,
+    timeSlot: {
+      day: entry.day,
+      slotNumber: entry.timeSlot.slotNumber,
+      slotNumbers: getOccupiedSlots(entry.timeSlot),
+      startTime: entry.timeSlot.startTime,
+      endTime: entry.timeSlot.endTime
+    },
+    facultyId: entry.faculty,
+    facultyName: entry.facultyName,
+    roomId: entry.room,
+    roomNumber: entry.roomNumber,
+    duration: entry.duration,
+    consecutiveSlots: entry.consecutiveSlots,
+    pinned: Boolean(entry.pinned)
+  };
+}
@@ -0,0 +1,345 @@
+import { buildSlotBlocks, getTeachingSlots } from './timeSlotUtils.js';
+import {
+  getRequiredSessions,
+  isRoomTypeSuitable,
+  getRequiredLabType,
+  getQualifiedFaculty,
+  getAssignedFacultyId
+} from './courseRequirements.js';
+
+/**
+ * Pre-flight checks on generation input.
+ *
+ * Finds inputs that make a clash-free timetable impossible (blockers) or
+ * unlikely (warnings) without running the GA.
+ */
+class FeasibilityAnalyzer {
+  /**
+   * Analyze plain course/faculty/room/timeSlot data
+   */
+  analyze({ courses, faculty, rooms, timeSlots }) {
+    const blockers = [];
+    const warnings = [];
+
+    if (courses.length === 0) {
+      blockers.push(this.issue('no_courses', 'No active courses found for the department'));
+    }
+    if (faculty.length === 0) {
+      blockers.push(this.issue('no_faculty', 'No active faculty found for the department'));
+    }
+    if (rooms.length === 0) {
+      blockers.push(this.issue('no_rooms', 'No active rooms found'));
+    }
+    if (timeSlots.length === 0) {
+      blockers.push(this.issue('no_time_slots', 'No time slots configured. Please initialize time slots first.'));
+    }
+
+    if (blockers.length > 0) {
+      return this.buildReport(blockers, warnings, {}, []);
+    }
+
+    const activeRooms = rooms.filter(r => r.isActive !== false);
+    const teachingSlots = this.getAllTeachingSlots(timeSlots);
+    const sessions = this.expandSessions(courses);
+
+    this.checkFacultyQualification(courses, faculty, blockers, warnings);
+    this.checkRooms(courses, activeRooms, blockers);
+    this.checkSlotBlocks(sessions, timeSlots, blockers);
+    this.checkFacultyCommitments(sessions, faculty, timeSlots, blockers, warnings);
+    this.checkSectionLoad(sessions, teachingSlots, blockers);
+    const demand = this.checkRoomDemand(sessions, activeRooms, teachingSlots, blockers);
+
+    const summary = {
+      courses: courses.length,
+      sections: courses.reduce((sum, c) => sum + c.sections.length, 0),
+      sessions: sessions.length,
+      requiredSlots: sessions.reduce((sum, s) => sum + s.consecutiveSlots, 0),
+      teachingSlotsPerWeek: teachingSlots.length,
+      faculty: faculty.length,
+      rooms: activeRooms.length
+    };
+
+    return this.buildReport(blockers, warnings, summary, demand);
+  }
+
+  /**
+   * One entry per weekly session of every course section
+   */
+  expandSessions(courses) {
+    const sessions = [];
+
+    for (const course of courses) {
+      for (const section of course.sections) {
+        for (const session of getRequiredSessions(course)) {
+          sessions.push({
+            course,
+            section,
+            type: session.type,
+            duration: session.duration,
+            consecutiveSlots: session.consecutiveSlots
+          });
+        }
+      }
+    }
+
+    return sessions;
+  }
+
+  getAllTeachingSlots(timeSlots) {
+    const days = [...new Set(timeSlots.map(t => t.day))];
+    return days.flatMap(day => getTeachingSlots(timeSlots, day));
+  }
+
+  /**
+   * Courses nobody can teach, and pre-assignments that cannot be honoured
+   */
+  checkFacultyQualification(courses, faculty, blockers, warnings) {
+    const facultyIds = new Set(faculty.map(f => f._id.toString()));
+
+    for (const course of courses) {
+      const qualified = getQualifiedFaculty(course, faculty);
+      const sessionTypes = [...new Set(getRequiredSessions(course).map(s => s.type))];
+
+      for (const section of course.sections) {
+        for (const sessionType of sessionTypes) {
+          const assignedId = getAssignedFacultyId(section, sessionType);
+
+          if (assignedId && !facultyIds.has(assignedId)) {
+            warnings.push(this.issue(
+              'assigned_faculty_unavailable',
+              `${course.courseCode} section ${section.sectionName} ${sessionType} is assigned to faculty ` +
+              `${section.assignedFaculty[sessionType].name || assignedId}, who is not active in this department`,
+              { course: course.courseCode, section: section.sectionName, sessionType }
+            ));
+          }
+
+          if (!assignedId && qualified.length === 0) {
+            blockers.push(this.issue(
+              'no_qualified_faculty',
+              `No active faculty lists ${course.courseCode} among their subjects ` +
+              `(needed for section ${section.sectionName} ${sessionType})`,
+              { course: course.courseCode, section: section.sectionName, sessionType }
+            ));
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Sections with no room of the right type, or none large enough
+   */
+  checkRooms(courses, rooms, blockers) {
+    for (const course of courses) {
+      const sessionTypes = [...new Set(getRequiredSessions(course).map(s => s.type))];
+
+      for (const sessionType of sessionTypes) {
+        const typedRooms = rooms.filter(r => isRoomTypeSuitable(r, course, sessionType));
+
+        if (typedRooms.length === 0) {
+          const labType = getRequiredLabType(course);
+          blockers.push(this.issue(
+            sessionType === 'lab' ? 'no_matching_lab' : 'no_classroom',
+            sessionType === 'lab'
+              ? `No active ${labType ? `${labType} ` : ''}lab room for ${course.courseCode} lab sessions`
+              : `No active classroom or seminar hall for ${course.courseCode} theory sessions`,
+            { course: course.courseCode, sessionType, labType }
+          ));
+          continue;
+        }
+
+        const largest = Math.max(...typedRooms.map(r => r.capacity));
+
+        for (const section of course.sections) {
+          if (section.strength > largest) {
+            blockers.push(this.issue(
+              'no_room_large_enough',
+              `${course.courseCode} section ${section.sectionName} has ${section.strength} students ` +
+              `but the largest suitable ${sessionType} room holds ${largest}`,
+              { course: course.courseCode, section: section.sectionName, sessionType, strength: section.strength, largestRoom: largest }
+            ));
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Multi-slot sessions longer than any unbroken run of slots in a day
+   */
+  checkSlotBlocks(sessions, timeSlots, blockers) {
+    const reported = new Set();
+
+    for (const session of sessions) {
+      if (session.consecutiveSlots <= 1) continue;
+
+      const key = `${session.course.courseCode}-${session.type}`;
+      if (reported.has(key)) continue;
+
+      if (buildSlotBlocks(timeSlots, session.consecutiveSlots).length === 0) {
+        reported.add(key);
+        blockers.push(this.issue(
+          'no_consecutive_slots',
+          `${session.course.courseCode} ${session.type} sessions need ${session.consecutiveSlots} ` +
+          'consecutive slots, but no day has that many without a lunch break',
+          { course: session.course.courseCode, sessionType: session.type, consecutiveSlots: session.consecutiveSlots }
+        ));
+      }
+    }
+  }
+
+  /**
+   * Faculty whose certain teaching load (pre-assigned sections, and courses
+   * only they can teach) needs more slots than their availability windows
+   * allow, or more hours than their weekly maximum
+   */
+  checkFacultyCommitments(sessions, faculty, timeSlots, blockers, warnings) {
+    const committed = new Map(faculty.map(f => [f._id.toString(), { slots: 0, hours: 0, courses: new Set() }]));
+
+    for (const session of sessions) {
+      let facultyId = getAssignedFacultyId(session.section, session.type);
+
+      if (!facultyId) {
+        const qualified = getQualifiedFaculty(session.course, faculty);
+        if (qualified.length !== 1) continue;
+        facultyId = qualified[0]._id.toString();
+      }
+
+      const load = committed.get(facultyId);
+      if (!load) continue;
+
+      load.slots += session.consecutiveSlots;
+      load.hours += session.duration;
+      load.courses.add(session.course.courseCode);
+    }
+
+    for (const facultyMember of faculty) {
+      const load = committed.get(facultyMember._id.toString());
+      if (load.slots === 0) continue;
+
+      const availableSlots = this.countAvailableSlots(facultyMember, timeSlots);
+      const maxHours = facultyMember.workload?.maxHoursPerWeek || 18;
+      const entities = {
+        faculty: facultyMember.name,
+        courses: [...load.courses],
+        requiredSlots: load.slots,
+        availableSlots,
+        requiredHours: load.hours,
+        maxHours
+      };
+
+      if (load.slots > availableSlots) {
+        blockers.push(this.issue(
+          'faculty_availability_exceeded',
+          `${facultyMember.name} must teach ${load.slots} slot(s) a week (${[...load.courses].join(', ')}) ` +
+          `but is available for only ${availableSlots}`,
+          entities
+        ));
+      } else if (load.hours > maxHours) {
+        warnings.push(this.issue(
+          'faculty_workload_exceeded',
+          `${facultyMember.name} must teach ${load.hours} hour(s) a week but the maximum is ${maxHours}`,
+          entities
+        ));
+      }
+    }
+  }
+
+  /**
+   * Teaching slots that fall fully inside a faculty member's availability
+   */
+  countAvailableSlots(facultyMember, timeSlots) {
+    const teachingSlots = this.getAllTeachingSlots(timeSlots);
+    if (!facultyMember.availability) return teachingSlots.length;
+
+    return teachingSlots.filter(slot => {
+      const windows = facultyMember.availability[slot.day.toLowerCase()] || [];
+      return windows.some(w => slot.startTime >= w.startTime && slot.endTime <= w.endTime);
+    }).length;
+  }
+
+  /**
+   * Sections with more weekly sessions than there are teaching slots
+   */
+  checkSectionLoad(sessions, teachingSlots, blockers) {
+    const load = new Map();
+
+    for (const session of sessions) {
+      const key = session.section.sectionName;
+      load.set(key, (load.get(key) || 0) + session.consecutiveSlots);
+    }
+
+    for (const [section, slots] of load) {
+      if (slots > teachingSlots.length) {
+        blockers.push(this.issue(
+          'section_overloaded',
+          `Section ${section} needs ${slots} slot(s) a week but only ${teachingSlots.length} teaching slots exist`,
+          { section, requiredSlots: slots, availableSlots: teachingSlots.length }
+        ));
+      }
+    }
+  }
+
+  /**
+   * Total demand vs available room-slots for each kind of room
+   */
+  checkRoomDemand(sessions, rooms, teachingSlots, blockers) {
+    const groups = new Map();
+
+    for (const session of sessions) {
+      const labType = session.type === 'lab' ? getRequiredLabType(session.course) : null;
+      const roomType = session.type === 'lab'
+        ? `lab${labType && labType !== 'general' ? `:${labType}` : ''}`
+        : 'classroom';
+
+      if (!groups.has(roomType)) {
+        groups.set(roomType, {
+          roomType,
+          requiredSlots: 0,
+          rooms: rooms.filter(r => isRoomTypeSuitable(r, session.course, session.type)).length
+        });
+      }
+      groups.get(roomType).requiredSlots += session.consecutiveSlots;
+    }
+
+    const demand = [];
+
+    for (const group of groups.values()) {
+      const availableSlots = group.rooms * teachingSlots.length;
+      demand.push({
+        ...group,
+        availableSlots,
+        utilizationPercentage: availableSlots > 0
+          ? Math.round((group.requiredSlots / availableSlots) * 100)
+          : null
+      });
+
+      if (group.rooms > 0 && group.requiredSlots > availableSlots) {
+        blockers.push(this.issue(
+          'room_demand_exceeds_supply',
+          `Sessions need ${group.requiredSlots} ${group.roomType} room-slots a week but only ` +
+          `${availableSlots} exist (${group.rooms} room(s) x ${teachingSlots.length} slots)`,
+          { roomType: group.roomType, requiredSlots: group.requiredSlots, availableSlots }
+        ));
+      }
+    }
+
+    return demand;
+  }
+
+  issue(type, message, entities = {}) {
+    return { type, message, entities };
+  }
+
+  buildReport(blockers, warnings, summary, demand) {
+    return {
+      feasible: blockers.length === 0,
+      blockers,
+      warnings,
+      summary,
+      roomDemand: demand
+    };
+  }
+}
+
+export default FeasibilityAnalyzer;
@@ -0,0 +1,25 @@
+import { parentPort, workerData } from 'worker_threads';
+import FitnessCalculator from './fitnessCalculator.js';
+
+/**
+ * Worker thread entry point evaluating chunks of a GA population.
+ *
+ * `workerData` carries the problem data once per GA run; each task payload
+ * is `{ chromosomes }` and the result is one evaluation per chromosome.
+ */
+const { courses, faculty, rooms, constraints, timeSlots, weights } = workerData;
+const fitnessCalculator = new FitnessCalculator(weights);
+
+parentPort.on('message', (message) => {
+  if (message.type !== 'task') return;
+
+  try {
+    const evaluations = message.payload.chromosomes.map(chromosome =>
+      fitnessCalculator.calculate(chromosome, courses, faculty, rooms, constraints, timeSlots)
+    );
+
+    parentPort.postMessage({ type: 'result', result: evaluations });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', message: error.message });
+  }
+});
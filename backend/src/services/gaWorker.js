@@ -0,0 +1,57 @@
+import { parentPort } from 'worker_threads';
+import GeneticAlgorithm from './genericAlgorithm.js';
+import InfeasibilityDiagnoser from './infeasibilityDiagnoser.js';
+import RunControl from './runControl.js';
+
+/**
+ * Worker thread entry point running one GA optimization per task.
+ *
+ * Task payload: `{ config, data }`. Progress is posted back as
+ * `{ type: 'progress', progress }`; `{ type: 'control', action }` messages
+ * pause, resume or cancel the run.
+ *
+ * A `{ diagnose: options, data }` payload runs an infeasibility diagnosis
+ * instead, which is just as CPU-bound.
+ */
+let control = null;
+
+parentPort.on('message', async (message) => {
+  if (message.type === 'control') {
+    if (control && ['pause', 'resume', 'cancel'].includes(message.action)) {
+      control[message.action]();
+    }
+    return;
+  }
+
+  if (message.type !== 'task') return;
+
+  if (message.payload.diagnose) {
+    const { diagnose: options, data } = message.payload;
+    try {
+      const result = new InfeasibilityDiagnoser(options).diagnose(data);
+      parentPort.postMessage({ type: 'result', result });
+    } catch (error) {
+      parentPort.postMessage({ type: 'error', message: error.message });
+    }
+    return;
+  }
+
+  const { config, data } = message.payload;
+  control = new RunControl();
+
+  const ga = new GeneticAlgorithm(config);
+
+  try {
+    ga.initialize(data);
+
+    const result = await ga.optimize(async (progress) => {
+      parentPort.postMessage({ type: 'progress', progress });
+    }, control);
+
+    parentPort.postMessage({ type: 'result', result });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', message: error.message });
+  } finally {
+    control = null;
+  }
+});
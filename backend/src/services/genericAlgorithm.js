@@ -1,5 +1,15 @@
 import FitnessCalculator from './fitnessCalculator.js';
 import ConstraintChecker from './constraintChecker.js';
+import WorkerPool from './workerPool.js';
+import { createRng, generateSeed, DEFAULT_PRNG } from './random.js';
+import { isTeachingSlot, buildSlotBlocks, blockToTimeSlot } from './timeSlotUtils.js';
+import {
+  getRequiredSessions,
+  isRoomSuitable,
+  getQualifiedFaculty,
+  getAssignedFacultyId,
+  getEntryKey
+} from './courseRequirements.js';
 
 class GeneticAlgorithm {
   constructor(config = {}) {
@@ -9,8 +19,16 @@ class GeneticAlgorithm {
     this.crossoverRate = config.crossoverRate || 0.8;
     this.elitismCount = config.elitismCount || 5;
     this.tournamentSize = config.tournamentSize || 5;
+    this.evaluationWorkers = config.evaluationWorkers || 0;
     
+    // Every random choice goes through this generator so runs are reproducible
+    this.seed = config.seed ?? generateSeed();
+    this.prng = config.prng || DEFAULT_PRNG;
+    this.random = config.rng || createRng(this.seed, this.prng);
+    
+    this.weights = config.weights;
     this.fitnessCalculator = new FitnessCalculator(config.weights);
+    this.evaluationPool = null;
     this.constraintChecker = new ConstraintChecker();
     
     this.population = [];
@@ -27,71 +45,101 @@ class GeneticAlgorithm {
     this.rooms = data.rooms;
     this.timeSlots = data.timeSlots;
     this.constraints = data.constraints;
+    this.teachingSlots = this.timeSlots.filter(isTeachingSlot);
+    this.slotBlocks = new Map();  // consecutiveSlots -> candidate blocks
+    
+    // Pinned genes are copied into every chromosome and never changed
+    this.pinnedGenes = new Map(
+      (data.pinnedGenes || []).map(gene => [gene.entryKey, { ...gene, pinned: true }])
+    );
     
     console.log(`Initializing GA with:`);
     console.log(`- Courses: ${this.courses.length}`);
     console.log(`- Faculty: ${this.faculty.length}`);
     console.log(`- Rooms: ${this.rooms.length}`);
     console.log(`- Time Slots: ${this.timeSlots.length}`);
+    console.log(`- Pinned genes: ${this.pinnedGenes.size}`);
   }
 
   /**
    * Main optimization loop
+   *
+   * `control` is an optional RunControl used to pause or cancel the run
+   * between generations.
    */
-  async optimize(progressCallback = null) {
+  async optimize(progressCallback = null, control = null) {
     const startTime = Date.now();
+    let cancelled = false;
     
-    // Step 1: Generate initial population
-    console.log('Generating initial population...');
-    this.generateInitialPopulation();
+    if (this.evaluationWorkers > 0) {
+      this.startEvaluationPool();
+    }
     
-    // Step 2: Evolution loop
-    for (let generation = 0; generation < this.maxGenerations; generation++) {
-      // Evaluate fitness for all chromosomes
-      this.evaluatePopulation();
-      
-      // Track best chromosome
-      const currentBest = this.getBestChromosome();
-      if (!this.bestChromosome || currentBest.fitness > this.bestChromosome.fitness) {
-        this.bestChromosome = JSON.parse(JSON.stringify(currentBest));
-      }
+    try {
+      // Step 1: Generate initial population
+      console.log('Generating initial population...');
+      this.generateInitialPopulation();
+    
+      // Step 2: Evolution loop
+      for (let generation = 0; generation < this.maxGenerations; generation++) {
+        // Evaluate fitness for all chromosomes
+        await this.evaluatePopulation();
       
-      // Track progress
-      const stats = this.getGenerationStats();
-      this.generationHistory.push({
-        generation,
-        bestFitness: stats.bestFitness,
-        avgFitness: stats.avgFitness,
-        hardViolations: this.bestChromosome.hardViolations,
-        softViolations: this.bestChromosome.softViolations
-      });
+        // Track best chromosome
+        const currentBest = this.getBestChromosome();
+        if (!this.bestChromosome || currentBest.fitness > this.bestChromosome.fitness) {
+          this.bestChromosome = JSON.parse(JSON.stringify(currentBest));
+        }
       
-      // Progress callback for UI updates
-      if (progressCallback && generation % 10 === 0) {
-        await progressCallback({
+        // Track progress
+        const stats = this.getGenerationStats();
+        this.generationHistory.push({
           generation,
-          maxGenerations: this.maxGenerations,
-          progress: (generation / this.maxGenerations) * 100,
           bestFitness: stats.bestFitness,
           avgFitness: stats.avgFitness,
-          hardViolations: this.bestChromosome.hardViolations
+          hardViolations: this.bestChromosome.hardViolations,
+          softViolations: this.bestChromosome.softViolations
         });
-      }
       
-      // Early stopping if perfect solution found
-      if (this.bestChromosome.hardViolations === 0 && this.bestChromosome.fitness > 950) {
-        console.log(`Perfect solution found at generation ${generation}!`);
-        break;
-      }
+        // Progress callback for UI updates
+        if (progressCallback && generation % 10 === 0) {
+          await progressCallback({
+            generation,
+            maxGenerations: this.maxGenerations,
+            progress: (generation / this.maxGenerations) * 100,
+            bestFitness: stats.bestFitness,
+            avgFitness: stats.avgFitness,
+            hardViolations: this.bestChromosome.hardViolations
+          });
+        }
+      
+        // Early stopping if perfect solution found
+        if (this.bestChromosome.hardViolations === 0 && this.bestChromosome.fitness > 950) {
+          console.log(`Perfect solution found at generation ${generation}!`);
+          break;
+        }
       
-      // Create next generation
-      this.evolve();
+        // Create next generation
+        this.evolve();
       
-      // Log progress every 100 generations
-      if (generation % 100 === 0) {
-        console.log(`Generation ${generation}: Best Fitness = ${stats.bestFitness.toFixed(2)}, ` +
-                   `Hard Violations = ${this.bestChromosome.hardViolations}`);
+        // Log progress every 100 generations
+        if (generation % 100 === 0) {
+          console.log(`Generation ${generation}: Best Fitness = ${stats.bestFitness.toFixed(2)}, ` +
+                     `Hard Violations = ${this.bestChromosome.hardViolations}`);
+        }
+      
+        // Honour pause/cancel requests between generations
+        if (control) {
+          await control.checkpoint();
+          if (control.cancelled) {
+            console.log(`Optimization cancelled at generation ${generation}`);
+            cancelled = true;
+            break;
+          }
+        }
       }
+    } finally {
+      await this.stopEvaluationPool();
     }
     
     const endTime = Date.now();
@@ -105,7 +153,10 @@ class GeneticAlgorithm {
     return {
       schedule: this.bestChromosome,
       generations: this.generationHistory,
-      computationTime
+      computationTime,
+      cancelled,
+      seed: this.seed,
+      prng: this.prng
     };
   }
 
@@ -137,10 +188,28 @@ class GeneticAlgorithm {
       const sessions = this.getRequiredSessions(course);
       
       for (const section of course.sections) {
+        const sessionCounts = { theory: 0, lab: 0 };
+        
         for (const session of sessions) {
+          const sessionIndex = sessionCounts[session.type]++;
+          const entryKey = getEntryKey({
+            courseCode: course.courseCode,
+            section: section.sectionName,
+            sessionType: session.type
+          }, sessionIndex);
+          
+          // Pinned sessions keep their placement
+          if (this.pinnedGenes.has(entryKey)) {
+            const pinned = this.pinnedGenes.get(entryKey);
+            schedule.genes.push({ ...pinned, timeSlot: { ...pinned.timeSlot } });
+            continue;
+          }
+          
           // Randomly assign: timeSlot, faculty, room
           const gene = this.createRandomGene(course, section, session);
           if (gene) {
+            gene.sessionIndex = sessionIndex;
+            gene.entryKey = entryKey;
             schedule.genes.push(gene);
           }
         }
@@ -154,39 +223,7 @@ class GeneticAlgorithm {
    * Calculate required sessions for a course
    */
   getRequiredSessions(course) {
-    const sessions = [];
-    
-    // Theory sessions
-    if (course.theoryHours.hoursPerWeek > 0) {
-      const numSessions = Math.ceil(
-        course.theoryHours.hoursPerWeek / course.theoryHours.sessionDuration
-      );
-      for (let i = 0; i < numSessions; i++) {
-        sessions.push({
-          type: 'theory',
-          duration: course.theoryHours.sessionDuration,
-          consecutiveSlots: 1
-        });
-      }
-    }
-    
-    // Lab sessions
-    if (course.labHours.hoursPerWeek > 0) {
-      const numSessions = Math.ceil(
-        course.labHours.hoursPerWeek / course.labHours.sessionDuration
-      );
-      const slotsNeeded = Math.ceil(course.labHours.sessionDuration);
-      
-      for (let i = 0; i < numSessions; i++) {
-        sessions.push({
-          type: 'lab',
-          duration: course.labHours.sessionDuration,
-          consecutiveSlots: slotsNeeded
-        });
-      }
-    }
-    
-    return sessions;
+    return getRequiredSessions(course);
   }
 
   /**
@@ -194,21 +231,27 @@ class GeneticAlgorithm {
    */
   createRandomGene(course, section, session) {
     try {
-      // Random time slot
-      const timeSlot = this.timeSlots[Math.floor(Math.random() * this.timeSlots.length)];
-      
-      // Find suitable faculty
-      const eligibleFaculty = this.faculty.filter(f => 
-        f.subjects.some(s => s.courseId.toString() === course._id.toString()) &&
-        f.isActive
-      );
+      // Random time slot, or block of consecutive slots for labs
+      const timeSlot = this.pickTimeSlot(session.consecutiveSlots);
       
-      if (eligibleFaculty.length === 0) {
-        console.warn(`No eligible faculty for course ${course.courseCode}`);
+      if (!timeSlot) {
+        console.warn(`No block of ${session.consecutiveSlots} consecutive slots for course ${course.courseCode}`);
         return null;
       }
       
-      const faculty = eligibleFaculty[Math.floor(Math.random() * eligibleFaculty.length)];
+      // Pre-assigned faculty is fixed, otherwise pick any qualified one
+      let faculty = this.getAssignedFaculty(section, session.type);
+      
+      if (!faculty) {
+        const eligibleFaculty = getQualifiedFaculty(course, this.faculty);
+        
+        if (eligibleFaculty.length === 0) {
+          console.warn(`No eligible faculty for course ${course.courseCode}`);
+          return null;
+        }
+        
+        faculty = eligibleFaculty[this.randomIndex(eligibleFaculty.length)];
+      }
       
       // Find suitable room
       const eligibleRooms = this.rooms.filter(r => 
@@ -220,7 +263,7 @@ class GeneticAlgorithm {
         return null;
       }
       
-      const room = eligibleRooms[Math.floor(Math.random() * eligibleRooms.length)];
+      const room = eligibleRooms[this.randomIndex(eligibleRooms.length)];
       
       return {
         courseId: course._id,
@@ -228,12 +271,7 @@ class GeneticAlgorithm {
         courseName: course.courseName,
         section: section.sectionName,
         sessionType: session.type,
-        timeSlot: {
-          day: timeSlot.day,
-          slotNumber: timeSlot.slotNumber,
-          startTime: timeSlot.startTime,
-          endTime: timeSlot.endTime
-        },
+        timeSlot,
         facultyId: faculty._id,
         facultyName: faculty.name,
         roomId: room._id,
@@ -248,41 +286,115 @@ class GeneticAlgorithm {
   }
 
   /**
-   * Check if room is suitable for course/session
+   * Faculty fixed for a section and session type through
+   * `sections[].assignedFaculty`, or null when it is left to the GA
    */
-  isRoomSuitable(room, course, sessionType, section) {
-    if (!room.isActive) return false;
+  getAssignedFaculty(section, sessionType) {
+    const assignedId = getAssignedFacultyId(section, sessionType);
+    if (!assignedId) return null;
     
-    // Check capacity
-    if (room.capacity < section.strength) return false;
+    const facultyMember = this.faculty.find(f => f._id.toString() === assignedId);
     
-    // Check room type
-    if (sessionType === 'lab') {
-      if (room.type !== 'lab') return false;
-      
-      // Check specific lab requirements
-      if (course.roomRequirements?.lab?.specificLabType) {
-        const requiredType = course.roomRequirements.lab.specificLabType.toLowerCase();
-        if (room.labType !== requiredType && requiredType !== 'general') {
-          return false;
-        }
-      }
-    } else {
-      if (room.type !== 'classroom' && room.type !== 'seminar_hall') return false;
+    // Populated faculty from another department can still be used
+    const assigned = section.assignedFaculty[sessionType];
+    return facultyMember || (assigned._id ? assigned : null);
+  }
+
+  /**
+   * Pick a random placement for a session. Sessions spanning several slots
+   * get a whole block of consecutive teaching slots on one day; lunch and
+   * break slots are never used.
+   */
+  pickTimeSlot(consecutiveSlots = 1) {
+    if (consecutiveSlots <= 1) {
+      if (this.teachingSlots.length === 0) return null;
+
+      const timeSlot = this.teachingSlots[this.randomIndex(this.teachingSlots.length)];
+      return {
+        day: timeSlot.day,
+        slotNumber: timeSlot.slotNumber,
+        slotNumbers: [timeSlot.slotNumber],
+        startTime: timeSlot.startTime,
+        endTime: timeSlot.endTime
+      };
     }
     
-    return true;
+    if (!this.slotBlocks.has(consecutiveSlots)) {
+      this.slotBlocks.set(consecutiveSlots, buildSlotBlocks(this.timeSlots, consecutiveSlots));
+    }
+    
+    const blocks = this.slotBlocks.get(consecutiveSlots);
+    if (blocks.length === 0) return null;
+    
+    return blockToTimeSlot(blocks[this.randomIndex(blocks.length)]);
+  }
+
+  /**
+   * Check if room is suitable for course/session
+   */
+  isRoomSuitable(room, course, sessionType, section) {
+    return isRoomSuitable(room, course, sessionType, section);
   }
 
   /**
    * Evaluate fitness for entire population
    */
-  evaluatePopulation() {
+  async evaluatePopulation() {
+    if (this.evaluationPool) {
+      return this.evaluatePopulationInWorkers();
+    }
+    
     for (const chromosome of this.population) {
       this.evaluateChromosome(chromosome);
     }
   }
 
+  /**
+   * Split the population into one chunk per evaluation worker
+   */
+  async evaluatePopulationInWorkers() {
+    const chunkSize = Math.ceil(this.population.length / this.evaluationWorkers);
+    const chunks = [];
+    
+    for (let i = 0; i < this.population.length; i += chunkSize) {
+      chunks.push(this.population.slice(i, i + chunkSize));
+    }
+    
+    const results = await Promise.all(chunks.map(chunk =>
+      this.evaluationPool.run({
+        chromosomes: chunk.map(c => ({ genes: c.genes }))
+      }).promise
+    ));
+    
+    chunks.forEach((chunk, i) => {
+      chunk.forEach((chromosome, j) => this.applyEvaluation(chromosome, results[i][j]));
+    });
+  }
+
+  /**
+   * Start the fitness evaluation workers for this run
+   */
+  startEvaluationPool() {
+    this.evaluationPool = new WorkerPool(new URL('./fitnessWorker.js', import.meta.url), {
+      size: this.evaluationWorkers,
+      workerData: JSON.parse(JSON.stringify({
+        courses: this.courses,
+        faculty: this.faculty,
+        rooms: this.rooms,
+        constraints: this.constraints,
+        timeSlots: this.timeSlots,
+        weights: this.weights
+      }))
+    });
+  }
+
+  async stopEvaluationPool() {
+    if (this.evaluationPool) {
+      await this.evaluationPool.destroy();
+      this.evaluationPool = null;
+    }
+  }
+
   /**
    * Evaluate a single chromosome
    */
@@ -292,9 +404,14 @@ class GeneticAlgorithm {
       this.courses,
       this.faculty,
       this.rooms,
-      this.constraints
+      this.constraints,
+      this.timeSlots
     );
     
+    this.applyEvaluation(chromosome, evaluation);
+  }
+
+  applyEvaluation(chromosome, evaluation) {
     chromosome.fitness = evaluation.fitness;
     chromosome.hardViolations = evaluation.hardViolations;
     chromosome.softViolations = evaluation.softViolations;
@@ -321,14 +438,14 @@ class GeneticAlgorithm {
       
       // Crossover
       let offspring;
-      if (Math.random() < this.crossoverRate) {
+      if (this.random() < this.crossoverRate) {
         offspring = this.crossover(parent1, parent2);
       } else {
         offspring = JSON.parse(JSON.stringify(parent1));
       }
       
       // Mutation
-      if (Math.random() < this.mutationRate) {
+      if (this.random() < this.mutationRate) {
         this.mutate(offspring);
       }
       
@@ -345,7 +462,7 @@ class GeneticAlgorithm {
     let best = null;
     
     for (let i = 0; i < this.tournamentSize; i++) {
-      const candidate = this.population[Math.floor(Math.random() * this.population.length)];
+      const candidate = this.population[this.randomIndex(this.population.length)];
       if (!best || candidate.fitness > best.fitness) {
         best = candidate;
       }
@@ -365,8 +482,9 @@ class GeneticAlgorithm {
       softViolations: 0
     };
     
-    // Single-point crossover
-    const crossoverPoint = Math.floor(Math.random() * parent1.genes.length);
+    // Single-point crossover. Pinned genes are identical in every
+    // chromosome, so whichever parent they come from they stay as pinned.
+    const crossoverPoint = this.randomIndex(parent1.genes.length);
     
     offspring.genes = [
       ...parent1.genes.slice(0, crossoverPoint),
@@ -380,32 +498,28 @@ class GeneticAlgorithm {
    * Mutate a chromosome
    */
   mutate(chromosome) {
-    if (chromosome.genes.length === 0) return;
+    // Random mutation: change one gene, never a pinned one
+    const mutable = chromosome.genes.filter(gene => !gene.pinned);
+    if (mutable.length === 0) return;
     
-    // Random mutation: change one gene
-    const geneIndex = Math.floor(Math.random() * chromosome.genes.length);
-    const gene = chromosome.genes[geneIndex];
+    const gene = mutable[this.randomIndex(mutable.length)];
     
-    const mutationType = Math.random();
+    const mutationType = this.random();
     
     if (mutationType < 0.33) {
       // Mutate time slot
-      const newTimeSlot = this.timeSlots[Math.floor(Math.random() * this.timeSlots.length)];
-      gene.timeSlot = {
-        day: newTimeSlot.day,
-        slotNumber: newTimeSlot.slotNumber,
-        startTime: newTimeSlot.startTime,
-        endTime: newTimeSlot.endTime
-      };
+      const newTimeSlot = this.pickTimeSlot(gene.consecutiveSlots);
+      if (newTimeSlot) {
+        gene.timeSlot = newTimeSlot;
+      }
     } else if (mutationType < 0.66) {
-      // Mutate faculty
+      // Mutate faculty, unless the section has it pre-assigned
       const course = this.courses.find(c => c._id.toString() === gene.courseId.toString());
-      if (course) {
-        const eligibleFaculty = this.faculty.filter(f => 
-          f.subjects.some(s => s.courseId.toString() === course._id.toString()) && f.isActive
-        );
+      const section = course?.sections.find(s => s.sectionName === gene.section);
+      if (course && !this.getAssignedFaculty(section, gene.sessionType)) {
+        const eligibleFaculty = getQualifiedFaculty(course, this.faculty);
         if (eligibleFaculty.length > 0) {
-          const newFaculty = eligibleFaculty[Math.floor(Math.random() * eligibleFaculty.length)];
+          const newFaculty = eligibleFaculty[this.randomIndex(eligibleFaculty.length)];
           gene.facultyId = newFaculty._id;
           gene.facultyName = newFaculty.name;
         }
@@ -419,7 +533,7 @@ class GeneticAlgorithm {
           this.isRoomSuitable(r, course, gene.sessionType, section)
         );
         if (eligibleRooms.length > 0) {
-          const newRoom = eligibleRooms[Math.floor(Math.random() * eligibleRooms.length)];
+          const newRoom = eligibleRooms[this.randomIndex(eligibleRooms.length)];
           gene.roomId = newRoom._id;
           gene.roomNumber = newRoom.roomNumber;
         }
@@ -427,6 +541,13 @@ class GeneticAlgorithm {
     }
   }
 
+  /**
+   * Random integer in [0, length)
+   */
+  randomIndex(length) {
+    return Math.floor(this.random() * length);
+  }
+
   /**
    * Get best chromosome from current population
    */
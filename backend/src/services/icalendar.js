@@ -0,0 +1,253 @@
+/**
+ * iCalendar (RFC 5545) export of schedule entries.
+ *
+ * Every entry becomes a weekly recurring event from its first occurrence on
+ * or after the semester start date until the semester end date. Event UIDs
+ * are derived from the term and entry keys, so a calendar subscribed to a
+ * feed updates the same events in place when a new version is published.
+ */
+import calendarConfig from '../config/calendar.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const DAY_NUMBERS = {
+  Sunday: 0,
+  Monday: 1,
+  Tuesday: 2,
+  Wednesday: 3,
+  Thursday: 4,
+  Friday: 5,
+  Saturday: 6
+};
+
+const PRODUCT_ID = '-//Timetable Optimizer//Schedule Export//EN';
+const UID_DOMAIN = 'timetable-optimizer';
+
+/**
+ * Entries taught by a faculty member, held in a room (id or room number)
+ * or attended by a section; filters that are not given match everything
+ */
+export function filterEntries(entries, { faculty, room, section } = {}) {
+  return entries.filter(entry =>
+    (!faculty || entry.faculty.toString() === faculty.toString()) &&
+    (!room || entry.room.toString() === room.toString() || entry.roomNumber === room) &&
+    (!section || entry.section === section)
+  );
+}
+
+/**
+ * Text of a VCALENDAR with one recurring VEVENT per entry.
+ * `startDate` and `endDate` are the first and last days of the semester;
+ * `term` (e.g. "CSE-2024-2025-Odd") keeps UIDs unique across terms.
+ * Slot times are read in `timezone` (TIMEZONE, see config/calendar.js).
+ */
+export function buildCalendar(entries, {
+  name,
+  term,
+  startDate,
+  endDate,
+  sequence = 0,
+  stamp = new Date(),
+  timezone = calendarConfig.timezone
+}) {
+  const until = formatUtc(localToUtc(
+    Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth(), endDate.getUTCDate(), 23, 59, 59),
+    timezone
+  ));
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`,
+    // Ask subscribed clients to check for newly published versions
+    'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+    'X-PUBLISHED-TTL:PT12H',
+    ...timezoneComponent(timezone, startDate, endDate)
+  ];
+
+  for (const entry of entries) {
+    const date = firstOccurrence(startDate, entry.day);
+    if (date > endDate) continue;
+
+    const sessionLabel = entry.sessionType === 'lab' ? 'Lab' : 'Theory';
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${term}:${entry.entryKey}@${UID_DOMAIN}`,
+      `SEQUENCE:${sequence}`,
+      `DTSTAMP:${formatUtc(stamp)}`,
+      `DTSTART;TZID=${timezone}:${formatLocal(date, entry.timeSlot.startTime)}`,
+      `DTEND;TZID=${timezone}:${formatLocal(date, entry.timeSlot.endTime)}`,
+      `RRULE:FREQ=WEEKLY;UNTIL=${until}`,
+      `SUMMARY:${escapeText(`${entry.courseCode} ${sessionLabel} (${entry.section})`)}`,
+      `LOCATION:${escapeText(entry.roomNumber || '')}`,
+      `DESCRIPTION:${escapeText([
+        `${entry.courseCode} ${entry.courseName || ''}`.trim(),
+        `${sessionLabel}, section ${entry.section}`,
+        `Faculty: ${entry.facultyName || ''}`,
+        `Room: ${entry.roomNumber || ''}`
+      ].join('\n'))}`,
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * VTIMEZONE for the semester: the offset in force at its start, then one
+ * observance per offset change (daylight saving) up to its end. Offsets
+ * come from the runtime's time zone data.
+ */
+function timezoneComponent(timezone, startDate, endDate) {
+  const from = startDate.getTime() - DAY;
+  const to = endDate.getTime() + 2 * DAY;
+
+  const changes = [];
+  for (let time = from; time < to; time += DAY) {
+    if (getOffset(timezone, time) !== getOffset(timezone, time + DAY)) {
+      changes.push(findOffsetChange(timezone, time, time + DAY));
+    }
+  }
+
+  const offsets = [getOffset(timezone, from), ...changes.map(change => getOffset(timezone, change))];
+  const standardOffset = Math.min(...offsets);
+
+  const observance = (dtstart, offsetFrom, offsetTo, time) => {
+    const kind = offsetTo > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+    return [
+      `BEGIN:${kind}`,
+      `DTSTART:${dtstart}`,
+      `TZOFFSETFROM:${formatOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatOffset(offsetTo)}`,
+      `TZNAME:${getZoneName(timezone, time)}`,
+      `END:${kind}`
+    ];
+  };
+
+  return [
+    'BEGIN:VTIMEZONE',
+    `TZID:${timezone}`,
+    ...observance('19700101T000000', offsets[0], offsets[0], from),
+    ...changes.flatMap((change, i) =>
+      // Local time of the change, read in the offset before it
+      observance(formatUtc(new Date(change + offsets[i] * MINUTE)).slice(0, -1), offsets[i], offsets[i + 1], change)
+    ),
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * UTC offset of `timezone` in minutes at a time (ms since the epoch)
+ */
+function getOffset(timezone, time) {
+  const name = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(time))
+    .find(part => part.type === 'timeZoneName').value;
+
+  const match = name.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;  // plain "GMT"
+  return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+}
+
+function getZoneName(timezone, time) {
+  return new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'short' })
+    .formatToParts(new Date(time))
+    .find(part => part.type === 'timeZoneName').value;
+}
+
+/**
+ * First minute in (before, after] with the offset in force at `after`
+ */
+function findOffsetChange(timezone, before, after) {
+  const target = getOffset(timezone, after);
+  while (after - before > MINUTE) {
+    const middle = before + Math.floor((after - before) / 2 / MINUTE) * MINUTE;
+    if (getOffset(timezone, middle) === target) after = middle;
+    else before = middle;
+  }
+  return after;
+}
+
+/**
+ * The instant at which wall-clock time `localTime` (a UTC timestamp of
+ * the local fields) occurs in `timezone`
+ */
+function localToUtc(localTime, timezone) {
+  let time = localTime - getOffset(timezone, localTime) * MINUTE;
+  time = localTime - getOffset(timezone, time) * MINUTE;
+  return new Date(time);
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+}
+
+/**
+ * First date on or after `startDate` that falls on `day`
+ */
+function firstOccurrence(startDate, day) {
+  const offset = (DAY_NUMBERS[day] - startDate.getUTCDay() + 7) % 7;
+  return new Date(Date.UTC(
+    startDate.getUTCFullYear(),
+    startDate.getUTCMonth(),
+    startDate.getUTCDate() + offset
+  ));
+}
+
+function formatLocal(date, time) {
+  const [hours, minutes] = time.split(':');
+  return `${formatDate(date)}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+}
+
+function formatDate(date) {
+  return [
+    date.getUTCFullYear(),
+    String(date.getUTCMonth() + 1).padStart(2, '0'),
+    String(date.getUTCDate()).padStart(2, '0')
+  ].join('');
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Content lines longer than 75 octets continue on lines starting with a space
+ */
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let start = 0;
+  let limit = 75;
+
+  while (start < bytes.length) {
+    let end = Math.min(start + limit, bytes.length);
+    // Do not split a multi-byte character
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--;
+    parts.push(bytes.subarray(start, end).toString('utf8'));
+    start = end;
+    limit = 74;
+  }
+
+  return parts.join('\r\n ');
+}
@@ -0,0 +1,131 @@
+import { buildCalendar, filterEntries } from './icalendar.js';
+
+const entry = (overrides = {}) => ({
+  entryKey: 'CS101:A:theory:0',
+  courseCode: 'CS101',
+  courseName: 'Data Structures',
+  section: 'A',
+  sessionType: 'theory',
+  day: 'Wednesday',
+  timeSlot: { slotNumber: 2, startTime: '08:50', endTime: '09:40' },
+  faculty: 'f1',
+  facultyName: 'Prof One',
+  room: 'r1',
+  roomNumber: 'R101',
+  ...overrides
+});
+
+const options = (overrides = {}) => ({
+  name: 'CSE Odd 2025',
+  term: 'CSE-2025-2026-Odd',
+  // A Monday to a Friday
+  startDate: new Date('2025-07-14'),
+  endDate: new Date('2025-11-28'),
+  sequence: 3,
+  stamp: new Date('2025-07-01T10:00:00Z'),
+  timezone: 'Asia/Kolkata',
+  ...overrides
+});
+
+// Unfolded content lines
+const linesOf = calendar => calendar.replace(/\r\n /g, '').split('\r\n');
+
+const eventsOf = calendar => {
+  const events = [];
+  let current = null;
+  for (const line of linesOf(calendar)) {
+    if (line === 'BEGIN:VEVENT') current = [];
+    else if (line === 'END:VEVENT') events.push(current);
+    else if (current) current.push(line);
+  }
+  return events;
+};
+
+describe('buildCalendar', () => {
+  test('writes a weekly event from the first matching day to the semester end', () => {
+    const [event] = eventsOf(buildCalendar([entry()], options()));
+
+    expect(event).toEqual(expect.arrayContaining([
+      'UID:CSE-2025-2026-Odd:CS101:A:theory:0@timetable-optimizer',
+      'SEQUENCE:3',
+      'DTSTAMP:20250701T100000Z',
+      'DTSTART;TZID=Asia/Kolkata:20250716T085000',
+      'DTEND;TZID=Asia/Kolkata:20250716T094000',
+      // 23:59:59 IST on the last day
+      'RRULE:FREQ=WEEKLY;UNTIL=20251128T182959Z',
+      'SUMMARY:CS101 Theory (A)',
+      'LOCATION:R101'
+    ]));
+  });
+
+  test('uses CRLF line endings and folds long lines', () => {
+    const calendar = buildCalendar([entry({ courseName: 'A very long course name '.repeat(5) })], options());
+
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(linesOf(calendar).some(line => line.startsWith('DESCRIPTION:CS101 A very long course name'))).toBe(true);
+  });
+
+  test('escapes text values', () => {
+    const calendar = buildCalendar([entry({ roomNumber: 'Lab 1, Block; B' })], options({ name: 'Odd, 2025' }));
+
+    expect(linesOf(calendar)).toEqual(expect.arrayContaining([
+      'X-WR-CALNAME:Odd\\, 2025',
+      'LOCATION:Lab 1\\, Block\\; B'
+    ]));
+  });
+
+  test('skips sessions whose first occurrence is after the semester', () => {
+    const calendar = buildCalendar([entry({ day: 'Saturday' })], options({
+      startDate: new Date('2025-07-14'),
+      endDate: new Date('2025-07-18')
+    }));
+
+    expect(eventsOf(calendar)).toEqual([]);
+  });
+
+  test('describes a fixed-offset zone with one observance', () => {
+    const lines = linesOf(buildCalendar([entry()], options()));
+    const start = lines.indexOf('BEGIN:VTIMEZONE');
+
+    expect(lines.slice(start, start + 3)).toEqual(['BEGIN:VTIMEZONE', 'TZID:Asia/Kolkata', 'BEGIN:STANDARD']);
+    expect(lines.filter(line => line.startsWith('TZOFFSETTO:'))).toEqual(['TZOFFSETTO:+0530']);
+    expect(lines).not.toContain('BEGIN:DAYLIGHT');
+  });
+
+  test('follows daylight saving changes of the configured zone', () => {
+    const calendar = buildCalendar([entry()], options({
+      timezone: 'America/New_York',
+      startDate: new Date('2025-01-06'),
+      endDate: new Date('2025-11-28')
+    }));
+    const lines = linesOf(calendar);
+
+    expect(lines).toEqual(expect.arrayContaining([
+      'X-WR-TIMEZONE:America/New_York',
+      'DTSTART;TZID=America/New_York:20250108T085000',
+      // Clocks go forward on 9 March and back on 2 November
+      'DTSTART:20250309T020000',
+      'TZOFFSETTO:-0400',
+      'DTSTART:20251102T020000',
+      // 23:59:59 EST on the last day
+      'RRULE:FREQ=WEEKLY;UNTIL=20251129T045959Z'
+    ]));
+    expect(lines.filter(line => line === 'BEGIN:DAYLIGHT')).toHaveLength(1);
+  });
+});
+
+describe('filterEntries', () => {
+  const entries = [
+    entry(),
+    entry({ entryKey: 'CS102:B:lab:0', section: 'B', faculty: 'f2', room: 'r2', roomNumber: 'L201' })
+  ];
+
+  test('matches faculty, room id or number, and section', () => {
+    expect(filterEntries(entries, { faculty: 'f2' })).toHaveLength(1);
+    expect(filterEntries(entries, { room: 'L201' })[0].section).toBe('B');
+    expect(filterEntries(entries, { room: 'r1' })[0].section).toBe('A');
+    expect(filterEntries(entries, { section: 'A', faculty: 'f2' })).toEqual([]);
+    expect(filterEntries(entries)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,740 @@
+import { buildSlotBlocks, blockToTimeSlot, getOccupiedSlots } from './timeSlotUtils.js';
+import {
+  getRequiredSessions,
+  isRoomTypeSuitable,
+  getRequiredLabType,
+  getQualifiedFaculty,
+  getAssignedFacultyId
+} from './courseRequirements.js';
+
+// Hard constraint codes the search models. The diagnosis switches them off
+// one at a time to find out which of them take part in a conflict; codes
+// without an active hard constraint are never enforced.
+// Names are those of the default constraints.
+const SEARCH_CONSTRAINTS = {
+  faculty_qualification: 'Faculty Qualification Match',
+  faculty_assignment: 'Faculty Pre-Assignment',
+  faculty_availability: 'Faculty Availability',
+  room_capacity: 'Room Capacity Check',
+  faculty_double_booking: 'No Faculty Double Booking',
+  room_double_booking: 'No Room Double Booking',
+  section_conflict: 'No Student Section Conflict'
+};
+const SEARCH_CODES = Object.keys(SEARCH_CONSTRAINTS);
+
+// The GA only ever picks rooms of the right type, so this always applies
+const ROOM_TYPE_RULE = { type: 'room_type', name: 'Room Type Match' };
+
+const DAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Explains why hard violations remain by finding minimal sets of sessions
+ * and hard constraints that cannot all be satisfied together.
+ *
+ * Each session becomes a CSP variable whose values are (time block, room,
+ * faculty) triples allowed by the unary constraints. A backtracking search
+ * with forward checking decides whether a set of sessions can be placed
+ * without clashes; a deletion filter then shrinks an unsatisfiable set until
+ * every remaining session is needed. Searches are capped by a node budget,
+ * so a result may be marked non-exhaustive.
+ */
+class InfeasibilityDiagnoser {
+  constructor(options = {}) {
+    this.maxNodesPerSearch = options.maxNodesPerSearch || 20000;
+    this.maxTotalNodes = options.maxTotalNodes || 500000;
+    this.maxConflictSets = options.maxConflictSets || 3;
+    this.countingLimit = options.countingLimit || 60;
+  }
+
+  /**
+   * Diagnose plain course/faculty/room/timeSlot data against the active
+   * hard `constraints` (all of SEARCH_CONSTRAINTS when omitted). When the entries
+   * of a generated schedule are passed, the search starts from the sessions
+   * involved in its hard violations (or missing from it).
+   */
+  diagnose({ courses, faculty, rooms, timeSlots, constraints = null, entries = null }) {
+    this.hardConstraints = this.getHardConstraints(constraints);
+    const enforced = new Set(this.hardConstraints.map(c => c.type));
+    this.disabled = new Set(SEARCH_CODES.filter(code => !enforced.has(code)));
+
+    this.faculty = faculty;
+    this.facultyMap = new Map(faculty.map(f => [f._id.toString(), f]));
+    this.rooms = rooms.filter(r => r.isActive !== false);
+    this.roomMap = new Map(this.rooms.map(r => [r._id.toString(), r]));
+    this.timeSlots = timeSlots;
+    this.blockCache = new Map();
+    this.domainCache = new Map();
+    this.searchNodes = 0;
+    this.exhaustive = true;
+
+    const sessions = this.buildSessions(courses);
+    const conflictSets = [];
+
+    // Sessions that cannot be placed at all, even on an empty timetable
+    const placeable = [];
+    const reported = new Set();
+    for (const session of sessions) {
+      if (this.getDomain(session).length > 0) {
+        placeable.push(session);
+      } else if (!reported.has(session.group)) {
+        reported.add(session.group);
+        conflictSets.push(this.describeSet([session]));
+      }
+    }
+
+    let status = conflictSets.length > 0 ? 'infeasible' : 'feasible';
+    let remaining = placeable;
+    let seeds = entries ? this.findSeedSessions(placeable, entries) : placeable;
+
+    while (conflictSets.length < this.maxConflictSets && seeds.length > 0) {
+      const unsatisfiable = this.findUnsatisfiableSet(remaining, seeds);
+
+      if (unsatisfiable === 'unknown') {
+        if (conflictSets.length === 0) status = 'unknown';
+        break;
+      }
+      if (!unsatisfiable) break;
+
+      const minimal = this.shrink(unsatisfiable, new Set(seeds));
+      conflictSets.push(this.describeSet(minimal));
+      status = 'infeasible';
+
+      // Look for further conflicts among the sessions not yet explained
+      const explained = new Set(minimal);
+      remaining = remaining.filter(s => !explained.has(s));
+      seeds = seeds.filter(s => !explained.has(s));
+    }
+
+    return {
+      status,
+      exhaustive: this.exhaustive,
+      searchNodes: this.searchNodes,
+      diagnosedAt: new Date(),
+      conflictSets
+    };
+  }
+
+  /**
+   * One CSP variable per weekly session of every course section
+   */
+  buildSessions(courses) {
+    const sessions = [];
+
+    for (const course of courses) {
+      for (const section of course.sections) {
+        const counts = { theory: 0, lab: 0 };
+
+        for (const required of getRequiredSessions(course)) {
+          sessions.push({
+            course,
+            section,
+            sessionType: required.type,
+            sessionIndex: counts[required.type]++,
+            consecutiveSlots: required.consecutiveSlots,
+            group: `${course.courseCode}:${section.sectionName}:${required.type}`
+          });
+        }
+      }
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Sessions behind the hard violations of a generated schedule: those
+   * sharing a faculty, room or section slot, and those the schedule lacks
+   */
+  findSeedSessions(sessions, entries) {
+    const flagged = new Set();
+    const occupancy = new Map();
+
+    for (const entry of entries) {
+      const group = `${entry.courseCode}:${entry.section}:${entry.sessionType}`;
+      for (const slotNumber of getOccupiedSlots(entry.timeSlot)) {
+        const time = `${entry.day}-${slotNumber}`;
+        for (const key of [`f:${entry.faculty}:${time}`, `r:${entry.room}:${time}`, `s:${entry.section}:${time}`]) {
+          if (!occupancy.has(key)) occupancy.set(key, []);
+          occupancy.get(key).push(group);
+        }
+      }
+    }
+
+    for (const groups of occupancy.values()) {
+      if (groups.length > 1) groups.forEach(g => flagged.add(g));
+    }
+
+    const scheduled = new Map();
+    for (const entry of entries) {
+      const group = `${entry.courseCode}:${entry.section}:${entry.sessionType}`;
+      scheduled.set(group, (scheduled.get(group) || 0) + 1);
+    }
+
+    return sessions.filter(s =>
+      flagged.has(s.group) || s.sessionIndex >= (scheduled.get(s.group) || 0)
+    );
+  }
+
+  /**
+   * Grow the seed sessions with every session that could compete with them
+   * until the set cannot be solved. Returns the set, null if everything
+   * can be placed, or 'unknown' when the search budget ran out.
+   */
+  findUnsatisfiableSet(sessions, seeds) {
+    let current = [...seeds];
+
+    while (true) {
+      const result = this.solve(current);
+      if (result === 'unsat') return current;
+      if (result === 'unknown') return 'unknown';
+
+      const members = new Set(current);
+      const neighbours = sessions.filter(s =>
+        !members.has(s) && current.some(c => this.canCompete(s, c))
+      );
+
+      if (neighbours.length === 0) return null;
+      current = current.concat(neighbours);
+    }
+  }
+
+  /**
+   * Deletion filter: drop sessions one at a time, keeping a session only if
+   * the rest becomes solvable without it. Sessions outside the seed set are
+   * tried first so the explanation stays close to the reported violations.
+   */
+  shrink(sessions, seeds) {
+    let current = [...sessions];
+    const order = [
+      ...sessions.filter(s => !seeds.has(s)),
+      ...sessions.filter(s => seeds.has(s))
+    ];
+
+    for (const session of order) {
+      const candidate = current.filter(s => s !== session);
+      const result = this.solve(candidate);
+
+      if (result === 'unsat') {
+        current = candidate;
+      } else if (result === 'unknown') {
+        this.exhaustive = false;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Decide whether sessions can all be placed without clashes.
+   * Returns 'sat', 'unsat' or 'unknown'.
+   *
+   * Two symmetries are broken to keep proofs of unsatisfiability short:
+   * sessions of the same group are placed in time order, and rooms (or
+   * faculty) that are interchangeable for every session in the set are only
+   * tried once per node while still unused on that day.
+   */
+  solve(sessions, relaxed = new Set()) {
+    if (sessions.length === 0) return 'sat';
+    relaxed = this.withDisabled(relaxed);
+
+    const domains = sessions.map(s => this.getDomain(s, relaxed));
+    if (domains.some(d => d.length === 0)) return 'unsat';
+
+    const clash = {
+      faculty: !relaxed.has('faculty_double_booking'),
+      room: !relaxed.has('room_double_booking'),
+      section: !relaxed.has('section_conflict')
+    };
+
+    // Pigeonhole conflicts are slow to refute by search, so count first,
+    // and on small sets (as left by the deletion filter) after every placement
+    const overCapacity = (current) => {
+      const open = [];
+      const openDomains = [];
+      current.forEach((domain, i) => {
+        if (domain) {
+          open.push(sessions[i]);
+          openDomains.push(domain);
+        }
+      });
+
+      return (clash.room && this.exceedsCapacity(open, openDomains, v => v.roomId)) ||
+        (clash.faculty && this.exceedsCapacity(open, openDomains, v => v.facultyId)) ||
+        (clash.section && this.exceedsCapacity(open, openDomains, (v, s) => s.section.sectionName));
+    };
+
+    if (overCapacity(domains)) return 'unsat';
+    const countEveryNode = sessions.length <= this.countingLimit;
+    const roomClasses = this.getEquivalenceClasses(domains, 'roomId', () => '');
+    const facultyClasses = this.getEquivalenceClasses(domains, 'facultyId', id =>
+      relaxed.has('faculty_availability') ? '' : JSON.stringify(this.facultyMap.get(id).availability || null)
+    );
+    const used = new Map();  // "day:resource" -> sessions placed there
+    const budget = Math.min(this.maxNodesPerSearch, this.maxTotalNodes - this.searchNodes);
+    let nodes = 0;
+    let exhausted = false;
+
+    const resourceKey = (value, field, classes) => {
+      const id = value[field];
+      return used.get(`${value.day}:${id}`) ? id : `class:${classes.get(id)}`;
+    };
+
+    const search = (current) => {
+      // Most constrained session first
+      let next = -1;
+      for (let i = 0; i < current.length; i++) {
+        if (current[i] && (next === -1 || current[i].length < current[next].length)) {
+          next = i;
+        }
+      }
+      if (next === -1) return true;
+
+      const tried = new Set();
+
+      for (const value of current[next]) {
+        const symmetryKey = [
+          value.day,
+          value.firstSlot,
+          resourceKey(value, 'roomId', roomClasses),
+          resourceKey(value, 'facultyId', facultyClasses)
+        ].join('|');
+        if (tried.has(symmetryKey)) continue;
+        tried.add(symmetryKey);
+
+        if (++nodes > budget) {
+          exhausted = true;
+          return false;
+        }
+
+        const reduced = current.slice();
+        reduced[next] = null;
+        let consistent = true;
+
+        for (let j = 0; j < reduced.length && consistent; j++) {
+          if (!reduced[j]) continue;
+
+          const sameSection = sessions[next].section.sectionName === sessions[j].section.sectionName;
+          let keep = other => !this.clashes(value, other, sameSection, clash);
+
+          if (sessions[j].group === sessions[next].group) {
+            const after = sessions[j].sessionIndex > sessions[next].sessionIndex;
+            const clashFree = keep;
+            keep = other => clashFree(other) &&
+              (after ? this.timeOrder(other) >= this.timeOrder(value) : this.timeOrder(other) <= this.timeOrder(value));
+          }
+
+          reduced[j] = reduced[j].filter(keep);
+          consistent = reduced[j].length > 0;
+        }
+
+        if (consistent && !(countEveryNode && overCapacity(reduced))) {
+          const keys = [`${value.day}:${value.roomId}`, `${value.day}:${value.facultyId}`];
+          keys.forEach(k => used.set(k, (used.get(k) || 0) + 1));
+          const solved = search(reduced);
+          keys.forEach(k => used.set(k, used.get(k) - 1));
+          if (solved) return true;
+        }
+        if (exhausted) return false;
+      }
+
+      return false;
+    };
+
+    const solved = search(domains);
+    this.searchNodes += Math.min(nodes, budget);
+
+    if (solved) return 'sat';
+    return exhausted ? 'unknown' : 'unsat';
+  }
+
+  /**
+   * Counting bound: for every pool of resources, the sessions that can only
+   * use that pool must fit into the consecutive runs of slots their domains
+   * offer on those resources
+   */
+  exceedsCapacity(sessions, domains, resourceOf) {
+    const resourceSets = domains.map((domain, i) =>
+      new Set(domain.map(v => resourceOf(v, sessions[i])))
+    );
+    const pools = new Map(resourceSets.map(set => [[...set].sort().join(','), set]));
+
+    for (const pool of pools.values()) {
+      const members = sessions
+        .map((session, i) => i)
+        .filter(i => [...resourceSets[i]].every(r => pool.has(r)));
+
+      const demand = members.reduce((sum, i) => sum + sessions[i].consecutiveSlots, 0);
+      const lengths = [...new Set(members.map(i => sessions[i].consecutiveSlots))];
+
+      // Slots any member could occupy, per resource and day
+      const cells = new Map();
+      for (const i of members) {
+        for (const value of domains[i]) {
+          const key = `${resourceOf(value, sessions[i])}|${value.day}`;
+          if (!cells.has(key)) cells.set(key, new Set());
+          for (let slot = value.firstSlot; slot <= value.lastSlot; slot++) {
+            cells.get(key).add(slot);
+          }
+        }
+      }
+
+      let capacity = 0;
+      for (const slots of cells.values()) {
+        for (const run of this.toRuns([...slots].sort((a, b) => a - b))) {
+          capacity += this.largestFill(run, lengths);
+        }
+      }
+
+      if (demand > capacity) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Lengths of the runs of consecutive numbers in a sorted list
+   */
+  toRuns(numbers) {
+    const runs = [];
+    let length = 0;
+
+    numbers.forEach((n, i) => {
+      length = i > 0 && n - numbers[i - 1] === 1 ? length + 1 : 1;
+      if (i === numbers.length - 1 || numbers[i + 1] - n !== 1) runs.push(length);
+    });
+
+    return runs;
+  }
+
+  /**
+   * Most slots of a run that sessions of the given lengths can fill
+   */
+  largestFill(runLength, lengths) {
+    const reachable = [true];
+    let best = 0;
+
+    for (let total = 1; total <= runLength; total++) {
+      reachable[total] = lengths.some(l => l <= total && reachable[total - l]);
+      if (reachable[total]) best = total;
+    }
+
+    return best;
+  }
+
+  /**
+   * Group rooms or faculty that appear in exactly the same session domains
+   * (and share `extraKey`) - swapping them never changes feasibility
+   */
+  getEquivalenceClasses(domains, field, extraKey) {
+    const members = new Map();
+
+    domains.forEach((domain, index) => {
+      for (const value of domain) {
+        if (!members.has(value[field])) members.set(value[field], new Set());
+        members.get(value[field]).add(index);
+      }
+    });
+
+    const classes = new Map();
+    for (const [id, sessionIndexes] of members) {
+      classes.set(id, `${[...sessionIndexes].join(',')}|${extraKey(id)}`);
+    }
+    return classes;
+  }
+
+  timeOrder(value) {
+    return DAY_ORDER.indexOf(value.day) * 100 + value.firstSlot;
+  }
+
+  clashes(a, b, sameSection, clash) {
+    if (a.day !== b.day) return false;
+    if (a.firstSlot > b.lastSlot || b.firstSlot > a.lastSlot) return false;
+
+    return (clash.faculty && a.facultyId === b.facultyId) ||
+      (clash.room && a.roomId === b.roomId) ||
+      (clash.section && sameSection);
+  }
+
+  /**
+   * Could two sessions ever clash? (same section, or a faculty or room
+   * both of them may use)
+   */
+  canCompete(a, b) {
+    if (a.section.sectionName === b.section.sectionName) return true;
+
+    const resourcesA = this.getResources(a);
+    const resourcesB = this.getResources(b);
+
+    return [...resourcesA.faculty].some(f => resourcesB.faculty.has(f)) ||
+      [...resourcesA.rooms].some(r => resourcesB.rooms.has(r));
+  }
+
+  getResources(session) {
+    const domain = this.getDomain(session);
+    return {
+      faculty: new Set(domain.map(v => v.facultyId)),
+      rooms: new Set(domain.map(v => v.roomId)),
+      days: new Set(domain.map(v => v.day))
+    };
+  }
+
+  /**
+   * Every (time block, room, faculty) placement the unary hard constraints
+   * allow for a session, with the constraints in `relaxed` switched off
+   */
+  getDomain(session, relaxed = new Set()) {
+    relaxed = this.withDisabled(relaxed);
+    const cacheKey = `${session.group}|${[...relaxed].sort().join(',')}`;
+    if (this.domainCache.has(cacheKey)) return this.domainCache.get(cacheKey);
+
+    const { course, section, sessionType } = session;
+
+    const rooms = this.rooms.filter(room =>
+      (relaxed.has('room_type') || isRoomTypeSuitable(room, course, sessionType)) &&
+      (relaxed.has('room_capacity') || room.capacity >= section.strength)
+    );
+
+    let candidates;
+    const assignedId = getAssignedFacultyId(section, sessionType);
+    if (assignedId && !relaxed.has('faculty_assignment')) {
+      candidates = this.facultyMap.has(assignedId) ? [this.facultyMap.get(assignedId)] : [];
+    } else if (!relaxed.has('faculty_qualification')) {
+      candidates = getQualifiedFaculty(course, this.faculty);
+    } else {
+      candidates = this.faculty;
+    }
+
+    const domain = [];
+    for (const timeSlot of this.getBlocks(session.consecutiveSlots)) {
+      const facultyIds = candidates
+        .filter(f => relaxed.has('faculty_availability') || this.isAvailable(f, timeSlot))
+        .map(f => f._id.toString());
+
+      for (const facultyId of facultyIds) {
+        for (const room of rooms) {
+          domain.push({
+            day: timeSlot.day,
+            firstSlot: timeSlot.slotNumbers[0],
+            lastSlot: timeSlot.slotNumbers[timeSlot.slotNumbers.length - 1],
+            facultyId,
+            roomId: room._id.toString()
+          });
+        }
+      }
+    }
+
+    this.domainCache.set(cacheKey, domain);
+    return domain;
+  }
+
+  getBlocks(consecutiveSlots) {
+    if (!this.blockCache.has(consecutiveSlots)) {
+      this.blockCache.set(
+        consecutiveSlots,
+        buildSlotBlocks(this.timeSlots, consecutiveSlots).map(blockToTimeSlot)
+      );
+    }
+    return this.blockCache.get(consecutiveSlots);
+  }
+
+  /**
+   * Same availability rule as the fitness calculator
+   */
+  isAvailable(facultyMember, timeSlot) {
+    if (!facultyMember.availability) return true;
+
+    const windows = facultyMember.availability[timeSlot.day.toLowerCase()] || [];
+    return windows.some(w => timeSlot.startTime >= w.startTime && timeSlot.endTime <= w.endTime);
+  }
+
+  /**
+   * The room type rule plus one entry per search code that has an active
+   * hard constraint, named after that constraint
+   */
+  getHardConstraints(constraints) {
+    if (!constraints) {
+      return [ROOM_TYPE_RULE, ...SEARCH_CODES.map(code => ({ type: code, name: SEARCH_CONSTRAINTS[code] }))];
+    }
+
+    const byCode = new Map();
+    for (const constraint of constraints) {
+      if (constraint.type !== 'hard' || constraint.isActive === false) continue;
+      if (!SEARCH_CODES.includes(constraint.code) || byCode.has(constraint.code)) continue;
+      byCode.set(constraint.code, { type: constraint.code, name: constraint.name });
+    }
+
+    return [ROOM_TYPE_RULE, ...SEARCH_CODES.filter(code => byCode.has(code)).map(code => byCode.get(code))];
+  }
+
+  /**
+   * `relaxed` plus the constraints that are not active at all
+   */
+  withDisabled(relaxed) {
+    if (this.disabled.size === 0) return relaxed;
+    return new Set([...this.disabled, ...relaxed]);
+  }
+
+  /**
+   * Which hard constraints a conflict set depends on: switching one off
+   * makes the set solvable
+   */
+  findConstraints(sessions) {
+    return this.hardConstraints.filter(constraint => {
+      const result = this.solve(sessions, new Set([constraint.type]));
+      if (result === 'unknown') this.exhaustive = false;
+      return result === 'sat';
+    });
+  }
+
+  /**
+   * Build the stored conflict set, with a readable explanation
+   */
+  describeSet(sessions) {
+    const constraints = this.findConstraints(sessions);
+    const types = new Set(constraints.map(c => c.type));
+
+    // The most constrained session is the one that cannot be placed
+    const [victim, ...others] = [...sessions].sort(
+      (a, b) => this.getDomain(a).length - this.getDomain(b).length
+    );
+
+    const resources = this.getResources(victim);
+    const rooms = [...resources.rooms].map(id => this.roomMap.get(id).roomNumber);
+    const faculty = [...resources.faculty].map(id => this.facultyMap.get(id).name);
+    const days = DAY_ORDER.filter(d => resources.days.has(d));
+
+    const message = others.length === 0
+      ? this.explainUnplaceable(victim, types)
+      : this.explainCompetition(victim, others, types, resources, days);
+
+    return {
+      message,
+      entities: sessions.map(s => ({
+        courseCode: s.course.courseCode,
+        section: s.section.sectionName,
+        sessionType: s.sessionType,
+        sessionIndex: s.sessionIndex
+      })),
+      constraints,
+      resources: { rooms, faculty, days }
+    };
+  }
+
+  explainUnplaceable(session, types) {
+    const { course, section, sessionType } = session;
+    const reasons = [];
+
+    if (types.has('faculty_qualification')) {
+      reasons.push(`no active faculty can teach ${course.courseCode}`);
+    }
+    if (types.has('faculty_assignment')) {
+      reasons.push('its pre-assigned faculty cannot take it');
+    }
+    if (types.has('faculty_availability')) {
+      reasons.push(`no eligible faculty is available for any ${this.describeLength(session)}`);
+    }
+    if (types.has('room_type')) {
+      reasons.push(`there is no ${this.describeRoomKind(session)}`);
+    }
+    if (types.has('room_capacity')) {
+      reasons.push(`no ${this.describeRoomKind(session)} holds ${section.strength} students`);
+    }
+    if (reasons.length === 0) {
+      reasons.push('its room, faculty and time slot requirements exclude every placement');
+    }
+
+    return `${this.label(session)} cannot be scheduled: ${reasons.join('; ')}`;
+  }
+
+  explainCompetition(victim, others, types, resources, days) {
+    const needs = [`a ${this.describeRoomKind(victim)}`];
+    if (victim.consecutiveSlots > 1) {
+      needs.push(`for ${victim.consecutiveSlots} consecutive slots`);
+    }
+    if (resources.faculty.size === 1) {
+      needs.push(`with ${this.facultyMap.get([...resources.faculty][0]).name}`);
+    }
+    if (days.length < DAY_ORDER.length) {
+      needs.push(this.describeDays(days));
+    }
+
+    const reasons = [];
+
+    const roomRivals = others.filter(o => [...this.getResources(o).rooms].some(r => resources.rooms.has(r)));
+    if (types.has('room_double_booking') && roomRivals.length > 0) {
+      reasons.push(`${this.describeRooms(victim, resources.rooms)} booked by ${this.labelList(roomRivals)}`);
+    }
+
+    const facultyRivals = others.filter(o => [...this.getResources(o).faculty].some(f => resources.faculty.has(f)));
+    if (types.has('faculty_double_booking') && facultyRivals.length > 0) {
+      const who = resources.faculty.size === 1
+        ? this.facultyMap.get([...resources.faculty][0]).name
+        : 'every eligible faculty member';
+      reasons.push(`${who} is also needed for ${this.labelList(facultyRivals)}`);
+    }
+
+    const sectionRivals = others.filter(o => o.section.sectionName === victim.section.sectionName);
+    if (types.has('section_conflict') && sectionRivals.length > 0) {
+      reasons.push(`section ${victim.section.sectionName} also attends ${this.labelList(sectionRivals)}`);
+    }
+
+    if (reasons.length === 0) {
+      reasons.push(`it cannot be placed alongside ${this.labelList(others)}`);
+    }
+
+    return `${this.label(victim)} needs ${needs.join(' ')}, but ${reasons.join(', and ')}`;
+  }
+
+  describeRoomKind(session) {
+    if (session.sessionType === 'lab') {
+      const labType = getRequiredLabType(session.course);
+      return labType && labType !== 'general' ? `${labType} lab` : 'lab';
+    }
+    return 'classroom';
+  }
+
+  describeRooms(session, roomIds) {
+    const kind = this.describeRoomKind(session);
+    const numbers = [...roomIds].map(id => this.roomMap.get(id).roomNumber);
+
+    if (numbers.length === 1) return `the only suitable ${kind} (${numbers[0]}) is`;
+    if (numbers.length === 2) return `both suitable ${kind}s (${numbers.join(', ')}) are`;
+    return `all ${numbers.length} suitable ${kind}s are`;
+  }
+
+  describeLength(session) {
+    return session.consecutiveSlots > 1
+      ? `block of ${session.consecutiveSlots} consecutive slots`
+      : 'time slot';
+  }
+
+  /**
+   * "on Monday", "on Monday, Wednesday", or "Thursday–Friday" for a run of days
+   */
+  describeDays(days) {
+    const indexes = days.map(d => DAY_ORDER.indexOf(d));
+
+    if (days.length > 1 && indexes[indexes.length - 1] - indexes[0] === days.length - 1) {
+      return `${days[0]}–${days[days.length - 1]}`;
+    }
+    return `on ${days.join(', ')}`;
+  }
+
+  label(session) {
+    return `${session.course.courseCode} section ${session.section.sectionName} ${session.sessionType}`;
+  }
+
+  /**
+   * Labels of several sessions, repeated sessions of a group counted once
+   */
+  labelList(sessions) {
+    const counts = new Map();
+    for (const session of sessions) {
+      const label = this.label(session);
+      counts.set(label, (counts.get(label) || 0) + 1);
+    }
+
+    return [...counts].map(([label, count]) => count > 1 ? `${label} (x${count})` : label).join(', ');
+  }
+}
+
+export default InfeasibilityDiagnoser;
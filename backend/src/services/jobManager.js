@@ -0,0 +1,212 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import RunControl from './runControl.js';
+import workerConfig from '../config/workers.js';
+
+// How long finished jobs stay queryable before they are dropped from memory
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+
+/**
+ * In-memory queue for long running schedule generation jobs.
+ *
+ * Jobs are executed outside of the HTTP request that created them; clients
+ * poll the job (or the schedule) to follow its state.
+ */
+class JobManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    // Every open progress stream subscribes to job events
+    this.setMaxListeners(0);
+
+    this.concurrency = options.concurrency || 1;
+    this.retentionMs = options.retentionMs || DEFAULT_RETENTION_MS;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Queue a task for a schedule. The task receives the job, a
+   * `reportProgress` function and the job's RunControl, and should resolve
+   * with the job result.
+   */
+  enqueue(scheduleId, task) {
+    const job = {
+      id: uuidv4(),
+      scheduleId: scheduleId.toString(),
+      state: 'queued',
+      generation: 0,
+      maxGenerations: null,
+      bestFitness: null,
+      hardViolations: null,
+      eta: null,
+      errors: [],
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    };
+
+    this.jobs.set(job.id, { job, task, control: new RunControl() });
+    this.queue.push(job.id);
+
+    // Start on the next tick so the caller can respond before work begins
+    setImmediate(() => this.processQueue());
+
+    return job;
+  }
+
+  /**
+   * Start queued jobs while there is spare capacity
+   */
+  processQueue() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const jobId = this.queue.shift();
+      this.runJob(jobId);
+    }
+  }
+
+  /**
+   * Execute a single job and record its outcome
+   */
+  async runJob(jobId) {
+    const { job, task, control } = this.jobs.get(jobId);
+
+    this.running++;
+    job.state = 'running';
+    job.startedAt = new Date();
+    this.emit('started', job);
+
+    try {
+      job.result = await task(job, (progress) => this.updateProgress(jobId, progress), control);
+      job.state = control.cancelled ? 'cancelled' : 'succeeded';
+    } catch (error) {
+      console.error(`Job ${jobId} failed:`, error);
+      job.state = 'failed';
+      job.errors.push(error.message);
+    } finally {
+      job.finishedAt = new Date();
+      this.running--;
+      this.emit('finished', job);
+      this.scheduleCleanup(jobId);
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Cancel a job. Queued jobs are dropped, running jobs stop after the
+   * current generation and keep their best result so far.
+   */
+  cancel(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry) return false;
+
+    const { job, control } = entry;
+
+    if (job.state === 'queued') {
+      this.queue = this.queue.filter(id => id !== jobId);
+      control.cancel();
+      job.state = 'cancelled';
+      job.finishedAt = new Date();
+      this.emit('finished', job);
+      this.scheduleCleanup(jobId);
+      return true;
+    }
+
+    if (job.state === 'running' || job.state === 'paused') {
+      return control.cancel();
+    }
+
+    return false;
+  }
+
+  pause(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry || entry.job.state !== 'running') return false;
+
+    entry.control.pause();
+    entry.job.state = 'paused';
+    this.emit('paused', entry.job);
+    return true;
+  }
+
+  resume(jobId) {
+    const entry = this.jobs.get(jobId);
+    if (!entry || entry.job.state !== 'paused') return false;
+
+    entry.control.resume();
+    entry.job.state = 'running';
+    this.emit('resumed', entry.job);
+    return true;
+  }
+
+  /**
+   * Record generation progress reported by a running job
+   */
+  updateProgress(jobId, progress) {
+    const entry = this.jobs.get(jobId);
+    if (!entry) return;
+
+    const { job } = entry;
+    job.generation = progress.generation;
+    job.maxGenerations = progress.maxGenerations;
+    job.bestFitness = progress.bestFitness;
+    job.hardViolations = progress.hardViolations;
+    job.eta = this.estimateRemaining(job);
+
+    this.emit('progress', job, progress);
+  }
+
+  /**
+   * Estimate seconds left from the average time per generation so far
+   */
+  estimateRemaining(job) {
+    if (!job.startedAt || !job.maxGenerations || job.generation <= 0) {
+      return null;
+    }
+
+    const elapsed = (Date.now() - job.startedAt.getTime()) / 1000;
+    const perGeneration = elapsed / job.generation;
+    return Math.round(perGeneration * (job.maxGenerations - job.generation));
+  }
+
+  /**
+   * Forget a finished job once its retention period has passed
+   */
+  scheduleCleanup(jobId) {
+    const timer = setTimeout(() => this.jobs.delete(jobId), this.retentionMs);
+    timer.unref();
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId)?.job || null;
+  }
+
+  findByScheduleId(scheduleId) {
+    const id = scheduleId.toString();
+    for (const { job } of this.jobs.values()) {
+      if (job.scheduleId === id) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Public view of a job, without the task result payload
+   */
+  serialize(job) {
+    const { result, ...rest } = job;
+    return {
+      ...rest,
+      queuePosition: job.state === 'queued' ? this.queue.indexOf(job.id) + 1 : null
+    };
+  }
+}
+
+const jobManager = new JobManager({
+  concurrency: workerConfig.maxConcurrentGenerations
+});
+
+export { JobManager };
+export default jobManager;
@@ -0,0 +1,54 @@
+import TimeSlot from '../models/TimeSlot.js';
+import Constraint from '../models/Constraint.js';
+import Schedule from '../models/Schedule.js';
+
+/**
+ * Data fixes run once the database is connected, before the server takes
+ * requests. Every step is idempotent, so they simply run on each start.
+ */
+
+const MIGRATIONS = [
+  {
+    name: 'timeslot-grid-index',
+    // Slots became unique per grid; the old { day, slotNumber } unique
+    // index would reject the second grid's slots
+    run: async () => {
+      const dropped = await TimeSlot.syncIndexes();
+      return dropped.length > 0 ? `dropped index(es) ${dropped.join(', ')}` : null;
+    }
+  },
+  {
+    name: 'constraint-codes',
+    // Constraints saved before evaluator codes existed are only evaluated
+    // once they have one; defaults are recognised by name
+    run: async () => {
+      let updated = 0;
+      for (const { name, code } of Constraint.getDefaultConstraints()) {
+        const result = await Constraint.updateMany({ name, code: null }, { $set: { code } });
+        updated += result.modifiedCount;
+      }
+      return updated > 0 ? `set the code of ${updated} default constraint(s)` : null;
+    }
+  },
+  {
+    name: 'interrupted-generations',
+    // Generation jobs live in memory, so none survives a restart; without
+    // this their schedules would report a running job forever
+    run: async () => {
+      const result = await Schedule.updateMany(
+        { status: 'generating' },
+        { $set: { status: 'failed', generationError: 'Generation was interrupted by a server restart' } }
+      );
+      return result.modifiedCount > 0 ? `marked ${result.modifiedCount} schedule(s) as failed` : null;
+    }
+  }
+];
+
+export async function runMigrations() {
+  for (const migration of MIGRATIONS) {
+    const result = await migration.run();
+    if (result) {
+      console.log(`Migration ${migration.name}: ${result}`);
+    }
+  }
+}
@@ -0,0 +1,167 @@
+import Schedule from '../models/Schedule.js';
+import { createVersion, makeCurrent } from './scheduleVersions.js';
+
+/**
+ * Review and publishing lifecycle of a schedule:
+ *
+ *   draft/completed -> under_review -> approved -> published -> archived
+ *
+ * A reviewer can send a schedule under review (or approved but not yet
+ * published) back to draft. Each action lists the roles allowed to take it;
+ * admins can take every action.
+ */
+export const TRANSITIONS = {
+  submit: { from: ['draft', 'completed'], to: 'under_review', roles: ['coordinator', 'admin'] },
+  approve: { from: ['under_review'], to: 'approved', roles: ['reviewer', 'admin'] },
+  reject: { from: ['under_review', 'approved'], to: 'draft', roles: ['reviewer', 'admin'] },
+  publish: { from: ['approved'], to: 'published', roles: ['admin'] },
+  archive: { from: ['published'], to: 'archived', roles: ['admin'] }
+};
+
+export class WorkflowError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'WorkflowError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * Apply a workflow action to a schedule document and save it.
+ *
+ * Publishing with unresolved critical conflicts needs an `overrideReason`,
+ * and archives whatever was published before for the same department,
+ * academic year and semester. Once a version of the lineage has been
+ * published, publishing again saves a new 'republished' version and makes
+ * it current, so every publication stays as it was. Resolves to
+ * `{ schedule, archived }`, `schedule` being the version that changed.
+ */
+export async function transitionSchedule(schedule, action, { userId, role, note = '', overrideReason = '' } = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new WorkflowError(`Unknown workflow action ${action}`, 400);
+  }
+
+  if (!transition.roles.includes(role)) {
+    throw new WorkflowError(
+      `Only ${transition.roles.join(' or ')} users can ${action} a schedule`,
+      403
+    );
+  }
+
+  if (!transition.from.includes(schedule.status)) {
+    throw new WorkflowError(
+      `Cannot ${action} a schedule that is ${schedule.status}; it must be ${transition.from.join(' or ')}`
+    );
+  }
+
+  if (['submit', 'publish'].includes(action) && schedule.isCurrent === false) {
+    throw new WorkflowError(`Only the current version can be ${action === 'submit' ? 'submitted for review' : 'published'}`);
+  }
+
+  const at = new Date();
+  let archived = [];
+
+  if (action === 'publish') {
+    const critical = schedule.conflicts.filter(c => c.severity === 'critical' && !c.resolved);
+
+    if (critical.length > 0 && !overrideReason.trim()) {
+      throw new WorkflowError(
+        `${critical.length} unresolved critical conflict(s) remain; resolve them or provide an overrideReason`,
+        409,
+        { conflicts: critical }
+      );
+    }
+
+    if (await hasPublishedVersion(schedule)) {
+      schedule = await createVersion(schedule, {
+        changeType: 'republished',
+        changeSummary: `Republished version ${schedule.version}`,
+        createdBy: userId
+      });
+    }
+
+    if (critical.length > 0) {
+      schedule.publishOverride = {
+        reason: overrideReason.trim(),
+        conflictCount: critical.length,
+        by: userId,
+        at
+      };
+    }
+
+    archived = await archivePublished(schedule, userId, at);
+    schedule.publishedAt = at;
+    schedule.publishedBy = userId;
+  }
+
+  if (action === 'archive') {
+    schedule.archivedAt = at;
+  }
+
+  schedule.workflowHistory.push({
+    action,
+    from: schedule.status,
+    to: transition.to,
+    by: userId,
+    role,
+    note,
+    at
+  });
+  schedule.status = transition.to;
+  await schedule.save();
+
+  if (action === 'publish' && !schedule.isCurrent) {
+    await makeCurrent(schedule);
+  }
+
+  return { schedule, archived };
+}
+
+/**
+ * Whether a version of the schedule's lineage has been published before
+ */
+async function hasPublishedVersion(schedule) {
+  const lineageId = schedule.lineageId || schedule._id;
+
+  return Boolean(await Schedule.exists({
+    $or: [{ lineageId }, { _id: lineageId }],
+    publishedAt: { $ne: null }
+  }));
+}
+
+/**
+ * Archive the other published schedules of the same term and department
+ */
+async function archivePublished(schedule, userId, at) {
+  const previous = await Schedule.find({
+    _id: { $ne: schedule._id },
+    department: schedule.department,
+    academicYear: schedule.academicYear,
+    semester: schedule.semester,
+    status: 'published'
+  }).select('_id name version');
+
+  if (previous.length === 0) return [];
+
+  await Schedule.updateMany(
+    { _id: { $in: previous.map(s => s._id) } },
+    {
+      status: 'archived',
+      archivedAt: at,
+      $push: {
+        workflowHistory: {
+          action: 'archive',
+          from: 'published',
+          to: 'archived',
+          by: userId,
+          note: `Superseded by ${schedule.name} (version ${schedule.version})`,
+          at
+        }
+      }
+    }
+  );
+
+  return previous.map(s => ({ id: s._id, name: s.name, version: s.version }));
+}
@@ -0,0 +1,98 @@
+/**
+ * Seedable pseudo-random number generators for the optimizer.
+ *
+ * Each factory takes a 32-bit unsigned seed and returns a function producing
+ * floats in [0, 1), so it can be used anywhere `Math.random` was.
+ *
+ * The set is fixed: the GA runs in worker threads, each with its own copy
+ * of this module, so generators have to be defined here to be usable by
+ * name (`optimizationConfig.prng`).
+ */
+
+/**
+ * Mulberry32 - small, fast 32-bit generator
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * SFC32 - 128-bit state generator, seeded from a single 32-bit value
+ */
+function sfc32(seed) {
+  let a = 0x9E3779B9;
+  let b = 0x243F6A88;
+  let c = 0xB7E15162;
+  let d = seed >>> 0;
+
+  const next = () => {
+    a >>>= 0; b >>>= 0; c >>>= 0; d >>>= 0;
+    let t = (a + b) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    d = (d + 1) | 0;
+    t = (t + d) | 0;
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+
+  // Discard the first outputs so similar seeds diverge
+  for (let i = 0; i < 12; i++) next();
+  return next;
+}
+
+const generators = new Map([
+  ['mulberry32', mulberry32],
+  ['sfc32', sfc32]
+]);
+
+export const DEFAULT_PRNG = 'mulberry32';
+
+export function getPrngNames() {
+  return Array.from(generators.keys());
+}
+
+/**
+ * Turn a numeric or string seed into a 32-bit unsigned integer
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  let hash = 0x811C9DC5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick a fresh seed for runs that did not ask for one
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Create a generator function for a seed
+ */
+export function createRng(seed, name = DEFAULT_PRNG) {
+  const factory = generators.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown PRNG "${name}". Available: ${getPrngNames().join(', ')}`);
+  }
+
+  return factory(normalizeSeed(seed));
+}
@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import { createRng, normalizeSeed, getPrngNames } from './random.js';
+import GeneticAlgorithm from './genericAlgorithm.js';
+
+const draw = (rng, count = 20) => Array.from({ length: count }, () => rng());
+
+describe('createRng', () => {
+  test.each(getPrngNames())('%s repeats its sequence for the same seed', name => {
+    expect(draw(createRng(42, name))).toEqual(draw(createRng(42, name)));
+  });
+
+  test.each(getPrngNames())('%s gives different sequences for nearby seeds', name => {
+    expect(draw(createRng(1, name))).not.toEqual(draw(createRng(2, name)));
+  });
+
+  test.each(getPrngNames())('%s returns floats in [0, 1)', name => {
+    for (const value of draw(createRng(7, name), 200)) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('string seeds hash to a stable 32-bit seed', () => {
+    expect(normalizeSeed('spring-2025')).toBe(normalizeSeed('spring-2025'));
+    expect(normalizeSeed('spring-2025')).not.toBe(normalizeSeed('spring-2026'));
+    expect(draw(createRng('spring-2025'))).toEqual(draw(createRng(normalizeSeed('spring-2025'))));
+  });
+
+  test('numeric seeds are truncated to unsigned 32 bits', () => {
+    expect(normalizeSeed(-1)).toBe(4294967295);
+    expect(normalizeSeed(12.9)).toBe(12);
+  });
+
+  test('rejects an unknown generator', () => {
+    expect(() => createRng(1, 'xorshift')).toThrow('Unknown PRNG "xorshift"');
+  });
+});
+
+describe('seeded GeneticAlgorithm runs', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  const makeData = () => {
+    const timeSlots = [];
+    for (const day of ['Monday', 'Tuesday']) {
+      ['09:00', '10:00', '11:00', '12:00'].forEach((startTime, i) => timeSlots.push({
+        _id: `${day}-${i + 1}`,
+        day,
+        slotNumber: i + 1,
+        startTime,
+        endTime: `${String(10 + i).padStart(2, '0')}:00`,
+        duration: 60,
+        slotType: 'regular',
+        isActive: true
+      }));
+    }
+
+    const courses = ['CS101', 'CS102'].map((courseCode, i) => ({
+      _id: `course-${i}`,
+      courseCode,
+      courseName: courseCode,
+      department: 'CSE',
+      type: 'theory',
+      theoryHours: { hoursPerWeek: 3, sessionDuration: 1 },
+      labHours: { hoursPerWeek: 0 },
+      sections: [{ sectionName: 'A', strength: 40, assignedFaculty: {} }],
+      roomRequirements: { theory: {}, lab: {} },
+      constraints: { preferredDays: [] },
+      isActive: true
+    }));
+
+    const faculty = ['F1', 'F2'].map((facultyId, i) => ({
+      _id: `faculty-${i}`,
+      facultyId,
+      name: `Prof ${facultyId}`,
+      subjects: courses.map(course => ({ courseId: course._id, courseName: course.courseName, canTeach: true })),
+      availability: {},
+      workload: { maxHoursPerWeek: 18, minHoursPerWeek: 0 },
+      preferences: {},
+      isActive: true
+    }));
+
+    const rooms = ['R101', 'R102'].map((roomNumber, i) => ({
+      _id: `room-${i}`,
+      roomNumber,
+      capacity: 60,
+      type: 'classroom',
+      facilities: {},
+      isActive: true
+    }));
+
+    const constraints = [
+      { name: 'No Faculty Double Booking', code: 'faculty_double_booking', type: 'hard', weight: 100, isActive: true },
+      { name: 'No Student Section Conflict', code: 'section_conflict', type: 'hard', weight: 100, isActive: true },
+      { name: 'Minimize Student Gaps', code: 'student_gaps', type: 'soft', weight: 50, isActive: true }
+    ];
+
+    return { courses, faculty, rooms, timeSlots, constraints };
+  };
+
+  const run = async seed => {
+    const ga = new GeneticAlgorithm({ populationSize: 12, maxGenerations: 8, seed });
+    ga.initialize(makeData());
+    return ga.optimize();
+  };
+
+  test('the same seed produces the same schedule', async () => {
+    const [first, second] = [await run(1234), await run(1234)];
+
+    expect(first.seed).toBe(1234);
+    expect(first.schedule.genes).toHaveLength(6);
+    expect(second.schedule.genes).toEqual(first.schedule.genes);
+    expect(second.schedule.fitness).toBe(first.schedule.fitness);
+    expect(second.generations.map(g => g.bestFitness)).toEqual(first.generations.map(g => g.bestFitness));
+  });
+});
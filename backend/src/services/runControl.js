@@ -0,0 +1,53 @@
+import { EventEmitter, once } from 'events';
+
+/**
+ * Pause/resume/cancel signals for a running optimization.
+ *
+ * The GA calls `checkpoint()` between generations; it yields to the event
+ * loop so control requests can arrive, and blocks while the run is paused.
+ */
+class RunControl extends EventEmitter {
+  constructor() {
+    super();
+    this.paused = false;
+    this.cancelled = false;
+  }
+
+  pause() {
+    if (this.cancelled || this.paused) return false;
+    this.paused = true;
+    this.emit('pause');
+    this.emit('change');
+    return true;
+  }
+
+  resume() {
+    if (this.cancelled || !this.paused) return false;
+    this.paused = false;
+    this.emit('resume');
+    this.emit('change');
+    return true;
+  }
+
+  cancel() {
+    if (this.cancelled) return false;
+    this.cancelled = true;
+    this.paused = false;
+    this.emit('cancel');
+    this.emit('change');
+    return true;
+  }
+
+  /**
+   * Yield between generations and wait here while paused
+   */
+  async checkpoint() {
+    await new Promise(resolve => setImmediate(resolve));
+
+    while (this.paused && !this.cancelled) {
+      await once(this, 'change');
+    }
+  }
+}
+
+export default RunControl;
@@ -0,0 +1,336 @@
+import FitnessCalculator from './fitnessCalculator.js';
+import { getOccupiedSlots } from './timeSlotUtils.js';
+import { diffSchedules } from './scheduleDiff.js';
+import { entryToGene } from './courseRequirements.js';
+import {
+  assignEntryKeys,
+  calculateWorkloadDistribution,
+  calculateRoomUtilization
+} from './scheduleGenerator.js';
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Compares two schedules entry by entry.
+ *
+ * Both schedules are scored with the same FitnessCalculator against the
+ * current constraints, so penalties are comparable even when the stored
+ * metrics were computed under different settings. Every `change` in the
+ * result is schedule2 minus schedule1.
+ */
+class ScheduleComparator {
+  constructor(weights = {}) {
+    this.fitnessCalculator = new FitnessCalculator(weights);
+  }
+
+  /**
+   * Compare two plain schedules. `firstData` and `secondData` hold the plain
+   * courses, faculty, rooms, timeSlots and constraints of each schedule's
+   * department (the same object when both are from one department).
+   */
+  compare(first, second, firstData, secondData = firstData) {
+    const firstEntries = assignEntryKeys(first.entries);
+    const secondEntries = assignEntryKeys(second.entries);
+
+    const firstFitness = this.score(firstEntries, firstData);
+    const secondFitness = this.score(secondEntries, secondData);
+
+    const entries = diffSchedules(firstEntries, secondEntries);
+    const changedKeys = new Set(
+      [...entries.added, ...entries.removed, ...entries.moved, ...entries.facultyChanged]
+        .map(change => change.entryKey)
+    );
+
+    return {
+      schedule1: this.describe(first, firstFitness),
+      schedule2: this.describe(second, secondFitness),
+      differences: {
+        fitness: secondFitness.fitness - firstFitness.fitness,
+        hardViolations: secondFitness.hardViolations - firstFitness.hardViolations,
+        softViolations: secondFitness.softViolations - firstFitness.softViolations,
+        softPenalty: softPenaltyOf(secondFitness) - softPenaltyOf(firstFitness)
+      },
+      recommendation: this.recommend(firstFitness, secondFitness),
+      entries,
+      faculty: this.compareHours(
+        firstEntries, secondEntries, changedKeys,
+        entry => entry.faculty.toString(),
+        entry => ({ faculty: entry.faculty, facultyName: entry.facultyName })
+      ),
+      sections: this.compareHours(
+        firstEntries, secondEntries, changedKeys,
+        entry => entry.section,
+        entry => ({ section: entry.section })
+      ),
+      constraints: this.compareConstraints(firstFitness.details, secondFitness.details),
+      workload: this.compareRows(
+        calculateWorkloadDistribution(firstEntries, firstData.faculty),
+        calculateWorkloadDistribution(secondEntries, secondData.faculty),
+        row => row.facultyId.toString(),
+        row => ({ facultyId: row.facultyId, facultyName: row.facultyName }),
+        ['assignedHours', 'utilizationPercentage']
+      ),
+      roomUtilization: this.compareRows(
+        calculateRoomUtilization(firstEntries, firstData.rooms, firstData.timeSlots),
+        calculateRoomUtilization(secondEntries, secondData.rooms, secondData.timeSlots),
+        row => row.roomId.toString(),
+        row => ({ roomId: row.roomId, roomNumber: row.roomNumber }),
+        ['hoursBooked', 'utilizationPercentage']
+      )
+    };
+  }
+
+  score(entries, data) {
+    return this.fitnessCalculator.calculate(
+      { genes: entries.map(entry => entryToGene(entry)) },
+      data.courses,
+      data.faculty,
+      data.rooms,
+      data.constraints,
+      data.timeSlots
+    );
+  }
+
+  describe(schedule, fitness) {
+    return {
+      id: schedule._id,
+      name: schedule.name,
+      version: schedule.version,
+      entries: schedule.entries.length,
+      fitness: fitness.fitness,
+      hardViolations: fitness.hardViolations,
+      softViolations: fitness.softViolations,
+      softPenalty: softPenaltyOf(fitness),
+      conflicts: schedule.conflicts?.length || 0
+    };
+  }
+
+  /**
+   * The schedule with fewer hard violations, then the lower soft penalty,
+   * or 'tie'. Fitness itself is floored at 0, so it cannot tell apart two
+   * schedules with many hard violations.
+   */
+  recommend(firstFitness, secondFitness) {
+    const order = (secondFitness.hardViolations - firstFitness.hardViolations) ||
+      (softPenaltyOf(secondFitness) - softPenaltyOf(firstFitness));
+
+    if (order === 0) return 'tie';
+    return order > 0 ? 'schedule1' : 'schedule2';
+  }
+
+  /**
+   * Hours per group (faculty member or section) in each schedule, and how
+   * many of those hours belong to sessions that were added, removed, moved
+   * or reassigned. Groups without any changed hours are left out.
+   */
+  compareHours(firstEntries, secondEntries, changedKeys, groupOf, describeGroup) {
+    const groups = new Map();
+
+    const tally = (entries, field) => {
+      for (const entry of entries) {
+        const key = groupOf(entry);
+        if (!groups.has(key)) {
+          groups.set(key, {
+            ...describeGroup(entry),
+            schedule1Hours: 0,
+            schedule2Hours: 0,
+            changedHours: 0,
+            changedEntries: new Set()
+          });
+        }
+
+        const group = groups.get(key);
+        group[field] += entry.duration || 1;
+
+        if (changedKeys.has(entry.entryKey) && !group.changedEntries.has(entry.entryKey)) {
+          group.changedEntries.add(entry.entryKey);
+          group.changedHours += entry.duration || 1;
+        }
+      }
+    };
+
+    tally(firstEntries, 'schedule1Hours');
+    tally(secondEntries, 'schedule2Hours');
+
+    return [...groups.values()]
+      .filter(group => group.changedHours > 0)
+      .map(({ changedEntries, ...group }) => ({
+        ...group,
+        change: group.schedule2Hours - group.schedule1Hours,
+        changedEntries: [...changedEntries]
+      }))
+      .sort((a, b) => b.changedHours - a.changedHours);
+  }
+
+  /**
+   * Penalty per fitness constraint type in each schedule
+   */
+  compareConstraints(firstDetails, secondDetails) {
+    const rows = new Map();
+
+    const tally = (details, field) => {
+      for (const [kind, list] of [['hard', details.hardConstraints], ['soft', details.softConstraints]]) {
+        for (const item of list) {
+          if (!rows.has(item.type)) {
+            rows.set(item.type, { type: item.type, kind, schedule1Penalty: 0, schedule2Penalty: 0 });
+          }
+          rows.get(item.type)[field] += item.penalty;
+        }
+      }
+    };
+
+    tally(firstDetails, 'schedule1Penalty');
+    tally(secondDetails, 'schedule2Penalty');
+
+    return [...rows.values()]
+      .map(row => ({ ...row, change: row.schedule2Penalty - row.schedule1Penalty }))
+      .sort((a, b) => a.kind.localeCompare(b.kind) || Math.abs(b.change) - Math.abs(a.change));
+  }
+
+  /**
+   * Matches rows of two distributions by key and reports the change in each
+   * of `fields`; rows that did not change are left out
+   */
+  compareRows(firstRows, secondRows, keyOf, describeRow, fields) {
+    const rows = new Map();
+
+    for (const row of firstRows) {
+      rows.set(keyOf(row), { ...describeRow(row), schedule1: pick(row, fields), schedule2: zero(fields) });
+    }
+    for (const row of secondRows) {
+      const existing = rows.get(keyOf(row)) ||
+        { ...describeRow(row), schedule1: zero(fields) };
+      existing.schedule2 = pick(row, fields);
+      rows.set(keyOf(row), existing);
+    }
+
+    return [...rows.values()]
+      .map(row => ({
+        ...row,
+        change: Object.fromEntries(fields.map(f => [f, row.schedule2[f] - row.schedule1[f]]))
+      }))
+      .filter(row => fields.some(f => row.change[f] !== 0));
+  }
+
+  /**
+   * Plain-text timetables of both schedules next to each other, one table
+   * per section (or for the given section, faculty member or room). Each
+   * schedule is drawn on its own time slots, with rows matched by time; a
+   * blank cell is a time its grid has no slot for. Rows whose cells differ
+   * are marked with `*`.
+   */
+  renderGrid(first, second, firstSlots, secondSlots = firstSlots, { section, faculty, room } = {}) {
+    let views;
+
+    if (faculty) {
+      views = [{ title: `Faculty ${faculty}`, matches: e => e.faculty.toString() === faculty.toString() }];
+    } else if (room) {
+      views = [{
+        title: `Room ${room}`,
+        matches: e => e.room.toString() === room.toString() || e.roomNumber === room
+      }];
+    } else {
+      const sections = section
+        ? [section]
+        : [...new Set([...first.entries, ...second.entries].map(e => e.section))].sort();
+      views = sections.map(name => ({ title: `Section ${name}`, matches: e => e.section === name }));
+    }
+
+    const headers = [labelOf(first), labelOf(second)];
+
+    return views
+      .map(view => this.renderView(
+        view.title,
+        headers,
+        first.entries.filter(view.matches),
+        second.entries.filter(view.matches),
+        [firstSlots, secondSlots]
+      ))
+      .join('\n\n');
+  }
+
+  renderView(title, headers, firstEntries, secondEntries, slotLists) {
+    const cellMaps = [buildCells(firstEntries), buildCells(secondEntries)];
+    const rows = [];
+
+    const days = DAYS.filter(day => slotLists.some(slots => slots.some(t => t.day === day)));
+    for (const day of days) {
+      // Slots of either grid per start-end time, [first, second]
+      const slotsByTime = new Map();
+      slotLists.forEach((slots, i) => {
+        for (const slot of slots.filter(t => t.day === day)) {
+          const label = `${slot.startTime}-${slot.endTime}`;
+          if (!slotsByTime.has(label)) slotsByTime.set(label, [null, null]);
+          slotsByTime.get(label)[i] = slot;
+        }
+      });
+
+      rows.push({ day });
+      for (const [label, slots] of [...slotsByTime].sort(([a], [b]) => a.localeCompare(b))) {
+        const cells = slots.map((slot, i) => {
+          if (!slot) return '';
+          const empty = ['lunch', 'break'].includes(slot.slotType) ? slot.slotType.toUpperCase() : '-';
+          return cellMaps[i].get(`${day}-${slot.slotNumber}`) || empty;
+        });
+        rows.push({ label, cells, changed: cells[0] !== cells[1] });
+      }
+    }
+
+    const labelWidth = Math.max(...rows.map(r => (r.label || r.day).length)) + 3;
+    const widths = [0, 1].map(i =>
+      Math.max(headers[i].length, ...rows.filter(r => r.cells).map(r => r.cells[i].length))
+    );
+
+    const line = (label, cells) =>
+      `${label.padEnd(labelWidth)}| ${cells[0].padEnd(widths[0])} | ${cells[1]}`.trimEnd();
+    const rule = `${'-'.repeat(labelWidth)}+${'-'.repeat(widths[0] + 2)}+${'-'.repeat(widths[1] + 1)}`;
+
+    const lines = [title, line('', headers), rule];
+    for (const row of rows) {
+      if (!row.cells) {
+        lines.push(row.day);
+        continue;
+      }
+      lines.push(line(`${row.changed ? '*' : ' '} ${row.label}`, row.cells));
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Text per occupied day/slot; clashing entries share a cell
+ */
+function buildCells(entries) {
+  const cells = new Map();
+
+  for (const entry of entries) {
+    const text = `${entry.courseCode} ${entry.sessionType === 'lab' ? 'Lab' : 'Th'} ` +
+      `${entry.section} ${entry.roomNumber || ''} ${entry.facultyName || ''}`.trim();
+
+    for (const slotNumber of getOccupiedSlots(entry.timeSlot)) {
+      const key = `${entry.day}-${slotNumber}`;
+      cells.set(key, cells.has(key) ? `${cells.get(key)} / ${text}` : text);
+    }
+  }
+
+  return cells;
+}
+
+function softPenaltyOf(fitness) {
+  return fitness.details.softConstraints.reduce((sum, item) => sum + item.penalty, 0);
+}
+
+function labelOf(schedule) {
+  return `${schedule.name} (v${schedule.version || 1})`;
+}
+
+function pick(row, fields) {
+  return Object.fromEntries(fields.map(f => [f, row[f] || 0]));
+}
+
+function zero(fields) {
+  return Object.fromEntries(fields.map(f => [f, 0]));
+}
+
+export default ScheduleComparator;
@@ -0,0 +1,145 @@
+import { getOccupiedSlots } from './timeSlotUtils.js';
+import { assignEntryKeys } from './scheduleGenerator.js';
+
+/**
+ * Entry-level difference between two versions of a schedule.
+ *
+ * Entries are matched by entryKey. A matched entry can be moved (day or
+ * slots changed) and/or have its faculty or room changed; pairs of entries
+ * that exchanged their time, faculty or room are also reported as swaps.
+ */
+export function diffSchedules(fromEntries, toEntries) {
+  const from = new Map(assignEntryKeys(fromEntries).map(e => [e.entryKey, e]));
+  const to = new Map(assignEntryKeys(toEntries).map(e => [e.entryKey, e]));
+
+  const diff = {
+    added: [],
+    removed: [],
+    moved: [],
+    facultyChanged: [],
+    roomChanged: [],
+    swaps: [],
+    unchanged: 0
+  };
+
+  for (const [entryKey, entry] of to) {
+    if (!from.has(entryKey)) diff.added.push(describeEntry(entry));
+  }
+
+  for (const [entryKey, before] of from) {
+    const after = to.get(entryKey);
+
+    if (!after) {
+      diff.removed.push(describeEntry(before));
+      continue;
+    }
+
+    let changed = false;
+
+    if (placementOf(before) !== placementOf(after)) {
+      diff.moved.push({ entryKey, ...describeSession(after), from: timeOf(before), to: timeOf(after) });
+      changed = true;
+    }
+
+    if (before.faculty.toString() !== after.faculty.toString()) {
+      diff.facultyChanged.push({
+        entryKey,
+        ...describeSession(after),
+        from: { faculty: before.faculty, facultyName: before.facultyName },
+        to: { faculty: after.faculty, facultyName: after.facultyName }
+      });
+      changed = true;
+    }
+
+    if (before.room.toString() !== after.room.toString()) {
+      diff.roomChanged.push({
+        entryKey,
+        ...describeSession(after),
+        from: { room: before.room, roomNumber: before.roomNumber },
+        to: { room: after.room, roomNumber: after.roomNumber }
+      });
+      changed = true;
+    }
+
+    if (!changed) diff.unchanged++;
+  }
+
+  diff.swaps = [
+    ...findSwaps(diff.moved, change => placementOf(change.from), change => placementOf(change.to), 'time'),
+    ...findSwaps(diff.facultyChanged, change => change.from.faculty.toString(), change => change.to.faculty.toString(), 'faculty'),
+    ...findSwaps(diff.roomChanged, change => change.from.room.toString(), change => change.to.room.toString(), 'room')
+  ];
+
+  diff.summary = {
+    added: diff.added.length,
+    removed: diff.removed.length,
+    moved: diff.moved.length,
+    facultyChanged: diff.facultyChanged.length,
+    roomChanged: diff.roomChanged.length,
+    swaps: diff.swaps.length,
+    unchanged: diff.unchanged
+  };
+
+  return diff;
+}
+
+/**
+ * Pairs of changes where each entry took the other's old value
+ */
+function findSwaps(changes, oldValue, newValue, kind) {
+  const swaps = [];
+  const paired = new Set();
+
+  changes.forEach((a, i) => {
+    if (paired.has(i)) return;
+
+    const j = changes.findIndex((b, k) =>
+      k > i && !paired.has(k) &&
+      newValue(a) === oldValue(b) && newValue(b) === oldValue(a)
+    );
+
+    if (j !== -1) {
+      paired.add(i);
+      paired.add(j);
+      swaps.push({ kind, entryKeys: [a.entryKey, changes[j].entryKey] });
+    }
+  });
+
+  return swaps;
+}
+
+function placementOf(entry) {
+  return `${entry.day}:${getOccupiedSlots(entry.timeSlot).join(',')}`;
+}
+
+function timeOf(entry) {
+  return {
+    day: entry.day,
+    timeSlot: {
+      slotNumber: entry.timeSlot.slotNumber,
+      slotNumbers: getOccupiedSlots(entry.timeSlot),
+      startTime: entry.timeSlot.startTime,
+      endTime: entry.timeSlot.endTime
+    }
+  };
+}
+
+function describeSession(entry) {
+  return {
+    courseCode: entry.courseCode,
+    section: entry.section,
+    sessionType: entry.sessionType
+  };
+}
+
+function describeEntry(entry) {
+  return {
+    entryKey: entry.entryKey,
+    ...describeSession(entry),
+    ...timeOf(entry),
+    faculty: entry.faculty,
+    facultyName: entry.facultyName,
+    room: entry.room,
+    roomNumber: entry.roomNumber
+  };
+}
@@ -0,0 +1,92 @@
+import { diffSchedules } from './scheduleDiff.js';
+
+const entry = (courseCode, sessionIndex, day, slotNumbers, overrides = {}) => ({
+  entryKey: `${courseCode}:A:theory:${sessionIndex}`,
+  sessionIndex,
+  courseCode,
+  section: 'A',
+  sessionType: 'theory',
+  day,
+  timeSlot: {
+    slotNumber: slotNumbers[0],
+    slotNumbers,
+    startTime: `${String(7 + slotNumbers[0]).padStart(2, '0')}:00`,
+    endTime: `${String(8 + slotNumbers[slotNumbers.length - 1]).padStart(2, '0')}:00`
+  },
+  faculty: 'f1',
+  facultyName: 'Prof One',
+  room: 'r1',
+  roomNumber: 'R101',
+  ...overrides
+});
+
+describe('diffSchedules', () => {
+  test('identical schedules have no changes', () => {
+    const entries = [entry('CS101', 0, 'Monday', [1]), entry('CS101', 1, 'Tuesday', [2])];
+    const diff = diffSchedules(entries, entries.map(e => ({ ...e })));
+
+    expect(diff.summary).toEqual({
+      added: 0, removed: 0, moved: 0, facultyChanged: 0, roomChanged: 0, swaps: 0, unchanged: 2
+    });
+  });
+
+  test('reports added, removed and moved entries', () => {
+    const diff = diffSchedules(
+      [entry('CS101', 0, 'Monday', [1]), entry('CS102', 0, 'Monday', [2])],
+      [entry('CS101', 0, 'Wednesday', [3, 4]), entry('CS103', 0, 'Friday', [1])]
+    );
+
+    expect(diff.added.map(e => e.entryKey)).toEqual(['CS103:A:theory:0']);
+    expect(diff.removed.map(e => e.entryKey)).toEqual(['CS102:A:theory:0']);
+    expect(diff.moved).toHaveLength(1);
+    expect(diff.moved[0].from).toMatchObject({ day: 'Monday', timeSlot: { slotNumbers: [1] } });
+    expect(diff.moved[0].to).toMatchObject({ day: 'Wednesday', timeSlot: { slotNumbers: [3, 4], startTime: '10:00', endTime: '12:00' } });
+  });
+
+  test('reports faculty and room changes on an entry that stayed put', () => {
+    const diff = diffSchedules(
+      [entry('CS101', 0, 'Monday', [1])],
+      [entry('CS101', 0, 'Monday', [1], { faculty: 'f2', facultyName: 'Prof Two', room: 'r2', roomNumber: 'R102' })]
+    );
+
+    expect(diff.moved).toEqual([]);
+    expect(diff.facultyChanged[0]).toMatchObject({
+      from: { faculty: 'f1', facultyName: 'Prof One' },
+      to: { faculty: 'f2', facultyName: 'Prof Two' }
+    });
+    expect(diff.roomChanged[0]).toMatchObject({
+      from: { roomNumber: 'R101' },
+      to: { roomNumber: 'R102' }
+    });
+    expect(diff.unchanged).toBe(0);
+  });
+
+  test('pairs entries that exchanged their time as a swap', () => {
+    const diff = diffSchedules(
+      [entry('CS101', 0, 'Monday', [1]), entry('CS102', 0, 'Tuesday', [3]), entry('CS103', 0, 'Friday', [1])],
+      [entry('CS101', 0, 'Tuesday', [3]), entry('CS102', 0, 'Monday', [1]), entry('CS103', 0, 'Friday', [2])]
+    );
+
+    expect(diff.moved).toHaveLength(3);
+    expect(diff.swaps).toEqual([{ kind: 'time', entryKeys: ['CS101:A:theory:0', 'CS102:A:theory:0'] }]);
+  });
+
+  test('pairs entries that exchanged their faculty as a swap', () => {
+    const diff = diffSchedules(
+      [entry('CS101', 0, 'Monday', [1]), entry('CS102', 0, 'Monday', [2], { faculty: 'f2' })],
+      [entry('CS101', 0, 'Monday', [1], { faculty: 'f2' }), entry('CS102', 0, 'Monday', [2])]
+    );
+
+    expect(diff.swaps).toEqual([{ kind: 'faculty', entryKeys: ['CS101:A:theory:0', 'CS102:A:theory:0'] }]);
+  });
+
+  test('gives entries saved without a key one before matching', () => {
+    const withoutKey = ({ entryKey, sessionIndex, ...rest }) => rest;
+    const diff = diffSchedules(
+      [withoutKey(entry('CS101', 0, 'Monday', [1]))],
+      [withoutKey(entry('CS101', 0, 'Monday', [2]))]
+    );
+
+    expect(diff.moved.map(change => change.entryKey)).toEqual(['CS101:A:theory:0']);
+  });
+});
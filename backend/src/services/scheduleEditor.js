@@ -0,0 +1,170 @@
+import { findBlockIssue } from './timeSlotUtils.js';
+import { getRequiredSessions, getEntryKey } from './courseRequirements.js';
+import { assignEntryKeys } from './scheduleGenerator.js';
+
+/**
+ * Manual edits to the entries of a schedule document.
+ *
+ * Each edit works on `schedule.entries` in place, using plain
+ * course/faculty/room/timeSlot data to resolve ids and slot times. Invalid
+ * requests throw a ScheduleEditError carrying the HTTP status to answer with.
+ */
+export class ScheduleEditError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ScheduleEditError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Move an entry to another day/slot and optionally another room or faculty
+ */
+export function moveEntry(schedule, { entryKey, day, slotNumber, room, faculty }, data) {
+  const entry = findEntry(schedule, entryKey);
+
+  if (day === undefined && slotNumber === undefined && !room && !faculty) {
+    throw new ScheduleEditError('Provide a day, slotNumber, room or faculty to move the entry to');
+  }
+
+  if (day !== undefined || slotNumber !== undefined) {
+    placeEntry(entry, day ?? entry.day, slotNumber ?? entry.timeSlot.slotNumber, data.timeSlots);
+  }
+  if (room) setRoom(entry, room, data.rooms);
+  if (faculty) setFaculty(entry, faculty, data.faculty);
+
+  return [entry];
+}
+
+/**
+ * Exchange the days and slots of two entries; rooms and faculty stay
+ */
+export function swapEntries(schedule, { entryKeys }, data) {
+  if (!Array.isArray(entryKeys) || entryKeys.length !== 2 || entryKeys[0] === entryKeys[1]) {
+    throw new ScheduleEditError('Provide two different entryKeys to swap');
+  }
+
+  const [first, second] = entryKeys.map(key => findEntry(schedule, key));
+  const firstPlacement = { day: first.day, slotNumber: first.timeSlot.slotNumber };
+
+  placeEntry(first, second.day, second.timeSlot.slotNumber, data.timeSlots);
+  placeEntry(second, firstPlacement.day, firstPlacement.slotNumber, data.timeSlots);
+
+  return [first, second];
+}
+
+/**
+ * Add an extra session for a course section
+ */
+export function addEntry(schedule, { courseCode, section, sessionType, day, slotNumber, room, faculty }, data) {
+  const course = data.courses.find(c => c.courseCode === courseCode);
+  if (!course) {
+    throw new ScheduleEditError(`Course ${courseCode} not found in department ${schedule.department}`, 404);
+  }
+
+  if (!course.sections.some(s => s.sectionName === section)) {
+    throw new ScheduleEditError(`Course ${courseCode} has no section ${section}`);
+  }
+
+  const session = getRequiredSessions(course).find(s => s.type === sessionType);
+  if (!session) {
+    throw new ScheduleEditError(`Course ${courseCode} has no ${sessionType} sessions`);
+  }
+
+  if (!day || slotNumber === undefined || !room || !faculty) {
+    throw new ScheduleEditError('day, slotNumber, room and faculty are required');
+  }
+
+  const usedIndexes = new Set(schedule.entries
+    .filter(e => e.courseCode === courseCode && e.section === section && e.sessionType === sessionType)
+    .map(e => e.sessionIndex));
+  let sessionIndex = 0;
+  while (usedIndexes.has(sessionIndex)) sessionIndex++;
+
+  const entry = {
+    course: course._id,
+    courseCode: course.courseCode,
+    courseName: course.courseName,
+    sessionType,
+    section,
+    duration: session.duration,
+    consecutiveSlots: session.consecutiveSlots,
+    sessionIndex,
+    entryKey: getEntryKey({ courseCode, section, sessionType }, sessionIndex)
+  };
+
+  placeEntry(entry, day, slotNumber, data.timeSlots);
+  setRoom(entry, room, data.rooms);
+  setFaculty(entry, faculty, data.faculty);
+
+  schedule.entries.push(entry);
+  return [schedule.entries[schedule.entries.length - 1]];
+}
+
+/**
+ * Remove an entry from the schedule
+ */
+export function removeEntry(schedule, { entryKey }) {
+  const entry = findEntry(schedule, entryKey);
+  schedule.entries.pull(entry);
+  return [entry];
+}
+
+function findEntry(schedule, entryKey) {
+  if (!entryKey) {
+    throw new ScheduleEditError('entryKey is required');
+  }
+
+  const entry = assignEntryKeys(schedule.entries).find(e => e.entryKey === entryKey);
+  if (!entry) {
+    throw new ScheduleEditError(`Entry ${entryKey} not found`, 404);
+  }
+  return entry;
+}
+
+/**
+ * Put an entry on a day starting at a slot, taking as many consecutive
+ * slots as the session needs
+ */
+function placeEntry(entry, day, slotNumber, timeSlots) {
+  const consecutiveSlots = entry.consecutiveSlots || 1;
+  const slotNumbers = Array.from({ length: consecutiveSlots }, (_, i) => Number(slotNumber) + i);
+
+  const issue = findBlockIssue(day, slotNumbers, consecutiveSlots, timeSlots);
+  if (issue) {
+    throw new ScheduleEditError(
+      `Cannot place ${entry.courseCode} ${entry.sessionType} for section ${entry.section} ` +
+      `on ${day} slot ${slotNumber}: ${issue}`
+    );
+  }
+
+  const slots = slotNumbers.map(n => timeSlots.find(t => t.day === day && t.slotNumber === n));
+
+  entry.day = day;
+  entry.timeSlot = {
+    slotNumber: slotNumbers[0],
+    slotNumbers,
+    startTime: slots[0].startTime,
+    endTime: slots[slots.length - 1].endTime
+  };
+}
+
+function setRoom(entry, roomId, rooms) {
+  const room = rooms.find(r => r._id.toString() === roomId.toString());
+  if (!room) {
+    throw new ScheduleEditError(`Room ${roomId} not found or inactive`, 404);
+  }
+
+  entry.room = room._id;
+  entry.roomNumber = room.roomNumber;
+}
+
+function setFaculty(entry, facultyId, faculty) {
+  const facultyMember = faculty.find(f => f._id.toString() === facultyId.toString());
+  if (!facultyMember) {
+    throw new ScheduleEditError(`Faculty ${facultyId} not found or inactive in this department`, 404);
+  }
+
+  entry.faculty = facultyMember._id;
+  entry.facultyName = facultyMember.name;
+}
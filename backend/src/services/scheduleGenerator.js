@@ -0,0 +1,269 @@
+import Schedule from '../models/Schedule.js';
+import WorkerPool from './workerPool.js';
+import workerConfig from '../config/workers.js';
+import { getOccupiedSlots, isTeachingSlot } from './timeSlotUtils.js';
+import { getEntryKey, entryToGene } from './courseRequirements.js';
+import { makeCurrent } from './scheduleVersions.js';
+
+// GA runs happen on worker threads so the API keeps serving requests
+const optimizerPool = new WorkerPool(new URL('./gaWorker.js', import.meta.url), {
+  size: workerConfig.maxConcurrentGenerations
+});
+
+const CONTROL_ACTIONS = ['pause', 'resume', 'cancel'];
+
+/**
+ * Run the genetic algorithm for a schedule and store the result on it.
+ *
+ * `data` holds plain course/faculty/room/timeSlot/constraint objects,
+ * `reportProgress` is called every time the GA reports a generation and
+ * `control` lets the caller pause or cancel the run.
+ */
+export const runScheduleGeneration = async (scheduleId, data, reportProgress = null, control = null) => {
+  const schedule = await Schedule.findById(scheduleId);
+
+  if (!schedule) {
+    throw new Error(`Schedule ${scheduleId} not found`);
+  }
+
+  const optimizationConfig = data.optimizationConfig || {};
+  let progressUpdates = Promise.resolve();
+
+  try {
+    const progressCallback = async (progress) => {
+      console.log(`Generation ${progress.generation}/${progress.maxGenerations}: ` +
+                  `Fitness ${progress.bestFitness.toFixed(2)}, ` +
+                  `Hard Violations: ${progress.hardViolations}`);
+
+      if (reportProgress) {
+        reportProgress(progress);
+      }
+
+      // Update schedule with progress
+      schedule.metrics.generationNumber = progress.generation;
+      schedule.metrics.fitnessScore = progress.bestFitness;
+      await schedule.save();
+    };
+
+    // Run the GA on a worker; ObjectIds are sent as plain strings
+    const task = optimizerPool.run({
+      config: {
+        populationSize: optimizationConfig.populationSize || 100,
+        maxGenerations: optimizationConfig.maxGenerations || 1000,
+        mutationRate: optimizationConfig.mutationRate || 0.1,
+        crossoverRate: optimizationConfig.crossoverRate || 0.8,
+        evaluationWorkers: optimizationConfig.evaluationWorkers ?? workerConfig.evaluationWorkers,
+        seed: optimizationConfig.seed,
+        prng: optimizationConfig.prng
+      },
+      data: JSON.parse(JSON.stringify({
+        courses: data.courses,
+        faculty: data.faculty,
+        rooms: data.rooms,
+        timeSlots: data.timeSlots,
+        constraints: data.constraints,
+        pinnedGenes: (data.pinnedEntries || []).map(entryToGene)
+      }))
+    }, (message) => {
+      if (message.type === 'progress') {
+        // Saves of the same document must not overlap
+        progressUpdates = progressUpdates
+          .then(() => progressCallback(message.progress))
+          .catch(error => console.error('Error saving generation progress:', error));
+      }
+    });
+
+    // Forward pause/resume/cancel requests to the worker
+    const forwarders = CONTROL_ACTIONS.map(action => {
+      const forward = () => task.post({ type: 'control', action });
+      control?.on(action, forward);
+      return [action, forward];
+    });
+
+    let result;
+    try {
+      result = await task.promise;
+    } finally {
+      forwarders.forEach(([action, forward]) => control?.off(action, forward));
+      await progressUpdates;
+    }
+
+    const entries = genesToEntries(result.schedule.genes);
+
+    schedule.entries = entries;
+    // A cancelled run keeps its best chromosome so far as a draft
+    schedule.status = result.cancelled ? 'cancelled' : 'completed';
+    schedule.metrics = {
+      fitnessScore: result.schedule.fitness,
+      generationNumber: result.generations.length,
+      hardConstraintViolations: result.schedule.hardViolations,
+      softConstraintViolations: result.schedule.softViolations,
+      computationTime: result.computationTime
+    };
+
+    // Detect conflicts
+    schedule.detectConflicts(data);
+
+    // Calculate workload distribution
+    schedule.workloadDistribution = calculateWorkloadDistribution(entries, data.faculty);
+
+    // Calculate room utilization
+    schedule.roomUtilization = calculateRoomUtilization(entries, data.rooms, data.timeSlots);
+
+    await schedule.save();
+
+    // A finished regeneration replaces the version it was made from
+    if (schedule.changeType === 'regenerated' && !result.cancelled) {
+      await makeCurrent(schedule);
+    }
+
+    return {
+      scheduleId: schedule._id,
+      metrics: schedule.metrics,
+      conflicts: schedule.conflicts.length,
+      cancelled: result.cancelled,
+      generationHistory: result.generations.slice(-10)  // Last 10 generations
+    };
+
+  } catch (error) {
+    schedule.status = 'failed';
+    schedule.generationError = error.message;
+    await schedule.save();
+    throw error;
+  }
+};
+
+/**
+ * Run an infeasibility diagnosis (see InfeasibilityDiagnoser) on the
+ * optimizer threads; the search is too long to run on the request thread.
+ * `data` holds plain course/faculty/room/timeSlot/constraint objects and
+ * optionally the schedule's entries.
+ */
+export function runDiagnosis(data, options = {}) {
+  return optimizerPool.run({
+    diagnose: options,
+    data: JSON.parse(JSON.stringify(data))
+  }).promise;
+}
+
+/**
+ * Convert GA genes to schedule entries
+ */
+export function genesToEntries(genes) {
+  return genes.map(gene => ({
+    day: gene.timeSlot.day,
+    timeSlot: {
+      slotNumber: gene.timeSlot.slotNumber,
+      slotNumbers: getOccupiedSlots(gene.timeSlot),
+      startTime: gene.timeSlot.startTime,
+      endTime: gene.timeSlot.endTime
+    },
+    course: gene.courseId,
+    courseCode: gene.courseCode,
+    courseName: gene.courseName,
+    sessionType: gene.sessionType,
+    section: gene.section,
+    faculty: gene.facultyId,
+    facultyName: gene.facultyName,
+    room: gene.roomId,
+    roomNumber: gene.roomNumber,
+    duration: gene.duration,
+    consecutiveSlots: gene.consecutiveSlots,
+    entryKey: gene.entryKey,
+    sessionIndex: gene.sessionIndex,
+    pinned: Boolean(gene.pinned)
+  }));
+}
+
+/**
+ * Give entries saved without an entryKey the next free session index of
+ * their course/section/session type. Returns the entries.
+ */
+export function assignEntryKeys(entries) {
+  const used = new Map();
+  const groupOf = entry => `${entry.courseCode}:${entry.section}:${entry.sessionType}`;
+
+  for (const entry of entries) {
+    if (!entry.entryKey) continue;
+    if (!used.has(groupOf(entry))) used.set(groupOf(entry), new Set());
+    used.get(groupOf(entry)).add(entry.sessionIndex);
+  }
+
+  for (const entry of entries) {
+    if (entry.entryKey) continue;
+
+    const group = groupOf(entry);
+    if (!used.has(group)) used.set(group, new Set());
+
+    let sessionIndex = 0;
+    while (used.get(group).has(sessionIndex)) sessionIndex++;
+    used.get(group).add(sessionIndex);
+
+    entry.sessionIndex = sessionIndex;
+    entry.entryKey = getEntryKey(entry, sessionIndex);
+  }
+
+  return entries;
+}
+
+export function calculateWorkloadDistribution(entries, faculty) {
+  const workload = new Map();
+
+  for (const entry of entries) {
+    const facultyId = entry.faculty.toString();
+    const current = workload.get(facultyId) || { hours: 0, theory: 0, lab: 0 };
+
+    current.hours += entry.duration || 1;
+    if (entry.sessionType === 'theory') {
+      current.theory += 1;
+    } else {
+      current.lab += 1;
+    }
+
+    workload.set(facultyId, current);
+  }
+
+  const distribution = [];
+  for (const facultyMember of faculty) {
+    const assigned = workload.get(facultyMember._id.toString()) || { hours: 0, theory: 0, lab: 0 };
+    const maxHours = facultyMember.workload?.maxHoursPerWeek || 18;
+
+    distribution.push({
+      facultyId: facultyMember._id,
+      facultyName: facultyMember.name,
+      assignedHours: assigned.hours,
+      maxHours,
+      theorySessions: assigned.theory,
+      labSessions: assigned.lab,
+      utilizationPercentage: Math.round((assigned.hours / maxHours) * 100)
+    });
+  }
+
+  return distribution;
+}
+
+export function calculateRoomUtilization(entries, rooms, timeSlots) {
+  const roomUsage = new Map();
+  const totalSlots = timeSlots.filter(isTeachingSlot).length;
+
+  for (const entry of entries) {
+    const roomId = entry.room.toString();
+    const current = roomUsage.get(roomId) || 0;
+    roomUsage.set(roomId, current + getOccupiedSlots(entry.timeSlot).length);
+  }
+
+  const utilization = [];
+  for (const room of rooms) {
+    const booked = roomUsage.get(room._id.toString()) || 0;
+
+    utilization.push({
+      roomId: room._id,
+      roomNumber: room.roomNumber,
+      hoursBooked: booked,
+      totalAvailableHours: totalSlots,
+      utilizationPercentage: Math.round((booked / totalSlots) * 100)
+    });
+  }
+
+  return utilization;
+}
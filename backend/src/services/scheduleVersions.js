@@ -0,0 +1,79 @@
+import Schedule from '../models/Schedule.js';
+
+/**
+ * Versions of a schedule share a lineageId. Versions are never edited once
+ * generated: edits and regenerations save a new version whose
+ * parentScheduleId points at the version it was made from, and exactly one
+ * version per lineage is current.
+ */
+
+// Per-run, per-save and publishing bookkeeping that does not carry over to a
+// new version
+const NON_VERSIONED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'jobId', 'generationError', 'diagnosis',
+  'publishedAt', 'publishedBy', 'archivedAt', 'publishOverride', 'workflowHistory'
+];
+
+/**
+ * Unsaved copy of `source` as the next version of its lineage.
+ * `overrides` replaces copied fields (e.g. status or entries).
+ */
+export async function createVersion(source, { changeType, changeSummary = '', createdBy, overrides = {} }) {
+  // Schedules saved before versioning start their own lineage
+  if (!source.lineageId) {
+    source.lineageId = source._id;
+    await source.save();
+  }
+
+  const copy = source.toObject({ depopulate: true });
+  for (const field of NON_VERSIONED_FIELDS) delete copy[field];
+
+  return new Schedule({
+    ...copy,
+    ...overrides,
+    lineageId: source.lineageId,
+    version: await nextVersionNumber(source),
+    parentScheduleId: source._id,
+    isCurrent: false,
+    changeType,
+    changeSummary,
+    createdBy: createdBy || source.createdBy
+  });
+}
+
+export async function nextVersionNumber(source) {
+  const latest = await Schedule.findOne({ lineageId: source.lineageId || source._id })
+    .sort('-version')
+    .select('version');
+
+  return Math.max(source.version || 1, latest?.version || 0) + 1;
+}
+
+/**
+ * Make a version the current one of its lineage
+ */
+export async function makeCurrent(schedule) {
+  const lineageId = schedule.lineageId || schedule._id;
+
+  await Schedule.updateMany(
+    { $or: [{ lineageId }, { _id: lineageId }], _id: { $ne: schedule._id } },
+    { isCurrent: false }
+  );
+
+  schedule.lineageId = lineageId;
+  schedule.isCurrent = true;
+  await schedule.save();
+
+  return schedule;
+}
+
+/**
+ * All versions of the lineage a schedule belongs to, oldest first
+ */
+export function findVersions(schedule) {
+  const lineageId = schedule.lineageId || schedule._id;
+
+  return Schedule.find({ $or: [{ lineageId }, { _id: lineageId }] })
+    .sort('version')
+    .select('name version parentScheduleId isCurrent changeType changeSummary status metrics createdBy createdAt publishedAt');
+}
@@ -0,0 +1,273 @@
+import mongoose from 'mongoose';
+import TimeSlot from '../models/TimeSlot.js';
+import SlotGrid from '../models/SlotGrid.js';
+import Schedule from '../models/Schedule.js';
+import { getOccupiedSlots, findBlockIssue } from './timeSlotUtils.js';
+
+/**
+ * Changes to slot layouts. A grid's TimeSlots are materialised from the
+ * DayTemplate assigned to each day, so schedules keep working off plain
+ * time slots. Every change to a day's slots is checked against the
+ * schedules generated on that grid first: an entry whose slots disappear,
+ * move or become a break would silently end up at the wrong time.
+ */
+
+// Schedules whose entries no longer matter for slot changes
+const INACTIVE_STATUSES = ['generating', 'failed', 'cancelled', 'archived'];
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+export class SlotGridError extends Error {
+  constructor(message, statusCode = 409, details = null) {
+    super(message);
+    this.name = 'SlotGridError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+/**
+ * TimeSlot fields for a template's slots on one day of a grid
+ */
+export function slotsFromTemplate(template, day, gridId) {
+  return template.slots.map(slot => ({
+    grid: gridId,
+    day,
+    slotNumber: slot.slotNumber,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    duration: minutesBetween(slot.startTime, slot.endTime),
+    slotType: slot.slotType
+  }));
+}
+
+/**
+ * Entries of live schedules on `gridId` that would break if `day` had
+ * `daySlots` instead of its current slots. Only current versions (and
+ * whatever is published) are checked; older versions are history.
+ */
+export async function findScheduleClashes(gridId, day, daySlots) {
+  const schedules = await Schedule.find({
+    slotGrid: gridId || null,
+    status: { $nin: INACTIVE_STATUSES },
+    $or: [{ isCurrent: { $ne: false } }, { status: 'published' }],
+    'entries.day': day
+  }).select('name version status entries');
+
+  const slots = daySlots
+    .filter(slot => slot.isActive !== false)
+    .map(slot => ({ ...slot, day }));
+  const slotMap = new Map(slots.map(slot => [slot.slotNumber, slot]));
+  const clashes = [];
+
+  for (const schedule of schedules) {
+    for (const entry of schedule.entries) {
+      if (entry.day !== day) continue;
+
+      const reason = findEntryIssue(entry, slots, slotMap);
+      if (!reason) continue;
+
+      clashes.push({
+        scheduleId: schedule._id,
+        scheduleName: schedule.name,
+        version: schedule.version,
+        status: schedule.status,
+        entryKey: entry.entryKey,
+        courseCode: entry.courseCode,
+        section: entry.section,
+        sessionType: entry.sessionType,
+        day,
+        slotNumbers: getOccupiedSlots(entry.timeSlot),
+        reason
+      });
+    }
+  }
+
+  return clashes;
+}
+
+/**
+ * Replace the slots of one day of a grid. `daySlots` are TimeSlot fields;
+ * an empty list takes the day out of the grid. Throws a SlotGridError
+ * listing the affected entries unless `force` is set.
+ */
+export async function replaceDaySlots(gridId, day, daySlots, { force = false } = {}) {
+  const clashes = await findScheduleClashes(gridId, day, daySlots);
+  assertNoClashes(clashes, force, `Changing ${day}`);
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await TimeSlot.deleteMany({ grid: gridId || null, day }, { session });
+      if (daySlots.length > 0) {
+        await TimeSlot.insertMany(daySlots, { session });
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return clashes;
+}
+
+/**
+ * Save a created or edited TimeSlot document, or delete it with `remove`,
+ * after checking the day it is on and, if it moved, `previousDay`. A slot
+ * edited by hand keeps its change until its grid day is rebuilt from a
+ * template.
+ */
+export async function saveTimeSlot(slot, { previousDay = null, remove = false, force = false } = {}) {
+  if (!remove) {
+    if (!TIME_PATTERN.test(slot.startTime || '') || !TIME_PATTERN.test(slot.endTime || '') || slot.startTime >= slot.endTime) {
+      throw new SlotGridError('startTime and endTime must be HH:MM with startTime before endTime', 400);
+    }
+    slot.duration = minutesBetween(slot.startTime, slot.endTime);
+  }
+
+  const days = [...new Set([previousDay, slot.day].filter(Boolean))];
+  const clashes = [];
+
+  for (const day of days) {
+    const others = await TimeSlot.find({ grid: slot.grid || null, day, _id: { $ne: slot._id } }).lean();
+    const daySlots = !remove && slot.day === day ? [...others, slot.toObject()] : others;
+    clashes.push(...await findScheduleClashes(slot.grid, day, daySlots));
+  }
+  assertNoClashes(clashes, force, remove ? 'Deleting this slot' : 'Saving this slot');
+
+  if (remove) {
+    await slot.deleteOne();
+  } else {
+    await slot.save();
+  }
+
+  return clashes;
+}
+
+/**
+ * Assign a day template (or null to drop the day) to a day of a grid and
+ * rebuild that day's slots. Resolves to the clashes that were overridden.
+ */
+export async function assignDayTemplate(grid, day, template, { force = false } = {}) {
+  const daySlots = template ? slotsFromTemplate(template, day, grid._id) : [];
+  const clashes = await replaceDaySlots(grid._id, day, daySlots, { force });
+
+  grid.days = grid.days.filter(d => d.day !== day);
+  if (template) {
+    grid.days.push({ day, template: template._id });
+  }
+  await grid.save();
+
+  return clashes;
+}
+
+/**
+ * Rebuild the slots of every grid day using `template` after it changed.
+ * All days are checked before any of them is rewritten.
+ */
+export async function applyTemplateChange(template, { force = false } = {}) {
+  const grids = await SlotGrid.find({ 'days.template': template._id });
+  const changes = grids.flatMap(grid => grid.days
+    .filter(d => d.template.equals(template._id))
+    .map(d => ({ grid, day: d.day, daySlots: slotsFromTemplate(template, d.day, grid._id) }))
+  );
+
+  const clashes = [];
+  for (const { grid, day, daySlots } of changes) {
+    clashes.push(...await findScheduleClashes(grid._id, day, daySlots));
+  }
+  assertNoClashes(clashes, force, `Changing template ${template.name}`);
+
+  for (const { grid, day, daySlots } of changes) {
+    await replaceDaySlots(grid._id, day, daySlots, { force: true });
+  }
+
+  return clashes;
+}
+
+/**
+ * Replace the slots outside any grid with the standard layout
+ * (TimeSlot.getStandardSlots). Days are checked like any other grid edit,
+ * all of them before any is rewritten; days the layout lacks are dropped.
+ * Resolves to the clashes that were overridden.
+ */
+export async function resetStandardSlots({ force = false } = {}) {
+  const standardSlots = TimeSlot.getStandardSlots();
+  const existingDays = await TimeSlot.distinct('day', { grid: null });
+  const days = [...new Set([...standardSlots.map(slot => slot.day), ...existingDays])];
+  const changes = days.map(day => ({
+    day,
+    daySlots: standardSlots.filter(slot => slot.day === day).map(slot => ({ ...slot, grid: null }))
+  }));
+
+  const clashes = [];
+  for (const { day, daySlots } of changes) {
+    clashes.push(...await findScheduleClashes(null, day, daySlots));
+  }
+  assertNoClashes(clashes, force, 'Resetting the standard slots');
+
+  for (const { day, daySlots } of changes) {
+    await replaceDaySlots(null, day, daySlots, { force: true });
+  }
+
+  return clashes;
+}
+
+/**
+ * Make `grid` the one new schedules are generated on
+ */
+export async function activateGrid(grid) {
+  if (grid.days.length === 0) {
+    throw new SlotGridError(`Slot grid ${grid.name} has no days assigned`, 400);
+  }
+
+  await SlotGrid.updateMany({ _id: { $ne: grid._id }, isActive: true }, { isActive: false });
+  grid.isActive = true;
+  await grid.save();
+  return grid;
+}
+
+function assertNoClashes(clashes, force, action) {
+  if (clashes.length > 0 && !force) {
+    throw new SlotGridError(
+      `${action} would break ${clashes.length} scheduled entr${clashes.length === 1 ? 'y' : 'ies'}; ` +
+        'reschedule them or pass force: true',
+      409,
+      { clashes }
+    );
+  }
+}
+
+/**
+ * Why an entry no longer fits the day's slots, or null if it still does
+ */
+function findEntryIssue(entry, slots, slotMap) {
+  const slotNumbers = getOccupiedSlots(entry.timeSlot);
+
+  if (slotNumbers.length > 1) {
+    const blockIssue = findBlockIssue(entry.day, slotNumbers, slotNumbers.length, slots);
+    if (blockIssue) return blockIssue;
+  }
+
+  for (const slotNumber of slotNumbers) {
+    const slot = slotMap.get(slotNumber);
+    if (!slot) return `slot ${slotNumber} would no longer exist on ${entry.day}`;
+    if (slot.slotType === 'lunch' || slot.slotType === 'break') {
+      return `slot ${slotNumber} would become a ${slot.slotType} slot`;
+    }
+  }
+
+  const first = slotMap.get(slotNumbers[0]);
+  const last = slotMap.get(slotNumbers[slotNumbers.length - 1]);
+  if (first.startTime !== entry.timeSlot.startTime || last.endTime !== entry.timeSlot.endTime) {
+    return `would move from ${entry.timeSlot.startTime}-${entry.timeSlot.endTime} to ${first.startTime}-${last.endTime}`;
+  }
+
+  return null;
+}
+
+function minutesBetween(start, end) {
+  const toMinutes = time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  };
+  return toMinutes(end) - toMinutes(start);
+}
@@ -0,0 +1,232 @@
+import ExcelJS from 'exceljs';
+import { getOccupiedSlots } from './timeSlotUtils.js';
+import { buildTimetableGrid, describeCellEntry, describeCellSlot } from './timetableGrid.js';
+
+/**
+ * Spreadsheet exports of a schedule: the flat entries table as CSV, or a
+ * workbook with the entries, one timetable grid per section, faculty
+ * workload, room utilization and conflicts.
+ */
+
+const ENTRY_COLUMNS = [
+  { header: 'Day', key: 'day', width: 12 },
+  { header: 'Start', key: 'startTime', width: 8 },
+  { header: 'End', key: 'endTime', width: 8 },
+  { header: 'Slots', key: 'slots', width: 8 },
+  { header: 'Course Code', key: 'courseCode', width: 12 },
+  { header: 'Course Name', key: 'courseName', width: 30 },
+  { header: 'Session', key: 'sessionType', width: 9 },
+  { header: 'Section', key: 'section', width: 9 },
+  { header: 'Faculty', key: 'facultyName', width: 24 },
+  { header: 'Room', key: 'roomNumber', width: 10 },
+  { header: 'Duration (h)', key: 'duration', width: 12 },
+  { header: 'Pinned', key: 'pinned', width: 8 },
+  { header: 'Entry Key', key: 'entryKey', width: 26 }
+];
+
+const DAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Plain entries as table rows, in day and slot order
+ */
+function entryRows(entries) {
+  return entries
+    .slice()
+    .sort((a, b) =>
+      DAY_ORDER.indexOf(a.day) - DAY_ORDER.indexOf(b.day) ||
+      a.timeSlot.slotNumber - b.timeSlot.slotNumber ||
+      a.section.localeCompare(b.section)
+    )
+    .map(entry => ({
+      day: entry.day,
+      startTime: entry.timeSlot.startTime,
+      endTime: entry.timeSlot.endTime,
+      slots: getOccupiedSlots(entry.timeSlot).join(' '),
+      courseCode: entry.courseCode,
+      courseName: entry.courseName,
+      sessionType: entry.sessionType,
+      section: entry.section,
+      facultyName: entry.facultyName,
+      roomNumber: entry.roomNumber,
+      duration: entry.duration,
+      pinned: entry.pinned ? 'yes' : 'no',
+      entryKey: entry.entryKey
+    }));
+}
+
+/**
+ * CSV (RFC 4180) of the flat entries table
+ */
+export function entriesToCsv(entries) {
+  const lines = [
+    ENTRY_COLUMNS.map(column => csvField(column.header)).join(','),
+    ...entryRows(entries).map(row =>
+      ENTRY_COLUMNS.map(column => csvField(row[column.key])).join(',')
+    )
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Write the schedule workbook (xlsx) to `stream`. `schedule` is a plain
+ * schedule object; `timeSlots` gives the layout of the section grids.
+ */
+export async function writeScheduleWorkbook(schedule, timeSlots, stream) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Timetable Optimizer';
+  workbook.created = new Date();
+
+  const entriesSheet = workbook.addWorksheet('Entries', { views: [{ state: 'frozen', ySplit: 1 }] });
+  entriesSheet.columns = ENTRY_COLUMNS;
+  entriesSheet.addRows(entryRows(schedule.entries));
+  styleHeader(entriesSheet.getRow(1));
+  entriesSheet.autoFilter = { from: 'A1', to: { row: 1, column: ENTRY_COLUMNS.length } };
+
+  const sections = [...new Set(schedule.entries.map(entry => entry.section))].sort();
+  for (const section of sections) {
+    const grid = buildTimetableGrid(
+      schedule.entries.filter(entry => entry.section === section),
+      timeSlots,
+      { title: schedule.name, subtitle: `Section ${section}` }
+    );
+    addGridSheet(workbook, sheetName(`Section ${section}`), grid);
+  }
+
+  const workloadSheet = workbook.addWorksheet('Workload', { views: [{ state: 'frozen', ySplit: 1 }] });
+  workloadSheet.columns = [
+    { header: 'Faculty', key: 'facultyName', width: 24 },
+    { header: 'Assigned Hours', key: 'assignedHours', width: 15 },
+    { header: 'Max Hours', key: 'maxHours', width: 11 },
+    { header: 'Theory Sessions', key: 'theorySessions', width: 16 },
+    { header: 'Lab Sessions', key: 'labSessions', width: 13 },
+    { header: 'Utilization %', key: 'utilizationPercentage', width: 14 }
+  ];
+  workloadSheet.addRows(schedule.workloadDistribution || []);
+  styleHeader(workloadSheet.getRow(1));
+
+  const roomSheet = workbook.addWorksheet('Room Utilization', { views: [{ state: 'frozen', ySplit: 1 }] });
+  roomSheet.columns = [
+    { header: 'Room', key: 'roomNumber', width: 12 },
+    { header: 'Hours Booked', key: 'hoursBooked', width: 14 },
+    { header: 'Available Hours', key: 'totalAvailableHours', width: 16 },
+    { header: 'Utilization %', key: 'utilizationPercentage', width: 14 }
+  ];
+  roomSheet.addRows(schedule.roomUtilization || []);
+  styleHeader(roomSheet.getRow(1));
+
+  const conflictSheet = workbook.addWorksheet('Conflicts', { views: [{ state: 'frozen', ySplit: 1 }] });
+  conflictSheet.columns = [
+    { header: 'Type', key: 'type', width: 26 },
+    { header: 'Severity', key: 'severity', width: 10 },
+    { header: 'Description', key: 'description', width: 60 },
+    { header: 'Course', key: 'course', width: 12 },
+    { header: 'Section', key: 'section', width: 9 },
+    { header: 'Faculty', key: 'faculty', width: 24 },
+    { header: 'Room', key: 'room', width: 10 },
+    { header: 'Time', key: 'timeSlot', width: 18 },
+    { header: 'Resolved', key: 'resolved', width: 9 },
+    { header: 'Resolution Note', key: 'resolutionNote', width: 30 }
+  ];
+  conflictSheet.addRows((schedule.conflicts || []).map(conflict => ({
+    type: conflict.type,
+    severity: conflict.severity,
+    description: conflict.description,
+    ...conflict.affectedEntities,
+    resolved: conflict.resolved ? 'yes' : 'no',
+    resolutionNote: conflict.resolutionNote
+  })));
+  styleHeader(conflictSheet.getRow(1));
+
+  await workbook.xlsx.write(stream);
+}
+
+/**
+ * A timetable grid on its own sheet, multi-slot cells merged
+ */
+function addGridSheet(workbook, name, grid) {
+  const sheet = workbook.addWorksheet(name, {
+    pageSetup: { orientation: 'landscape', fitToPage: true, fitToWidth: 1, fitToHeight: 1 }
+  });
+
+  sheet.getColumn(1).width = 14;
+  grid.days.forEach((day, i) => { sheet.getColumn(i + 2).width = 22; });
+
+  sheet.getCell(1, 1).value = `${grid.title} - ${grid.subtitle}`;
+  sheet.getCell(1, 1).font = { bold: true, size: 13 };
+
+  const header = sheet.getRow(3);
+  header.values = ['Time', ...grid.days];
+  styleHeader(header);
+
+  grid.rows.forEach((row, rowIndex) => {
+    const excelRow = 4 + rowIndex;
+    sheet.getCell(excelRow, 1).value = `${row.startTime}-${row.endTime}`;
+
+    if (row.kind !== 'slot') {
+      sheet.mergeCells(excelRow, 2, excelRow, grid.days.length + 1);
+      const band = sheet.getCell(excelRow, 2);
+      band.value = row.label;
+      band.font = { italic: true };
+      band.alignment = { horizontal: 'center' };
+      band.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF4F4F4' } };
+      return;
+    }
+
+    sheet.getRow(excelRow).height = 45;
+
+    row.cells.forEach((cell, dayIndex) => {
+      if (!cell) return;
+
+      const slotLines = describeCellSlot(cell);
+      if (cell.entries.length === 0 && slotLines.length === 0) return;
+
+      const column = dayIndex + 2;
+      if (cell.rowSpan > 1) {
+        sheet.mergeCells(excelRow, column, excelRow + cell.rowSpan - 1, column);
+      }
+
+      const target = sheet.getCell(excelRow, column);
+      target.value = [
+        ...(slotLines.length > 0 ? [slotLines.join('\n')] : []),
+        ...cell.entries.map(entry => describeCellEntry(entry, grid.view).join('\n'))
+      ].join('\n--\n');
+      target.alignment = { wrapText: true, vertical: 'middle', horizontal: 'center' };
+      if (cell.entries.length > 1 || cell.misplaced) {
+        target.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFDE2E2' } };
+      } else if (cell.label) {
+        target.font = { italic: true };
+        target.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF4F4F4' } };
+      }
+    });
+  });
+
+  const lastRow = 3 + grid.rows.length;
+  for (let r = 3; r <= lastRow; r++) {
+    for (let c = 1; c <= grid.days.length + 1; c++) {
+      sheet.getCell(r, c).border = {
+        top: { style: 'thin' },
+        left: { style: 'thin' },
+        bottom: { style: 'thin' },
+        right: { style: 'thin' }
+      };
+    }
+  }
+}
+
+function styleHeader(row) {
+  row.font = { bold: true };
+  row.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE8E8E8' } };
+}
+
+/**
+ * Worksheet names are at most 31 characters and cannot contain []:*?/\
+ */
+function sheetName(name) {
+  return name.replace(/[[\]:*?/\\]/g, '-').slice(0, 31);
+}
+
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,152 @@
+/**
+ * Helpers for working with runs of consecutive time slots (lab blocks).
+ *
+ * These operate on plain time slot objects so they can be shared by the
+ * TimeSlot model, the GA (including its worker threads) and the checkers.
+ */
+
+/**
+ * Group a day's slots into runs of consecutive slot numbers.
+ * Expects teaching slots of a single day, sorted by slotNumber.
+ * Only runs of at least `numberOfSlots` slots are returned.
+ */
+export function findConsecutiveGroups(slots, numberOfSlots) {
+  const consecutiveGroups = [];
+  let currentGroup = [];
+
+  for (const slot of slots) {
+    if (currentGroup.length === 0) {
+      currentGroup.push(slot);
+      continue;
+    }
+
+    const lastSlot = currentGroup[currentGroup.length - 1];
+
+    // Check if slots are consecutive (slot number differs by 1)
+    if (slot.slotNumber - lastSlot.slotNumber === 1) {
+      currentGroup.push(slot);
+    } else {
+      if (currentGroup.length >= numberOfSlots) {
+        consecutiveGroups.push(currentGroup);
+      }
+      currentGroup = [slot];
+    }
+  }
+
+  // Check last group
+  if (currentGroup.length >= numberOfSlots) {
+    consecutiveGroups.push(currentGroup);
+  }
+
+  return consecutiveGroups;
+}
+
+/**
+ * Whether classes can be placed in a slot: active, and not a lunch or
+ * other break
+ */
+export function isTeachingSlot(slot) {
+  return slot.isActive !== false && slot.slotType !== 'lunch' && slot.slotType !== 'break';
+}
+
+/**
+ * Teaching slots of a day, sorted by slot number
+ */
+export function getTeachingSlots(timeSlots, day) {
+  return timeSlots
+    .filter(t => t.day === day && isTeachingSlot(t))
+    .sort((a, b) => a.slotNumber - b.slotNumber);
+}
+
+/**
+ * Every block of exactly `numberOfSlots` consecutive teaching slots,
+ * across all days present in `timeSlots`
+ */
+export function buildSlotBlocks(timeSlots, numberOfSlots) {
+  const days = [...new Set(timeSlots.map(t => t.day))];
+  const blocks = [];
+
+  for (const day of days) {
+    const groups = findConsecutiveGroups(getTeachingSlots(timeSlots, day), numberOfSlots);
+
+    for (const group of groups) {
+      for (let start = 0; start + numberOfSlots <= group.length; start++) {
+        blocks.push({
+          day,
+          slots: group.slice(start, start + numberOfSlots)
+        });
+      }
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Time slot descriptor for a block, as stored on genes and entries
+ */
+export function blockToTimeSlot(block) {
+  const first = block.slots[0];
+  const last = block.slots[block.slots.length - 1];
+
+  return {
+    day: block.day,
+    slotNumber: first.slotNumber,
+    slotNumbers: block.slots.map(s => s.slotNumber),
+    startTime: first.startTime,
+    endTime: last.endTime
+  };
+}
+
+/**
+ * Slot numbers occupied by a gene's or entry's time slot
+ */
+export function getOccupiedSlots(timeSlot) {
+  if (timeSlot.slotNumbers && timeSlot.slotNumbers.length > 0) {
+    return timeSlot.slotNumbers;
+  }
+  return [timeSlot.slotNumber];
+}
+
+/**
+ * Check that a multi-slot session sits in one unbroken block of teaching
+ * slots. Returns null when the block is valid, otherwise the reason.
+ */
+export function findBlockIssue(day, slotNumbers, consecutiveSlots, timeSlots) {
+  if (slotNumbers.length !== consecutiveSlots) {
+    return `occupies ${slotNumbers.length} slot(s) but needs ${consecutiveSlots}`;
+  }
+
+  const daySlots = timeSlots.filter(t => t.day === day && t.isActive !== false);
+  if (daySlots.length === 0) {
+    return `no time slots configured on ${day}`;
+  }
+
+  const slotMap = new Map(daySlots.map(t => [t.slotNumber, t]));
+  const lastSlotNumber = Math.max(...daySlots.map(t => t.slotNumber));
+
+  for (let i = 0; i < slotNumbers.length; i++) {
+    const slotNumber = slotNumbers[i];
+    const slot = slotMap.get(slotNumber);
+
+    if (!slot) {
+      return slotNumber > lastSlotNumber
+        ? 'runs past the end of the day'
+        : `slot ${slotNumber} does not exist on ${day}`;
+    }
+
+    if (slot.slotType === 'lunch') {
+      return 'crosses the lunch break';
+    }
+
+    if (slot.slotType === 'break') {
+      return `crosses the break at slot ${slotNumber}`;
+    }
+
+    if (i > 0 && slotNumber - slotNumbers[i - 1] !== 1) {
+      return 'slots are not consecutive';
+    }
+  }
+
+  return null;
+}
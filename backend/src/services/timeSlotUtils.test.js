@@ -0,0 +1,113 @@
+import {
+  findConsecutiveGroups,
+  isTeachingSlot,
+  getTeachingSlots,
+  buildSlotBlocks,
+  blockToTimeSlot,
+  getOccupiedSlots,
+  findBlockIssue
+} from './timeSlotUtils.js';
+
+const slot = (day, slotNumber, slotType = 'regular', extra = {}) => ({
+  day,
+  slotNumber,
+  startTime: `${String(7 + slotNumber).padStart(2, '0')}:00`,
+  endTime: `${String(8 + slotNumber).padStart(2, '0')}:00`,
+  slotType,
+  ...extra
+});
+
+// Monday: 1-3, break, 5-6, lunch, 8-9; Tuesday: 1-2
+const timeSlots = [
+  slot('Monday', 1), slot('Monday', 2), slot('Monday', 3),
+  slot('Monday', 4, 'break'),
+  slot('Monday', 5), slot('Monday', 6),
+  slot('Monday', 7, 'lunch'),
+  slot('Monday', 8), slot('Monday', 9),
+  slot('Tuesday', 2), slot('Tuesday', 1)
+];
+
+describe('teaching slots', () => {
+  test('lunch, breaks and inactive slots are not teaching slots', () => {
+    expect(isTeachingSlot(slot('Monday', 1))).toBe(true);
+    expect(isTeachingSlot(slot('Monday', 1, 'extended'))).toBe(true);
+    expect(isTeachingSlot(slot('Monday', 1, 'lunch'))).toBe(false);
+    expect(isTeachingSlot(slot('Monday', 1, 'break'))).toBe(false);
+    expect(isTeachingSlot(slot('Monday', 1, 'regular', { isActive: false }))).toBe(false);
+  });
+
+  test('getTeachingSlots returns one day, sorted', () => {
+    expect(getTeachingSlots(timeSlots, 'Tuesday').map(s => s.slotNumber)).toEqual([1, 2]);
+    expect(getTeachingSlots(timeSlots, 'Monday').map(s => s.slotNumber)).toEqual([1, 2, 3, 5, 6, 8, 9]);
+  });
+});
+
+describe('findConsecutiveGroups', () => {
+  test('splits at gaps and keeps runs long enough', () => {
+    const groups = findConsecutiveGroups(getTeachingSlots(timeSlots, 'Monday'), 3);
+    expect(groups.map(group => group.map(s => s.slotNumber))).toEqual([[1, 2, 3]]);
+  });
+
+  test('returns every run for single slots', () => {
+    const groups = findConsecutiveGroups(getTeachingSlots(timeSlots, 'Monday'), 1);
+    expect(groups.map(group => group.map(s => s.slotNumber))).toEqual([[1, 2, 3], [5, 6], [8, 9]]);
+  });
+});
+
+describe('buildSlotBlocks', () => {
+  test('lists every window of consecutive teaching slots on each day', () => {
+    const blocks = buildSlotBlocks(timeSlots, 2).map(block => `${block.day} ${block.slots.map(s => s.slotNumber)}`);
+    expect(blocks).toEqual([
+      'Monday 1,2', 'Monday 2,3', 'Monday 5,6', 'Monday 8,9',
+      'Tuesday 1,2'
+    ]);
+  });
+
+  test('never crosses a break or lunch', () => {
+    for (const block of buildSlotBlocks(timeSlots, 3)) {
+      expect(block.slots.every(isTeachingSlot)).toBe(true);
+    }
+    expect(buildSlotBlocks(timeSlots, 4)).toEqual([]);
+  });
+});
+
+describe('block time slots', () => {
+  test('blockToTimeSlot spans from the first start to the last end', () => {
+    const [block] = buildSlotBlocks(timeSlots, 3);
+    expect(blockToTimeSlot(block)).toEqual({
+      day: 'Monday',
+      slotNumber: 1,
+      slotNumbers: [1, 2, 3],
+      startTime: '08:00',
+      endTime: '11:00'
+    });
+  });
+
+  test('getOccupiedSlots falls back to the single slot number', () => {
+    expect(getOccupiedSlots({ slotNumber: 5, slotNumbers: [5, 6] })).toEqual([5, 6]);
+    expect(getOccupiedSlots({ slotNumber: 5, slotNumbers: [] })).toEqual([5]);
+    expect(getOccupiedSlots({ slotNumber: 5 })).toEqual([5]);
+  });
+});
+
+describe('findBlockIssue', () => {
+  test('accepts an unbroken block', () => {
+    expect(findBlockIssue('Monday', [5, 6], 2, timeSlots)).toBeNull();
+  });
+
+  test.each([
+    [[1, 2], 3, 'occupies 2 slot(s) but needs 3'],
+    [[3, 4], 2, 'crosses the break at slot 4'],
+    [[6, 7], 2, 'crosses the lunch break'],
+    [[9, 10], 2, 'runs past the end of the day'],
+    [[1, 3], 2, 'slots are not consecutive']
+  ])('reports %p (needs %p slots): %s', (slotNumbers, needed, issue) => {
+    expect(findBlockIssue('Monday', slotNumbers, needed, timeSlots)).toBe(issue);
+  });
+
+  test('reports missing slots and days', () => {
+    const withHole = timeSlots.filter(s => !(s.day === 'Monday' && s.slotNumber === 2));
+    expect(findBlockIssue('Monday', [1, 2], 2, withHole)).toBe('slot 2 does not exist on Monday');
+    expect(findBlockIssue('Friday', [1, 2], 2, timeSlots)).toBe('no time slots configured on Friday');
+  });
+});
@@ -0,0 +1,265 @@
+import { getOccupiedSlots } from './timeSlotUtils.js';
+
+/**
+ * The classic printed timetable: one row per time slot (plus lunch and
+ * break rows), one column per day. Consecutive slots covered by the same
+ * entries (multi-slot labs) are merged into one cell.
+ *
+ * buildTimetableGrid produces a layout that the HTML renderer below and
+ * the PDF renderer (timetablePdf.js) both draw.
+ */
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Layout of `entries` on the slot structure of `timeSlots`.
+ * `view` is 'section', 'faculty' or 'room'; outside the section view each
+ * cell also names the section.
+ *
+ * Days may follow different day templates, so a cell carries what differs
+ * from its row: `time` when the day's slot has other times, `label` when
+ * it is a lunch or break on that day, and `misplaced` when entries sit in
+ * a slot that is not a teaching slot (they are still shown).
+ */
+export function buildTimetableGrid(entries, timeSlots, { title, subtitle = '', view = 'section' }) {
+  const days = DAYS.filter(day => timeSlots.some(t => t.day === day));
+
+  const daySlots = new Map();
+  for (const slot of timeSlots) {
+    if (slot.isActive === false) continue;
+    daySlots.set(`${slot.day}-${slot.slotNumber}`, slot);
+  }
+
+  const covering = new Map();
+  for (const entry of entries) {
+    for (const slotNumber of getOccupiedSlots(entry.timeSlot)) {
+      const key = `${entry.day}-${slotNumber}`;
+      if (!covering.has(key)) covering.set(key, []);
+      covering.get(key).push(entry);
+    }
+  }
+
+  const rows = buildRows(timeSlots, days, covering);
+
+  days.forEach((day, dayIndex) => {
+    let open = null;  // { cell, source, startTime } that the next row may extend
+
+    for (const row of rows) {
+      if (row.kind !== 'slot') {
+        open = null;
+        continue;
+      }
+
+      const key = `${day}-${row.slotNumber}`;
+      const slot = daySlots.get(key);
+      const source = covering.get(key) || [];
+      const teaching = Boolean(slot) && !isBandSlot(slot);
+      const time = slot && (slot.startTime !== row.startTime || slot.endTime !== row.endTime)
+        ? `${slot.startTime}-${slot.endTime}`
+        : null;
+
+      if (open && teaching && source.length > 0 && sameEntries(open.source, source)) {
+        open.cell.rowSpan++;
+        if (open.cell.time || time) {
+          open.cell.time = `${open.startTime}-${slot.endTime}`;
+        }
+        row.cells[dayIndex] = null;  // drawn by the cell above
+        continue;
+      }
+
+      const cell = {
+        rowSpan: 1,
+        time,
+        label: slot && !teaching ? bandLabel(slot.slotType) : null,
+        misplaced: source.length > 0 && !teaching,
+        entries: source.map(entry => ({
+          courseCode: entry.courseCode,
+          courseName: entry.courseName,
+          sessionType: entry.sessionType,
+          section: entry.section,
+          facultyName: entry.facultyName,
+          roomNumber: entry.roomNumber
+        }))
+      };
+      row.cells[dayIndex] = cell;
+      open = teaching && source.length > 0 ? { cell, source, startTime: slot.startTime } : null;
+    }
+  });
+
+  return { title, subtitle, view, days, rows };
+}
+
+/**
+ * Rows in time order, one per slot number, timed like most days have that
+ * slot. A slot number that is a lunch or break on every day and holds no
+ * entries becomes a band row; a gap between one slot's end and the next
+ * slot's start becomes a break row.
+ */
+function buildRows(timeSlots, days, covering) {
+  const variants = new Map();  // slotNumber -> Map(layout key -> { slot, count })
+  for (const slot of timeSlots) {
+    if (slot.isActive === false) continue;
+
+    if (!variants.has(slot.slotNumber)) variants.set(slot.slotNumber, new Map());
+    const layouts = variants.get(slot.slotNumber);
+    const layout = `${slot.startTime}-${slot.endTime}-${slot.slotType}`;
+    const variant = layouts.get(layout) || { slot, count: 0 };
+    variant.count++;
+    layouts.set(layout, variant);
+  }
+
+  const slotNumbers = [...variants.keys()].sort((a, b) => a - b);
+  const rows = [];
+  let previous = null;
+
+  for (const slotNumber of slotNumbers) {
+    const layouts = [...variants.get(slotNumber).values()];
+    const slot = layouts.reduce((best, variant) => variant.count > best.count ? variant : best).slot;
+
+    if (previous && previous.endTime < slot.startTime) {
+      rows.push({ kind: 'break', label: 'Break', startTime: previous.endTime, endTime: slot.startTime });
+    }
+    previous = slot;
+
+    const band = layouts.every(variant => isBandSlot(variant.slot)) &&
+      !days.some(day => covering.has(`${day}-${slotNumber}`));
+
+    if (band) {
+      rows.push({
+        kind: slot.slotType,
+        label: bandLabel(slot.slotType),
+        slotNumber,
+        startTime: slot.startTime,
+        endTime: slot.endTime
+      });
+      continue;
+    }
+
+    rows.push({
+      kind: 'slot',
+      slotNumber,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      cells: new Array(days.length).fill(undefined)
+    });
+  }
+
+  return rows;
+}
+
+function isBandSlot(slot) {
+  return slot.slotType === 'lunch' || slot.slotType === 'break';
+}
+
+function bandLabel(slotType) {
+  return slotType === 'lunch' ? 'Lunch Break' : 'Break';
+}
+
+function sameEntries(a, b) {
+  return a.length === b.length && a.every((entry, i) => entry === b[i]);
+}
+
+/**
+ * Lines shown in a cell for one entry
+ */
+export function describeCellEntry(entry, view) {
+  const sessionLabel = entry.sessionType === 'lab' ? 'Lab' : 'Theory';
+  return [
+    view === 'section'
+      ? `${entry.courseCode} (${sessionLabel})`
+      : `${entry.courseCode} (${sessionLabel}) - ${entry.section}`,
+    view === 'faculty' ? null : entry.facultyName,
+    view === 'room' ? null : entry.roomNumber
+  ].filter(Boolean);
+}
+
+/**
+ * Lines shown above a cell's entries: the day's own slot time and its
+ * lunch or break label, when they differ from the row
+ */
+export function describeCellSlot(cell) {
+  return [
+    cell.time,
+    cell.label && (cell.misplaced ? `${cell.label} - not a teaching slot` : cell.label)
+  ].filter(Boolean);
+}
+
+/**
+ * Printable HTML page with one timetable per grid, each on its own page
+ */
+export function renderTimetableHtml(grids, { title = 'Timetable' } = {}) {
+  const tables = grids.map(grid => {
+    const head = grid.days.map(day => `<th>${escapeHtml(day)}</th>`).join('');
+
+    const body = grid.rows.map(row => {
+      const time = `${escapeHtml(row.startTime)}&ndash;${escapeHtml(row.endTime)}`;
+
+      if (row.kind !== 'slot') {
+        return `<tr class="band"><th>${time}</th><td colspan="${grid.days.length}">${escapeHtml(row.label)}</td></tr>`;
+      }
+
+      const cells = row.cells.map(cell => {
+        if (cell === null) return '';
+
+        const slotLines = describeCellSlot(cell).map(text => `<small>${escapeHtml(text)}</small>`);
+        const content = [
+          ...(slotLines.length > 0 ? [slotLines.join('<br>')] : []),
+          ...cell.entries.map(entry => describeCellEntry(entry, grid.view).map(escapeHtml).join('<br>'))
+        ].join('<hr>');
+        const span = cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : '';
+        const className = cell.entries.length > 1 || cell.misplaced ? 'clash' : cell.label ? 'band' : '';
+        return `<td${span}${className ? ` class="${className}"` : ''}>${content}</td>`;
+      }).join('');
+
+      return `<tr><th>${time}</th>${cells}</tr>`;
+    }).join('\n');
+
+    return `<section class="timetable">
+<h1>${escapeHtml(grid.title)}</h1>
+${grid.subtitle ? `<h2>${escapeHtml(grid.subtitle)}</h2>` : ''}
+<table>
+<thead><tr><th>Time</th>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; margin: 16px; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  h2 { font-size: 14px; font-weight: normal; margin: 0 0 8px; }
+  table { border-collapse: collapse; width: 100%; table-layout: fixed; }
+  th, td { border: 1px solid #444; padding: 4px; font-size: 11px; text-align: center; vertical-align: middle; }
+  thead th { background: #e8e8e8; }
+  thead th:first-child, tbody th { width: 90px; white-space: nowrap; }
+  tr.band td, tr.band th { background: #f4f4f4; font-style: italic; padding: 2px; }
+  td.band { background: #f4f4f4; font-style: italic; }
+  small { color: #555; }
+  td.clash { background: #fde2e2; }
+  hr { border: 0; border-top: 1px dashed #999; margin: 2px 0; }
+  .timetable { page-break-after: always; }
+  .timetable:last-child { page-break-after: auto; }
+  @page { size: A4 landscape; margin: 10mm; }
+</style>
+</head>
+<body>
+${tables.join('\n')}
+</body>
+</html>
+`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,139 @@
+import PDFDocument from 'pdfkit';
+import { describeCellEntry, describeCellSlot } from './timetableGrid.js';
+
+/**
+ * Draws timetable grids (see timetableGrid.js) as a PDF, one A4 landscape
+ * page per grid.
+ */
+
+const MARGIN = 30;
+const TIME_COLUMN_WIDTH = 70;
+const HEADER_HEIGHT = 20;
+const BAND_HEIGHT = 16;
+const MIN_SLOT_HEIGHT = 28;
+const BORDER_COLOR = '#444444';
+
+/**
+ * Write the grids as a PDF to `stream` (e.g. an HTTP response)
+ */
+export function writeTimetablePdf(grids, stream, { title = 'Timetable' } = {}) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: MARGIN,
+    autoFirstPage: false,
+    info: { Title: title }
+  });
+
+  doc.pipe(stream);
+
+  for (const grid of grids) {
+    doc.addPage();
+    drawGrid(doc, grid);
+  }
+
+  // A PDF needs at least one page
+  if (grids.length === 0) {
+    doc.addPage();
+    doc.fontSize(12).text('No timetables to print');
+  }
+
+  doc.end();
+  return doc;
+}
+
+function drawGrid(doc, grid) {
+  const pageWidth = doc.page.width - MARGIN * 2;
+  const pageBottom = doc.page.height - MARGIN;
+
+  doc.font('Helvetica-Bold').fontSize(14).text(grid.title, MARGIN, MARGIN);
+  if (grid.subtitle) {
+    doc.font('Helvetica').fontSize(11).text(grid.subtitle);
+  }
+
+  const top = doc.y + 8;
+  const dayWidth = (pageWidth - TIME_COLUMN_WIDTH) / grid.days.length;
+
+  const slotRows = grid.rows.filter(row => row.kind === 'slot').length;
+  const bandRows = grid.rows.length - slotRows;
+  const slotHeight = Math.max(
+    MIN_SLOT_HEIGHT,
+    (pageBottom - top - HEADER_HEIGHT - bandRows * BAND_HEIGHT) / Math.max(slotRows, 1)
+  );
+
+  const columnX = index => MARGIN + TIME_COLUMN_WIDTH + index * dayWidth;
+
+  // Header row
+  doc.lineWidth(0.5).strokeColor(BORDER_COLOR);
+  doc.rect(MARGIN, top, pageWidth, HEADER_HEIGHT).fillAndStroke('#e8e8e8', BORDER_COLOR);
+  doc.fillColor('black').font('Helvetica-Bold').fontSize(9);
+  cellText(doc, 'Time', MARGIN, top, TIME_COLUMN_WIDTH, HEADER_HEIGHT);
+  grid.days.forEach((day, i) => {
+    doc.moveTo(columnX(i), top).lineTo(columnX(i), top + HEADER_HEIGHT).stroke();
+    cellText(doc, day, columnX(i), top, dayWidth, HEADER_HEIGHT);
+  });
+
+  const heights = grid.rows.map(row => row.kind === 'slot' ? slotHeight : BAND_HEIGHT);
+  let y = top + HEADER_HEIGHT;
+
+  grid.rows.forEach((row, rowIndex) => {
+    const height = heights[rowIndex];
+    const time = `${row.startTime}-${row.endTime}`;
+
+    doc.font('Helvetica').fontSize(8);
+    doc.rect(MARGIN, y, TIME_COLUMN_WIDTH, height).stroke();
+    cellText(doc, time, MARGIN, y, TIME_COLUMN_WIDTH, height);
+
+    if (row.kind !== 'slot') {
+      doc.rect(columnX(0), y, pageWidth - TIME_COLUMN_WIDTH, height).fillAndStroke('#f4f4f4', BORDER_COLOR);
+      doc.fillColor('black').font('Helvetica-Oblique').fontSize(8);
+      cellText(doc, row.label, columnX(0), y, pageWidth - TIME_COLUMN_WIDTH, height);
+      y += height;
+      return;
+    }
+
+    row.cells.forEach((cell, dayIndex) => {
+      if (cell === null) return;  // covered by a merged cell above
+
+      const cellHeight = heights
+        .slice(rowIndex, rowIndex + cell.rowSpan)
+        .reduce((sum, h) => sum + h, 0);
+
+      if (cell.entries.length > 1 || cell.misplaced) {
+        doc.rect(columnX(dayIndex), y, dayWidth, cellHeight).fillAndStroke('#fde2e2', BORDER_COLOR);
+        doc.fillColor('black');
+      } else if (cell.label) {
+        doc.rect(columnX(dayIndex), y, dayWidth, cellHeight).fillAndStroke('#f4f4f4', BORDER_COLOR);
+        doc.fillColor('black');
+      } else {
+        doc.rect(columnX(dayIndex), y, dayWidth, cellHeight).stroke();
+      }
+
+      const lines = [
+        ...describeCellSlot(cell),
+        ...cell.entries.flatMap((entry, i) => [
+          ...(i > 0 ? ['--'] : []),
+          ...describeCellEntry(entry, grid.view)
+        ])
+      ];
+      doc.font('Helvetica').fontSize(8);
+      cellText(doc, lines.join('\n'), columnX(dayIndex), y, dayWidth, cellHeight);
+    });
+
+    y += height;
+  });
+}
+
+/**
+ * Text centred in a box, cut off with an ellipsis if it does not fit
+ */
+function cellText(doc, text, x, y, width, height) {
+  const padding = 3;
+  const options = { width: width - padding * 2, align: 'center', ellipsis: true };
+  const textHeight = Math.min(doc.heightOfString(text, options), height - padding * 2);
+
+  doc.text(text, x + padding, y + (height - textHeight) / 2, {
+    ...options,
+    height: height - padding * 2
+  });
+}
@@ -0,0 +1,155 @@
+import { Worker } from 'worker_threads';
+
+/**
+ * Fixed-size pool of worker threads running the same script.
+ *
+ * Messages between pool and worker:
+ * - pool -> worker: `{ type: 'task', payload }`, then any number of extra
+ *   messages posted through the handle returned by `run()`
+ * - worker -> pool: `{ type: 'result', result }` or `{ type: 'error', message }`
+ *   to finish the task; anything else is passed to the task's `onMessage`
+ */
+class WorkerPool {
+  constructor(workerUrl, options = {}) {
+    this.workerUrl = workerUrl;
+    this.size = options.size || 1;
+    this.workerData = options.workerData;
+
+    this.workers = [];
+    this.idle = [];
+    this.queue = [];
+    this.tasks = new Map();  // worker -> running task
+  }
+
+  /**
+   * Queue a task. Returns `{ promise, post }` where `post` sends a message
+   * to the worker running the task (buffered until one picks it up).
+   */
+  run(payload, onMessage = null) {
+    const task = {
+      payload,
+      onMessage,
+      pendingMessages: [],
+      worker: null
+    };
+
+    const promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+
+    this.queue.push(task);
+    this.dispatch();
+
+    return {
+      promise,
+      post: (message) => {
+        if (task.worker) {
+          task.worker.postMessage(message);
+        } else {
+          task.pendingMessages.push(message);
+        }
+      }
+    };
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting new workers up to the size
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      if (this.idle.length === 0 && this.workers.length < this.size) {
+        this.idle.push(this.createWorker());
+      }
+
+      const worker = this.idle.shift();
+      if (!worker) return;
+
+      const task = this.queue.shift();
+      task.worker = worker;
+      this.tasks.set(worker, task);
+
+      worker.ref();
+      worker.postMessage({ type: 'task', payload: task.payload });
+      for (const message of task.pendingMessages) {
+        worker.postMessage(message);
+      }
+      task.pendingMessages = [];
+    }
+  }
+
+  createWorker() {
+    const worker = new Worker(this.workerUrl, { workerData: this.workerData });
+
+    worker.on('message', (message) => {
+      const task = this.tasks.get(worker);
+      if (!task) return;
+
+      if (message.type === 'result') {
+        this.finishTask(worker);
+        task.resolve(message.result);
+      } else if (message.type === 'error') {
+        this.finishTask(worker);
+        task.reject(new Error(message.message));
+      } else if (task.onMessage) {
+        task.onMessage(message);
+      }
+    });
+
+    worker.on('error', (error) => this.handleWorkerFailure(worker, error));
+
+    worker.on('exit', (code) => {
+      if (code !== 0) {
+        this.handleWorkerFailure(worker, new Error(`Worker stopped with exit code ${code}`));
+      }
+    });
+
+    this.workers.push(worker);
+    return worker;
+  }
+
+  /**
+   * Return a worker to the idle list once its task is done
+   */
+  finishTask(worker) {
+    this.tasks.delete(worker);
+    worker.unref();
+    this.idle.push(worker);
+    this.dispatch();
+  }
+
+  /**
+   * Fail the running task and drop the worker; a fresh one is created on demand
+   */
+  handleWorkerFailure(worker, error) {
+    const task = this.tasks.get(worker);
+    this.tasks.delete(worker);
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+
+    if (task) {
+      task.reject(error);
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Stop all workers. Pending tasks are rejected.
+   */
+  async destroy() {
+    for (const task of this.queue) {
+      task.reject(new Error('Worker pool destroyed'));
+    }
+    this.queue = [];
+
+    const workers = this.workers;
+    this.workers = [];
+    this.idle = [];
+    this.tasks.clear();
+
+    await Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+export default WorkerPool;